@@ -1,21 +1,113 @@
-import Clip from "./items/Clip";
+import { encodeAudio } from "./audio/encodeAudio";
+import { MixedAudio } from "./audio/mixdown";
+import Clip, { layerOrder } from "./items/Clip";
+import {
+  DEFAULT_ENCODER_SETTINGS,
+  EncoderSelection,
+  EncoderSettings,
+  negotiateEncoderConfig,
+} from "./render/codecs";
+import {
+  AnimationFormatInfo,
+  AnimationSettings,
+  DEFAULT_ANIMATION_SETTINGS,
+  OUTPUT_FORMATS,
+  OutputFormat,
+  VideoFormatInfo,
+} from "./render/formats";
+import DirectoryWriter from "./render/DirectoryWriter";
+import {
+  DEFAULT_IMAGE_SEQUENCE_SETTINGS,
+  FileSequenceWriter,
+  ImageSequenceSettings,
+  frameFileName,
+  imageTypeOf,
+} from "./render/imageSequence";
+import PauseController from "./render/PauseController";
+import ProgressTracker, { RenderProgress } from "./render/ProgressTracker";
 import Resource from "./resources/Resource";
-import WebMWriter from "./webm-writer";
+import Transition from "./transitions/Transition";
 
 const MAX_ENCODER_QUEUE_SIZE = 30;
-const KEYFRAME_FREQUENCY = 150;
+/** How far ahead images are decoded while rendering, in microseconds */
+const PREFETCH_WINDOW = 1e6;
 
-export interface RenderOptions {
-  start: number;
-  length: number;
+/** A transition that's running, with its clips. */
+export interface ActiveTransition {
+  transition: Transition;
+  from: Clip;
+  to: Clip;
+  /** how far through the transition it is, with easing applied */
+  progress: number;
+}
+
+/** Output settings that are saved along with the project. */
+export interface RenderSettings extends EncoderSettings {
   width: number;
   height: number;
+  /** the frame rate of the animation, i.e. how many images a second it shows */
   fps: number;
+  /**
+   * the frame rate of exported files, or null to use `fps`. frames are
+   * repeated to fill it, e.g. 8 fps animation in a 24 fps video.
+   */
+  outputFps: number | null;
+  format: OutputFormat;
+  animation: AnimationSettings;
+  imageSequence: ImageSequenceSettings;
+}
+
+/**
+ * What to render. Unlike in `RenderSettings`, `fps` is the frame rate of the
+ * output.
+ */
+export interface RenderOptions extends RenderSettings {
+  start: number;
+  length: number;
+  /**
+   * the soundtrack, mixed from `start` with `mixAudio`. Web Audio isn't
+   * available in workers, so it's mixed on the main thread beforehand. Only
+   * formats that support audio use it.
+   */
+  audio?: MixedAudio | null;
 }
 
+/** Ways to control and follow a running render. */
+export interface RenderControls {
+  /** cancels the render */
+  signal?: AbortSignal;
+  /** pauses the render between frames */
+  pauseController?: PauseController;
+  /** called periodically with the progress of the render */
+  onProgress?: (progress: RenderProgress) => void;
+  /** called once an encoder configuration has been chosen */
+  onEncoderSelected?: (selection: EncoderSelection) => void;
+}
+
+export const DEFAULT_RENDER_SETTINGS: RenderSettings = {
+  ...DEFAULT_ENCODER_SETTINGS,
+  width: 1600,
+  height: 900,
+  fps: 8,
+  outputFps: null,
+  format: "webm",
+  animation: DEFAULT_ANIMATION_SETTINGS,
+  imageSequence: DEFAULT_IMAGE_SEQUENCE_SETTINGS,
+};
+
 export default class VideoBackend {
   public resources: Resource[] = [];
   public clips: Clip[] = [];
+  public transitions: Transition[] = [];
+  public renderSettings: RenderSettings = { ...DEFAULT_RENDER_SETTINGS };
+
+  /** Removes everything from the project and resets the render settings. */
+  reset() {
+    this.resources = [];
+    this.clips = [];
+    this.transitions = [];
+    this.renderSettings = { ...DEFAULT_RENDER_SETTINGS };
+  }
 
   resourceFromId(id: number): Resource | null {
     return this.resources.find((resource) => resource.id === id) ?? null;
@@ -39,98 +131,561 @@ export default class VideoBackend {
     );
   }
 
+  /** Gets the time the last clip ends, in microseconds. */
+  getDuration(): number {
+    return this.clips.reduce(
+      (end, clip) =>
+        Math.max(
+          end,
+          clip.properties.renderStart + clip.properties.renderLength
+        ),
+      0
+    );
+  }
+
+  transitionFromId(id: number): Transition | null {
+    return this.transitions.find((transition) => transition.id === id) ?? null;
+  }
+
+  /** Finds the transition that leads into a clip, if it has one. */
+  transitionInto(clip: Clip): Transition | null {
+    return (
+      this.transitions.find(
+        (transition) => transition.properties.toClipId === clip.id
+      ) ?? null
+    );
+  }
+
+  /**
+   * Finds the clip a transition into a clip would come from: the one before it
+   * on the same layer that ends last. Sounds can't be in transitions.
+   *
+   * @param clip the clip the transition would lead to
+   */
+  previousClip(clip: Clip): Clip | null {
+    const end = (other: Clip) =>
+      other.properties.renderStart + other.properties.renderLength;
+    return this.clips.reduce<Clip | null>(
+      (previous, other) =>
+        other !== clip &&
+        other.simpleRender &&
+        other.properties.layer === clip.properties.layer &&
+        other.properties.renderStart < clip.properties.renderStart &&
+        (!previous || end(other) > end(previous))
+          ? other
+          : previous,
+      null
+    );
+  }
+
+  /**
+   * Finds the transitions that are running at a time. Transitions whose clips
+   * have been removed are ignored.
+   *
+   * @param time the current time, in microseconds
+   */
+  activeTransitions(time: number): ActiveTransition[] {
+    const active: ActiveTransition[] = [];
+    for (const transition of this.transitions) {
+      const from = this.clipFromId(transition.properties.fromClipId);
+      const to = this.clipFromId(transition.properties.toClipId);
+      if (!from || !to) continue;
+      const progress = transition.progressAt(to.properties.renderStart, time);
+      if (progress !== null) active.push({ transition, from, to, progress });
+    }
+    return active;
+  }
+
+  #frameCanvas: OffscreenCanvas | null = null;
+  /** canvases transitions render their clips on before combining them */
+  #scratchCanvases: OffscreenCanvas[] = [];
+
+  /**
+   * Gets a cleared scratch canvas, creating it if needed.
+   *
+   * @param index which scratch canvas to use
+   * @param width the width it should have
+   * @param height the height it should have
+   */
+  #scratchContext(
+    index: number,
+    width: number,
+    height: number
+  ): OffscreenCanvasRenderingContext2D {
+    this.#scratchCanvases[index] ??= new OffscreenCanvas(width, height);
+    const canvas = this.#scratchCanvases[index];
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+    const ctx = canvas.getContext("2d");
+    if (!ctx) throw new Error("failed to get rendering context for transition");
+    ctx.clearRect(0, 0, width, height);
+    return ctx;
+  }
+
+  async #renderTransition(
+    ctx: OffscreenCanvasRenderingContext2D,
+    { transition, from, to, progress }: ActiveTransition,
+    time: number,
+    width: number,
+    height: number,
+    pixelRatio: number
+  ) {
+    const fromCtx = this.#scratchContext(0, width, height);
+    const toCtx = this.#scratchContext(1, width, height);
+    const resultCtx = this.#scratchContext(2, width, height);
+    // hold the outgoing clip's last frame if it has already ended
+    const { renderStart, renderLength } = from.properties;
+    await from.render(
+      fromCtx,
+      Math.min(Math.max(time, renderStart), renderStart + renderLength - 1),
+      width,
+      height,
+      pixelRatio
+    );
+    await to.render(toCtx, time, width, height, pixelRatio);
+    transition.composite(
+      resultCtx,
+      fromCtx.canvas,
+      toCtx.canvas,
+      progress,
+      width,
+      height
+    );
+    ctx.drawImage(resultCtx.canvas, 0, 0);
+  }
+
+  /**
+   * Renders a frame. The same canvas is reused for every frame, so it must be
+   * consumed before rendering the next one.
+   *
+   * @param time the time of the frame, in microseconds
+   * @param width the width of the frame
+   * @param height the height of the frame
+   */
   async renderFrame(
     time: number,
     width: number,
     height: number
-  ): Promise<HTMLCanvasElement> {
-    const canvas = document.createElement("canvas");
-    canvas.width = width;
-    canvas.height = height;
+  ): Promise<OffscreenCanvas> {
+    if (!this.#frameCanvas) {
+      this.#frameCanvas = new OffscreenCanvas(width, height);
+    }
+    const canvas = this.#frameCanvas;
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
     const ctx = canvas.getContext("2d");
     if (!ctx) throw new Error("failed to get rendering context for frame");
-    await Promise.all(
-      this.clips.map(async (clip) => {
-        if (clip.needsRender(time)) {
-          await clip.render(ctx, time, width, height);
-        }
-      })
-    );
+    ctx.clearRect(0, 0, width, height);
+    // previews are rendered smaller than the video
+    const pixelRatio = width / this.renderSettings.width;
+    // draw one at a time so overlapping clips always stack the same way
+    const transitions = this.activeTransitions(time);
+    const drawn = new Set<Clip>();
+    for (const clip of layerOrder(this.clips)) {
+      if (drawn.has(clip)) continue;
+      // clips in a transition are drawn together, on the layer of the first
+      const active = transitions.find(
+        ({ from, to }) => from === clip || to === clip
+      );
+      if (active) {
+        drawn.add(active.from).add(active.to);
+        await this.#renderTransition(
+          ctx,
+          active,
+          time,
+          width,
+          height,
+          pixelRatio
+        );
+      } else if (clip.needsRender(time)) {
+        await clip.render(ctx, time, width, height, pixelRatio);
+      }
+    }
+    // frames are usually rendered in order, so get the next ones ready
+    for (const clip of this.clips) {
+      clip.prefetch(time, time + PREFETCH_WINDOW, width, height);
+    }
     return canvas;
   }
 
+  /**
+   * Works out which frames of the output actually differ, so formats with
+   * variable frame durations can show held frames for longer instead of
+   * repeating them.
+   *
+   * @param start the start of the output, in microseconds
+   * @param length the length of the output, in microseconds
+   * @param fps the frame rate to sample at
+   * @returns the time and duration of each distinct frame, in microseconds
+   */
+  frameSchedule(
+    start: number,
+    length: number,
+    fps: number
+  ): { time: number; duration: number }[] {
+    const frameLength = 1e6 / fps;
+    const totalFrames = Math.ceil((length / 1e6) * fps);
+    const end = start + length;
+
+    // the indices of the output frames that differ from the one before
+    const changes = new Set<number>([0]);
+    // transitions change every frame
+    let continuous = this.transitions.some((transition) => {
+      const to = this.clipFromId(transition.properties.toClipId);
+      if (!to) return false;
+      const transitionStart = to.properties.renderStart;
+      return (
+        transitionStart < end &&
+        transitionStart + transition.properties.duration > start
+      );
+    });
+    for (const clip of continuous ? [] : this.clips) {
+      const { renderStart, renderLength } = clip.properties;
+      if (renderStart >= end || renderStart + renderLength <= start) continue;
+      const times = clip.changeTimes();
+      if (times === null) {
+        continuous = true;
+        break;
+      }
+      for (const time of times) {
+        // the first frame sampled at or after the change shows it
+        const index = Math.ceil((time - start) / frameLength - 1e-6);
+        if (index > 0 && index < totalFrames) changes.add(index);
+      }
+    }
+
+    const indices = continuous
+      ? Array.from({ length: totalFrames }, (_, i) => i)
+      : [...changes].sort((a, b) => a - b);
+    return indices.map((index, i) => {
+      const next = indices[i + 1] ?? totalFrames;
+      return {
+        time: start + index * frameLength,
+        duration: (next - index) * frameLength,
+      };
+    });
+  }
+
+  /**
+   * Renders and encodes the video or animation. This is slow, so it's usually
+   * run in a worker through `RenderWorker`.
+   *
+   * The stream is closed once the output is complete, or aborted if rendering
+   * fails or is cancelled.
+   *
+   * @param writableStream the file to write to, or null to build the output in
+   *     memory
+   * @param options what to render
+   * @param controls allow cancelling, pausing and tracking the render
+   * @returns the output, if it was built in memory
+   */
   async renderToWritableStream(
-    writableStream: FileSystemWritableFileStream,
+    writableStream: FileSystemWritableFileStream | null,
     options: RenderOptions,
-    statusCallback: (fraction: number) => void = () => {}
+    controls: RenderControls = {}
+  ): Promise<Blob | null> {
+    try {
+      const format = OUTPUT_FORMATS[options.format];
+      let result: Blob | null;
+      switch (format.kind) {
+        case "video":
+          result = await this.#encodeVideo(
+            writableStream,
+            format,
+            options,
+            controls
+          );
+          break;
+        case "animation":
+          result = await this.#encodeAnimation(
+            writableStream,
+            format,
+            options,
+            controls
+          );
+          break;
+        case "imageSequence":
+          result = await this.#encodeImageSequence(
+            format.createWriter(writableStream),
+            options,
+            controls
+          );
+          break;
+      }
+      await writableStream?.close();
+      return result;
+    } catch (e) {
+      await writableStream?.abort().catch(() => {});
+      throw e;
+    }
+  }
+
+  /**
+   * Renders each frame as an image file in a folder. Files that are already
+   * there are overwritten, and files written before a failure are kept.
+   *
+   * @param directory the folder to write to
+   * @param options what to render. The format is ignored, and the images are
+   *     saved as set in `options.imageSequence`.
+   * @param controls allow cancelling, pausing and tracking the render
+   */
+  async renderToDirectory(
+    directory: FileSystemDirectoryHandle,
+    options: RenderOptions,
+    controls: RenderControls = {}
   ): Promise<void> {
-    const totalFrames = options.fps * (options.length / 1e6);
-    const frameLength = options.length / totalFrames;
+    await this.#encodeImageSequence(
+      new DirectoryWriter(directory),
+      options,
+      controls
+    );
+  }
 
-    const webmWriter = new WebMWriter({
+  async #encodeVideo(
+    writableStream: FileSystemWritableFileStream | null,
+    format: VideoFormatInfo,
+    options: RenderOptions,
+    {
+      signal,
+      pauseController,
+      onProgress = () => {},
+      onEncoderSelected = () => {},
+    }: RenderControls
+  ): Promise<Blob | null> {
+    // a keyframe is forced every `keyframeInterval` frames, which needs to be
+    // a count of frames for any to be forced at all
+    if (
+      !Number.isInteger(options.keyframeInterval) ||
+      options.keyframeInterval < 1
+    ) {
+      throw new Error("keyframe interval must be a whole number of frames");
+    }
+    const totalFrames = Math.ceil(options.fps * (options.length / 1e6));
+    const frameLength = 1e6 / options.fps;
+    const progress = new ProgressTracker(
+      totalFrames,
+      onProgress,
+      pauseController
+    );
+
+    const selection = await negotiateEncoderConfig(
+      options,
+      options.width,
+      options.height,
+      options.fps,
+      format.codecs
+    );
+    onEncoderSelected(selection);
+
+    const audio = format.supportsAudio ? options.audio ?? null : null;
+    const muxer = format.createMuxer({
       fileWriter: writableStream,
-      codec: "VP9",
       width: options.width,
       height: options.height,
-      frameRate: options.fps,
+      fps: options.fps,
+      encoder: selection,
+      audio: audio && {
+        sampleRate: audio.sampleRate,
+        channels: audio.channels.length,
+      },
     });
 
-    const config = {
-      codec: "vp09.00.10.08",
-      width: options.width,
-      height: options.height,
-      bitrate: 10e6,
-    };
-    let framesEncoded = 0;
+    // the whole soundtrack is small once encoded, so it's done up front and
+    // the muxer interleaves it with the video as the frames come in
+    if (audio) {
+      await encodeAudio(
+        audio,
+        options.start,
+        options.audioBitrate,
+        (chunk, metadata) => muxer.addAudioFrame!(chunk, metadata),
+        signal
+      );
+    }
+
+    let encoderError: Error | null = null;
+    /** ends the wait for the encoder to have capacity */
+    let stopWaiting: (() => void) | null = null;
     const encoder = new VideoEncoder({
-      output: (chunk) => {
-        webmWriter.addFrame(chunk);
-        framesEncoded++;
-        if (framesEncoded % options.fps === 0)
-          statusCallback(framesEncoded / totalFrames);
+      output: (chunk, metadata) => {
+        muxer.addFrame(chunk, metadata);
+        progress.framesEncoded++;
+        progress.bytesWritten = muxer.getWrittenSize();
+        progress.update();
       },
       error: (e) => {
-        console.error(e.message);
-        webmWriter.complete();
+        encoderError = e;
+        stopWaiting?.();
       },
     });
-    const support = await VideoEncoder.isConfigSupported(config);
-    console.assert(support.supported);
-    encoder.configure(config);
 
-    for (let frameIndex = 0; frameIndex < totalFrames; frameIndex++) {
-      // render the frame
-      const frameStart = options.start + frameIndex * frameLength;
-      const frameCanvas = await this.renderFrame(
-        frameStart,
+    try {
+      encoder.configure(selection.config);
+
+      for (let frameIndex = 0; frameIndex < totalFrames; frameIndex++) {
+        await pauseController?.whilePaused(signal);
+        signal?.throwIfAborted();
+        if (encoderError) throw encoderError;
+
+        // render the frame
+        const frameStart = options.start + frameIndex * frameLength;
+        const frameCanvas = await this.renderFrame(
+          frameStart,
+          options.width,
+          options.height
+        );
+        const frame = new VideoFrame(frameCanvas, {
+          timestamp: frameStart,
+          duration: frameLength,
+        });
+        progress.framesRendered++;
+
+        // wait for the encoder to have capacity. a failed encoder never
+        // dequeues, so errors and aborts end the wait too
+        try {
+          while (encoder.encodeQueueSize > MAX_ENCODER_QUEUE_SIZE) {
+            signal?.throwIfAborted();
+            if (encoderError) throw encoderError;
+            await new Promise<void>((r) => {
+              const callback = () => {
+                encoder.removeEventListener("dequeue", callback);
+                signal?.removeEventListener("abort", callback);
+                stopWaiting = null;
+                r();
+              };
+              stopWaiting = callback;
+              encoder.addEventListener("dequeue", callback);
+              signal?.addEventListener("abort", callback);
+            });
+          }
+        } catch (e) {
+          frame.close();
+          throw e;
+        }
+
+        // encode the frame
+        const keyFrame = frameIndex % options.keyframeInterval === 0;
+        encoder.encode(frame, { keyFrame });
+        frame.close();
+        progress.update();
+      }
+
+      // finish up processing
+      await encoder.flush();
+      if (encoderError) throw encoderError;
+      const result = await muxer.complete();
+      progress.bytesWritten = muxer.getWrittenSize();
+      progress.update(true);
+      return result;
+    } finally {
+      if (encoder.state !== "closed") encoder.close();
+    }
+  }
+
+  async #encodeAnimation(
+    writableStream: FileSystemWritableFileStream | null,
+    format: AnimationFormatInfo,
+    options: RenderOptions,
+    { signal, pauseController, onProgress = () => {} }: RenderControls
+  ): Promise<Blob | null> {
+    const schedule = this.frameSchedule(
+      options.start,
+      options.length,
+      options.fps
+    );
+    const encoder = format.createEncoder({
+      fileWriter: writableStream,
+      width: options.width,
+      height: options.height,
+      frameCount: schedule.length,
+      settings: options.animation,
+    });
+    // frames are rendered twice if they need to be analyzed first
+    const passes = encoder.needsAnalysis ? 2 : 1;
+    const progress = new ProgressTracker(
+      schedule.length * passes,
+      onProgress,
+      pauseController
+    );
+
+    const renderImage = async (time: number) => {
+      await pauseController?.whilePaused(signal);
+      signal?.throwIfAborted();
+      const canvas = await this.renderFrame(
+        time,
         options.width,
         options.height
       );
-      const frame = new VideoFrame(frameCanvas, {
-        timestamp: frameStart,
-        duration: frameLength,
-      });
-
-      // wait for the encoder to have capacity
-      while (encoder.encodeQueueSize > MAX_ENCODER_QUEUE_SIZE) {
-        await new Promise<void>((r) => {
-          const callback = () => {
-            encoder.removeEventListener("dequeue", callback);
-            r();
-          };
-          encoder.addEventListener("dequeue", callback);
-        });
+      progress.framesRendered++;
+      return canvas
+        .getContext("2d")!
+        .getImageData(0, 0, options.width, options.height);
+    };
+
+    if (encoder.needsAnalysis) {
+      for (const { time } of schedule) {
+        encoder.analyzeFrame?.(await renderImage(time));
+        progress.framesEncoded++;
+        progress.update();
       }
+    }
+    for (const { time, duration } of schedule) {
+      await encoder.addFrame(await renderImage(time), duration);
+      progress.framesEncoded++;
+      progress.bytesWritten = encoder.getWrittenSize();
+      progress.update();
+    }
+
+    const result = await encoder.complete();
+    progress.bytesWritten = encoder.getWrittenSize();
+    progress.update(true);
+    return result;
+  }
+
+  async #encodeImageSequence(
+    writer: FileSequenceWriter,
+    options: RenderOptions,
+    { signal, pauseController, onProgress = () => {} }: RenderControls
+  ): Promise<Blob | null> {
+    const { filenamePattern, startNumber, quality } = options.imageSequence;
+    const type = imageTypeOf(filenamePattern);
+    const totalFrames = Math.ceil(options.fps * (options.length / 1e6));
+    const frameLength = 1e6 / options.fps;
+    const progress = new ProgressTracker(
+      totalFrames,
+      onProgress,
+      pauseController
+    );
 
-      // encode the frame
-      const keyFrame = frameIndex % KEYFRAME_FREQUENCY === 0;
-      encoder.encode(frame, { keyFrame });
-      frame.close();
+    for (let frameIndex = 0; frameIndex < totalFrames; frameIndex++) {
+      await pauseController?.whilePaused(signal);
+      signal?.throwIfAborted();
+
+      const canvas = await this.renderFrame(
+        options.start + frameIndex * frameLength,
+        options.width,
+        options.height
+      );
+      progress.framesRendered++;
+      const image = await canvas.convertToBlob({ type, quality });
+      if (image.type !== type) {
+        throw new Error(`this browser can't save ${type} images`);
+      }
+      await writer.addFile(
+        frameFileName(filenamePattern, startNumber + frameIndex),
+        image
+      );
+      progress.framesEncoded++;
+      progress.bytesWritten = writer.getWrittenSize();
+      progress.update();
     }
 
-    // finish up processing
-    await encoder.flush();
-    await webmWriter.complete();
-    encoder.close();
+    const result = await writer.complete();
+    progress.bytesWritten = writer.getWrittenSize();
+    progress.update(true);
+    return result;
   }
 }
@@ -0,0 +1,175 @@
+import { crc32 } from "../crc32";
+import type {
+  AnimationEncoder,
+  AnimationEncoderOptions,
+} from "../render/formats";
+import OutputSink from "../render/OutputSink";
+
+const PNG_SIGNATURE = new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]);
+const MAX_DELAY = 0xffff;
+
+function u32(value: number) {
+  return [
+    (value >>> 24) & 0xff,
+    (value >> 16) & 0xff,
+    (value >> 8) & 0xff,
+    value & 0xff,
+  ];
+}
+
+function u16(value: number) {
+  return [(value >> 8) & 0xff, value & 0xff];
+}
+
+/** Builds a PNG chunk, including its length and checksum. */
+function chunk(type: string, data: ArrayLike<number>): Uint8Array {
+  const result = new Uint8Array(12 + data.length);
+  const view = new DataView(result.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) result[4 + i] = type.charCodeAt(i);
+  result.set(data, 8);
+  view.setUint32(8 + data.length, crc32(result.subarray(4, 8 + data.length)));
+  return result;
+}
+
+/** Predicts a byte from its neighbours, as in PNG filter type 4. */
+function paeth(left: number, up: number, upLeft: number) {
+  const p = left + up - upLeft;
+  const pa = Math.abs(p - left);
+  const pb = Math.abs(p - up);
+  const pc = Math.abs(p - upLeft);
+  if (pa <= pb && pa <= pc) return left;
+  if (pb <= pc) return up;
+  return upLeft;
+}
+
+/**
+ * Converts an image to filtered RGB scanlines, ready to be compressed. Every
+ * line uses the Paeth filter, which suits photos well.
+ */
+function filterImage({ width, height, data }: ImageData): Uint8Array {
+  const stride = width * 3;
+  const result = new Uint8Array(height * (stride + 1));
+  const rgb = new Uint8Array(stride);
+  let previous = new Uint8Array(stride);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      rgb[x * 3] = data[(y * width + x) * 4];
+      rgb[x * 3 + 1] = data[(y * width + x) * 4 + 1];
+      rgb[x * 3 + 2] = data[(y * width + x) * 4 + 2];
+    }
+    const offset = y * (stride + 1);
+    result[offset] = 4;
+    for (let i = 0; i < stride; i++) {
+      const left = i >= 3 ? rgb[i - 3] : 0;
+      const upLeft = i >= 3 ? previous[i - 3] : 0;
+      result[offset + 1 + i] = rgb[i] - paeth(left, previous[i], upLeft);
+    }
+    previous = rgb.slice();
+  }
+  return result;
+}
+
+async function deflate(data: Uint8Array): Promise<Uint8Array> {
+  const stream = new Blob([data])
+    .stream()
+    .pipeThrough(new CompressionStream("deflate"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Writes animated PNGs. Frames are stored as full truecolor images, so unlike
+ * GIFs there's no loss of color, but the files are much larger.
+ */
+export default class ApngWriter implements AnimationEncoder {
+  constructor(public options: AnimationEncoderOptions) {
+    this.#sink = new OutputSink(options.fileWriter);
+  }
+
+  needsAnalysis = false;
+
+  #sink: OutputSink;
+  #sequenceNumber = 0;
+  #framesWritten = 0;
+  /** the end of the last frame, in microseconds */
+  #time = 0;
+
+  #writeHeader() {
+    const { width, height, frameCount, settings } = this.options;
+    this.#sink.write(PNG_SIGNATURE);
+    this.#sink.write(
+      chunk("IHDR", [
+        ...u32(width),
+        ...u32(height),
+        8, // bit depth
+        2, // color type: truecolor
+        0, // compression method
+        0, // filter method
+        0, // interlace method
+      ])
+    );
+    this.#sink.write(
+      chunk("acTL", [...u32(frameCount), ...u32(settings.loopCount)])
+    );
+  }
+
+  async addFrame(image: ImageData, duration: number) {
+    if (this.#framesWritten >= this.options.frameCount) {
+      throw new Error("more frames were added than the APNG was set up for");
+    }
+    if (this.#framesWritten === 0) this.#writeHeader();
+    const { width, height } = this.options;
+
+    // round the end time rather than each duration so errors don't add up.
+    // delays are in milliseconds, or centiseconds if that's too long
+    const start = this.#time;
+    this.#time += duration;
+    let delay = Math.round(this.#time / 1e3) - Math.round(start / 1e3);
+    let delayDenominator = 1000;
+    if (delay > MAX_DELAY) {
+      delay = Math.min(Math.round(duration / 1e4), MAX_DELAY);
+      delayDenominator = 100;
+    }
+
+    this.#sink.write(
+      chunk("fcTL", [
+        ...u32(this.#sequenceNumber++),
+        ...u32(width),
+        ...u32(height),
+        ...u32(0), // x offset
+        ...u32(0), // y offset
+        ...u16(delay),
+        ...u16(delayDenominator),
+        0, // dispose op: none
+        0, // blend op: source
+      ])
+    );
+    const compressed = await deflate(filterImage(image));
+    if (this.#framesWritten === 0) {
+      // the first frame doubles as the still image for non-APNG viewers
+      this.#sink.write(chunk("IDAT", compressed));
+    } else {
+      const data = new Uint8Array(4 + compressed.length);
+      data.set(u32(this.#sequenceNumber++));
+      data.set(compressed, 4);
+      this.#sink.write(chunk("fdAT", data));
+    }
+    this.#framesWritten++;
+  }
+
+  complete(): Promise<Blob | null> {
+    if (this.#framesWritten !== this.options.frameCount) {
+      throw new Error(
+        `the APNG was set up for ${this.options.frameCount} frames, but ${
+          this.#framesWritten
+        } were added`
+      );
+    }
+    this.#sink.write(chunk("IEND", []));
+    return this.#sink.complete("image/apng");
+  }
+
+  getWrittenSize(): number {
+    return this.#sink.length;
+  }
+}
@@ -0,0 +1,69 @@
+import { MixedAudio } from "./mixdown";
+
+/** How much audio is passed to the encoder at once, in samples */
+const AUDIO_DATA_LENGTH = 48000;
+
+/**
+ * Encodes a mixed soundtrack as Opus.
+ *
+ * @param audio the soundtrack
+ * @param start the time the soundtrack starts at, in microseconds
+ * @param bitrate the target bitrate, in bits per second
+ * @param output receives each encoded chunk, in order
+ * @param signal cancels encoding
+ */
+export async function encodeAudio(
+  audio: MixedAudio,
+  start: number,
+  bitrate: number,
+  output: (
+    chunk: EncodedAudioChunk,
+    metadata?: EncodedAudioChunkMetadata
+  ) => void,
+  signal?: AbortSignal
+): Promise<void> {
+  const config: AudioEncoderConfig = {
+    codec: "opus",
+    sampleRate: audio.sampleRate,
+    numberOfChannels: audio.channels.length,
+    bitrate,
+  };
+  const { supported } = await AudioEncoder.isConfigSupported(config);
+  if (!supported) throw new Error("this browser can't encode Opus audio");
+
+  let encoderError: Error | null = null;
+  const encoder = new AudioEncoder({
+    output,
+    error: (e) => {
+      encoderError = e;
+    },
+  });
+  try {
+    encoder.configure(config);
+    const totalSamples = audio.channels[0]?.length ?? 0;
+    for (let offset = 0; offset < totalSamples; offset += AUDIO_DATA_LENGTH) {
+      signal?.throwIfAborted();
+      if (encoderError) throw encoderError;
+      const length = Math.min(AUDIO_DATA_LENGTH, totalSamples - offset);
+      // planar data is every channel's samples one after another
+      const data = new Float32Array(length * audio.channels.length);
+      audio.channels.forEach((channel, i) =>
+        data.set(channel.subarray(offset, offset + length), i * length)
+      );
+      const audioData = new AudioData({
+        format: "f32-planar",
+        sampleRate: audio.sampleRate,
+        numberOfFrames: length,
+        numberOfChannels: audio.channels.length,
+        timestamp: start + (offset / audio.sampleRate) * 1e6,
+        data,
+      });
+      encoder.encode(audioData);
+      audioData.close();
+    }
+    await encoder.flush();
+    if (encoderError) throw encoderError;
+  } finally {
+    if (encoder.state !== "closed") encoder.close();
+  }
+}
@@ -0,0 +1,72 @@
+import Clip from "../items/Clip";
+import AudioClip from "../items/AudioClip";
+
+/** The sample rate audio is mixed and encoded at. Opus always uses 48kHz. */
+export const AUDIO_SAMPLE_RATE = 48000;
+export const AUDIO_CHANNELS = 2;
+
+/**
+ * A mixed soundtrack. Unlike `AudioBuffer`s, these can be sent to a worker.
+ */
+export interface MixedAudio {
+  sampleRate: number;
+  /** the samples of each channel, from -1 to 1 */
+  channels: Float32Array[];
+}
+
+/**
+ * Mixes the audio clips that play during part of the timeline into a single
+ * stereo track. Web Audio isn't available in workers, so this has to happen on
+ * the main thread before an export starts.
+ *
+ * @param clips the clips to mix. Clips that aren't audio clips are ignored.
+ * @param start the start of the mix, in microseconds
+ * @param length the length of the mix, in microseconds
+ * @returns the mix, or null if no audio plays in that time
+ */
+export async function mixAudio(
+  clips: Clip[],
+  start: number,
+  length: number
+): Promise<MixedAudio | null> {
+  const end = start + length;
+  const audioClips = clips.filter(
+    (clip): clip is AudioClip =>
+      clip instanceof AudioClip &&
+      clip.properties.renderStart < end &&
+      clip.properties.renderStart + clip.properties.renderLength > start
+  );
+  if (audioClips.length === 0) return null;
+
+  const context = new OfflineAudioContext(
+    AUDIO_CHANNELS,
+    Math.max(Math.ceil((length / 1e6) * AUDIO_SAMPLE_RATE), 1),
+    AUDIO_SAMPLE_RATE
+  );
+  const buffers = await Promise.all(
+    audioClips.map((clip) => clip.resource.decode())
+  );
+  audioClips.forEach((clip, i) => {
+    const { renderStart, renderLength, trimStart, gain } = clip.properties;
+    // the part of the clip inside the mix, relative to the clip's start
+    const from = Math.max(start - renderStart, 0);
+    const to = Math.min(end - renderStart, renderLength);
+
+    const source = new AudioBufferSourceNode(context, { buffer: buffers[i] });
+    const gainNode = new GainNode(context, { gain });
+    source.connect(gainNode).connect(context.destination);
+    source.start(
+      (renderStart + from - start) / 1e6,
+      (trimStart + from) / 1e6,
+      (to - from) / 1e6
+    );
+  });
+
+  const mix = await context.startRendering();
+  return {
+    sampleRate: mix.sampleRate,
+    channels: Array.from({ length: mix.numberOfChannels }, (_, channel) =>
+      mix.getChannelData(channel)
+    ),
+  };
+}
@@ -0,0 +1,139 @@
+import type {
+  AnimationEncoder,
+  AnimationEncoderOptions,
+} from "../render/formats";
+import OutputSink from "../render/OutputSink";
+import { lzwEncode } from "./lzw";
+import { ColorHistogram, Palette, buildPalette, indexImage } from "./quantize";
+
+/** Only every nth pixel is counted when building palettes, for speed */
+const HISTOGRAM_STEP = 3;
+/** Browsers treat shorter delays as 10cs, so don't go below this */
+const MIN_DELAY_CENTISECONDS = 2;
+const MAX_DELAY_CENTISECONDS = 0xffff;
+
+function u16(value: number) {
+  return [value & 0xff, (value >> 8) & 0xff];
+}
+
+function ascii(text: string) {
+  return [...text].map((char) => char.charCodeAt(0));
+}
+
+/**
+ * Writes animated GIFs. With a global palette, every frame must be passed to
+ * `analyzeFrame` before the first `addFrame` call so the palette can cover all
+ * of them; with per-frame palettes, each frame gets its own color table.
+ */
+export default class GifWriter implements AnimationEncoder {
+  constructor(public options: AnimationEncoderOptions) {
+    this.#sink = new OutputSink(options.fileWriter);
+  }
+
+  #sink: OutputSink;
+  #histogram = new ColorHistogram();
+  #globalPalette: Palette | null = null;
+  #headerWritten = false;
+  /** the end of the last frame, in microseconds */
+  #time = 0;
+
+  get needsAnalysis() {
+    return this.options.settings.palette === "global";
+  }
+
+  analyzeFrame(image: ImageData) {
+    this.#histogram.add(image, HISTOGRAM_STEP);
+  }
+
+  #writeHeader() {
+    const { width, height, settings } = this.options;
+    const global = this.needsAnalysis;
+    if (global) this.#globalPalette = buildPalette(this.#histogram);
+    const header = [
+      ...ascii("GIF89a"),
+      ...u16(width),
+      ...u16(height),
+      // global color table flag, 8 bits per channel, 256 entries
+      global ? 0xf7 : 0x70,
+      0, // background color index
+      0, // pixel aspect ratio
+    ];
+    const parts = [new Uint8Array(header)];
+    if (this.#globalPalette) parts.push(this.#globalPalette.padded());
+    // GIF counts the repeats after the first play, and plays once without
+    // the extension
+    if (settings.loopCount !== 1) {
+      parts.push(
+        new Uint8Array([
+          0x21, // extension
+          0xff, // application extension
+          11,
+          ...ascii("NETSCAPE2.0"),
+          3,
+          1,
+          ...u16(settings.loopCount === 0 ? 0 : settings.loopCount - 1),
+          0,
+        ])
+      );
+    }
+    parts.forEach((part) => this.#sink.write(part));
+    this.#headerWritten = true;
+  }
+
+  async addFrame(image: ImageData, duration: number) {
+    if (!this.#headerWritten) this.#writeHeader();
+    const { width, height, settings } = this.options;
+
+    // round the end time rather than each duration so errors don't add up
+    const start = this.#time;
+    this.#time += duration;
+    const delay = Math.min(
+      Math.max(
+        Math.round(this.#time / 1e4) - Math.round(start / 1e4),
+        MIN_DELAY_CENTISECONDS
+      ),
+      MAX_DELAY_CENTISECONDS
+    );
+
+    let palette = this.#globalPalette;
+    if (!palette) {
+      const histogram = new ColorHistogram();
+      histogram.add(image, HISTOGRAM_STEP);
+      palette = buildPalette(histogram);
+    }
+    const local = palette !== this.#globalPalette;
+
+    this.#sink.write(
+      new Uint8Array([
+        0x21, // extension
+        0xf9, // graphic control extension
+        4,
+        1 << 2, // disposal: leave in place
+        ...u16(delay),
+        0, // transparent color index (unused)
+        0,
+        0x2c, // image descriptor
+        ...u16(0),
+        ...u16(0),
+        ...u16(width),
+        ...u16(height),
+        local ? 0x87 : 0, // local color table flag, 256 entries
+      ])
+    );
+    if (local) this.#sink.write(palette.padded());
+    this.#sink.write(new Uint8Array([8])); // LZW minimum code size
+    this.#sink.write(
+      lzwEncode(indexImage(image, palette, settings.dithering), 8)
+    );
+  }
+
+  complete(): Promise<Blob | null> {
+    if (!this.#headerWritten) this.#writeHeader();
+    this.#sink.write(new Uint8Array([0x3b])); // trailer
+    return this.#sink.complete("image/gif");
+  }
+
+  getWrittenSize(): number {
+    return this.#sink.length;
+  }
+}
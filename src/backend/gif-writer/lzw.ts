@@ -0,0 +1,90 @@
+const MAX_CODE = 4095;
+
+/**
+ * Compresses palette indices with the variable-width LZW variant used by GIF,
+ * and splits the result into data sub-blocks.
+ *
+ * @param indices the palette index of each pixel
+ * @param minCodeSize the number of bits needed for a palette index, at least 2
+ * @returns the sub-blocks, including the terminating empty block but not the
+ *     minimum code size byte
+ */
+export function lzwEncode(
+  indices: Uint8Array,
+  minCodeSize: number
+): Uint8Array {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+
+  // bytes are packed into sub-blocks of up to 255 bytes as they're written,
+  // each starting with its length
+  let output = new Uint8Array(4096);
+  let length = 0;
+  let blockStart = -1;
+  const writeByte = (byte: number) => {
+    if (length + 2 > output.length) {
+      const grown = new Uint8Array(output.length * 2);
+      grown.set(output);
+      output = grown;
+    }
+    if (blockStart === -1) {
+      blockStart = length++;
+    }
+    output[length++] = byte;
+    if (length - blockStart - 1 === 255) {
+      output[blockStart] = 255;
+      blockStart = -1;
+    }
+  };
+
+  let bitBuffer = 0;
+  let bitCount = 0;
+  const emit = (code: number, size: number) => {
+    bitBuffer |= code << bitCount;
+    bitCount += size;
+    while (bitCount >= 8) {
+      writeByte(bitBuffer & 0xff);
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let table = new Map<number, number>();
+  emit(clearCode, codeSize);
+
+  if (indices.length > 0) {
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+      const k = indices[i];
+      const key = (prefix << 8) | k;
+      const code = table.get(key);
+      if (code !== undefined) {
+        prefix = code;
+        continue;
+      }
+      emit(prefix, codeSize);
+      if (nextCode > MAX_CODE) {
+        // the table is full, so start again
+        emit(clearCode, codeSize);
+        table = new Map();
+        codeSize = minCodeSize + 1;
+        nextCode = endCode + 1;
+      } else {
+        if (nextCode >= 1 << codeSize) codeSize++;
+        table.set(key, nextCode++);
+      }
+      prefix = k;
+    }
+    emit(prefix, codeSize);
+  }
+  emit(endCode, codeSize);
+
+  if (bitCount > 0) writeByte(bitBuffer & 0xff);
+  if (blockStart !== -1) output[blockStart] = length - blockStart - 1;
+  // followed by an empty block as the terminator
+  const result = new Uint8Array(length + 1);
+  result.set(output.subarray(0, length));
+  return result;
+}
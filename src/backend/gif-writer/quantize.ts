@@ -0,0 +1,251 @@
+/**
+ * Color quantization for palette-based formats. Colors are counted in a
+ * histogram with 5 bits per channel, reduced to a palette with the median cut
+ * algorithm, then mapped to the palette with optional Floyd-Steinberg
+ * dithering.
+ */
+
+const BITS = 5;
+const SHIFT = 8 - BITS;
+const SIDE = 1 << BITS;
+const BIN_COUNT = SIDE * SIDE * SIDE;
+
+function binOf(r: number, g: number, b: number) {
+  return ((r >> SHIFT) << (BITS * 2)) | ((g >> SHIFT) << BITS) | (b >> SHIFT);
+}
+
+/** Counts how often each color appears in one or more images. */
+export class ColorHistogram {
+  counts = new Float64Array(BIN_COUNT);
+  /** sums of the exact channel values in each bin, for accurate averages */
+  sums = new Float64Array(BIN_COUNT * 3);
+
+  /**
+   * Adds the colors of an image.
+   *
+   * @param image the image to count
+   * @param step only count every `step`th pixel, to save time on big images
+   */
+  add(image: ImageData, step = 1) {
+    const { data } = image;
+    for (let i = 0; i < data.length; i += 4 * step) {
+      const bin = binOf(data[i], data[i + 1], data[i + 2]);
+      this.counts[bin]++;
+      this.sums[bin * 3] += data[i];
+      this.sums[bin * 3 + 1] += data[i + 1];
+      this.sums[bin * 3 + 2] += data[i + 2];
+    }
+  }
+}
+
+interface ColorBox {
+  /** the histogram bins in this box */
+  bins: number[];
+  population: number;
+}
+
+function channelOf(bin: number, channel: number) {
+  return (bin >> (BITS * (2 - channel))) & (SIDE - 1);
+}
+
+/** Finds the channel with the widest range in a box, and that range. */
+function widestChannel(box: ColorBox): [channel: number, range: number] {
+  let best: [number, number] = [0, -1];
+  for (let channel = 0; channel < 3; channel++) {
+    let min = SIDE;
+    let max = -1;
+    for (const bin of box.bins) {
+      const value = channelOf(bin, channel);
+      if (value < min) min = value;
+      if (value > max) max = value;
+    }
+    if (max - min > best[1]) best = [channel, max - min];
+  }
+  return best;
+}
+
+/** A set of up to 256 colors, stored as RGB triples. */
+export class Palette {
+  constructor(public colors: Uint8Array) {
+    this.#lookup.fill(-1);
+  }
+
+  /** caches the nearest palette entry for each histogram bin */
+  #lookup = new Int16Array(BIN_COUNT);
+
+  get size() {
+    return this.colors.length / 3;
+  }
+
+  /** Finds the index of the palette color closest to the given color. */
+  nearest(r: number, g: number, b: number): number {
+    const bin = binOf(r, g, b);
+    const cached = this.#lookup[bin];
+    if (cached !== -1) return cached;
+    // search with the center of the bin so the cache works for all of it
+    const half = 1 << (SHIFT - 1);
+    const cr = (r & ~((1 << SHIFT) - 1)) + half;
+    const cg = (g & ~((1 << SHIFT) - 1)) + half;
+    const cb = (b & ~((1 << SHIFT) - 1)) + half;
+    let best = 0;
+    let bestDistance = Infinity;
+    for (let i = 0; i < this.colors.length; i += 3) {
+      const dr = this.colors[i] - cr;
+      const dg = this.colors[i + 1] - cg;
+      const db = this.colors[i + 2] - cb;
+      const distance = dr * dr * 2 + dg * dg * 4 + db * db * 3;
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = i / 3;
+      }
+    }
+    this.#lookup[bin] = best;
+    return best;
+  }
+
+  /**
+   * Gets the palette padded to a power of two entries, as GIF color tables
+   * must be.
+   *
+   * @param entries the number of entries to pad to
+   */
+  padded(entries = 256): Uint8Array {
+    const table = new Uint8Array(entries * 3);
+    table.set(this.colors.subarray(0, entries * 3));
+    return table;
+  }
+}
+
+/**
+ * Builds a palette that represents the colors in the histogram well.
+ *
+ * @param histogram the colors to represent
+ * @param maxColors the size of the palette
+ */
+export function buildPalette(
+  histogram: ColorHistogram,
+  maxColors = 256
+): Palette {
+  const bins: number[] = [];
+  let population = 0;
+  for (let bin = 0; bin < BIN_COUNT; bin++) {
+    if (histogram.counts[bin] > 0) {
+      bins.push(bin);
+      population += histogram.counts[bin];
+    }
+  }
+  const boxes: ColorBox[] = [{ bins, population }];
+
+  while (boxes.length < maxColors) {
+    // split the most populous box that can still be split
+    let target = -1;
+    for (let i = 0; i < boxes.length; i++) {
+      if (
+        boxes[i].bins.length > 1 &&
+        (target === -1 || boxes[i].population > boxes[target].population)
+      ) {
+        target = i;
+      }
+    }
+    if (target === -1) break;
+
+    const box = boxes[target];
+    const [channel] = widestChannel(box);
+    box.bins.sort((a, b) => channelOf(a, channel) - channelOf(b, channel));
+    // split at the median pixel, keeping at least one bin on each side
+    let seen = 0;
+    let split = 1;
+    for (; split < box.bins.length - 1; split++) {
+      seen += histogram.counts[box.bins[split - 1]];
+      if (seen >= box.population / 2) break;
+    }
+    const lower = box.bins.slice(0, split);
+    const upper = box.bins.slice(split);
+    const lowerPopulation = lower.reduce(
+      (sum, bin) => sum + histogram.counts[bin],
+      0
+    );
+    boxes.splice(
+      target,
+      1,
+      { bins: lower, population: lowerPopulation },
+      { bins: upper, population: box.population - lowerPopulation }
+    );
+  }
+
+  const colors = new Uint8Array(Math.max(boxes.length, 1) * 3);
+  boxes.forEach((box, i) => {
+    let r = 0;
+    let g = 0;
+    let b = 0;
+    for (const bin of box.bins) {
+      r += histogram.sums[bin * 3];
+      g += histogram.sums[bin * 3 + 1];
+      b += histogram.sums[bin * 3 + 2];
+    }
+    const count = Math.max(box.population, 1);
+    colors[i * 3] = Math.round(r / count);
+    colors[i * 3 + 1] = Math.round(g / count);
+    colors[i * 3 + 2] = Math.round(b / count);
+  });
+  return new Palette(colors);
+}
+
+const clampByte = (value: number) =>
+  value < 0 ? 0 : value > 255 ? 255 : Math.round(value);
+
+/**
+ * Maps every pixel of an image to the index of a palette color.
+ *
+ * @param image the image to map
+ * @param palette the colors to use
+ * @param dither whether to spread the error of each pixel to its neighbours
+ *     (Floyd-Steinberg dithering), which avoids banding in gradients
+ */
+export function indexImage(
+  image: ImageData,
+  palette: Palette,
+  dither: boolean
+): Uint8Array {
+  const { width, height, data } = image;
+  const indices = new Uint8Array(width * height);
+  const colors = palette.colors;
+
+  if (!dither) {
+    for (let i = 0; i < indices.length; i++) {
+      indices[i] = palette.nearest(
+        data[i * 4],
+        data[i * 4 + 1],
+        data[i * 4 + 2]
+      );
+    }
+    return indices;
+  }
+
+  // the error carried to the current and next rows, 3 channels per pixel
+  let current = new Float32Array((width + 2) * 3);
+  let next = new Float32Array((width + 2) * 3);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const pixel = y * width + x;
+      const e = (x + 1) * 3;
+      const r = clampByte(data[pixel * 4] + current[e]);
+      const g = clampByte(data[pixel * 4 + 1] + current[e + 1]);
+      const b = clampByte(data[pixel * 4 + 2] + current[e + 2]);
+      const index = palette.nearest(r, g, b);
+      indices[pixel] = index;
+
+      for (let c = 0; c < 3; c++) {
+        const value = c === 0 ? r : c === 1 ? g : b;
+        const error = value - colors[index * 3 + c];
+        current[e + 3 + c] += (error * 7) / 16;
+        next[e - 3 + c] += (error * 3) / 16;
+        next[e + c] += (error * 5) / 16;
+        next[e + 3 + c] += error / 16;
+      }
+    }
+    [current, next] = [next, current];
+    next.fill(0);
+  }
+  return indices;
+}
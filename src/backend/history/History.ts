@@ -0,0 +1,168 @@
+import VideoBackend from "../VideoBackend";
+
+/**
+ * A reversible change to the backend. Commands capture whatever they need to
+ * undo themselves when they're constructed or first applied.
+ */
+export interface Command {
+  /** describes the change for display, e.g. "Delete resource" */
+  label: string;
+  apply(backend: VideoBackend): void | Promise<void>;
+  revert(backend: VideoBackend): void | Promise<void>;
+}
+
+/** Several commands that are undone and redone together. */
+export class CommandGroup implements Command {
+  constructor(public label: string, public commands: Command[]) {}
+
+  async apply(backend: VideoBackend) {
+    for (const command of this.commands) {
+      await command.apply(backend);
+    }
+  }
+
+  async revert(backend: VideoBackend) {
+    for (const command of [...this.commands].reverse()) {
+      await command.revert(backend);
+    }
+  }
+}
+
+/** Applies a command as part of a `group`, e.g. `history.execute`. */
+export type Execute = (command: Command) => Promise<void>;
+
+export const DEFAULT_HISTORY_LIMIT = 200;
+
+/**
+ * Records changes made to the backend so they can be undone and redone.
+ *
+ * All edits to the backend should go through `execute` so they end up in the
+ * history. A "change" event is dispatched after every execute, undo or redo so
+ * the UI can re-sync itself with the backend.
+ */
+export default class History extends EventTarget {
+  constructor(
+    public backend: VideoBackend,
+    public limit = DEFAULT_HISTORY_LIMIT
+  ) {
+    super();
+  }
+
+  #undoStack: Command[] = [];
+  #redoStack: Command[] = [];
+  /** makes sure operations run one after another */
+  #queue: Promise<unknown> = Promise.resolve();
+
+  get canUndo() {
+    return this.#undoStack.length > 0;
+  }
+
+  get canRedo() {
+    return this.#redoStack.length > 0;
+  }
+
+  /** the label of the command that would be undone next */
+  get undoLabel(): string | null {
+    return this.#undoStack[this.#undoStack.length - 1]?.label ?? null;
+  }
+
+  /** the label of the command that would be redone next */
+  get redoLabel(): string | null {
+    return this.#redoStack[this.#redoStack.length - 1]?.label ?? null;
+  }
+
+  #enqueue<T>(operation: () => Promise<T>): Promise<T> {
+    const result = this.#queue.then(operation);
+    this.#queue = result.catch(() => {});
+    return result;
+  }
+
+  #record(command: Command) {
+    this.#undoStack.push(command);
+    if (this.#undoStack.length > this.limit) {
+      this.#undoStack.splice(0, this.#undoStack.length - this.limit);
+    }
+    this.#redoStack = [];
+  }
+
+  #changed() {
+    this.dispatchEvent(new Event("change"));
+  }
+
+  /**
+   * Applies a command to the backend and records it. If a group is running,
+   * the command waits for it to finish.
+   *
+   * @param command the change to make
+   */
+  async execute(command: Command): Promise<void> {
+    await this.#enqueue(async () => {
+      await command.apply(this.backend);
+      this.#record(command);
+    });
+    this.#changed();
+  }
+
+  /**
+   * Runs several edits as a single history entry. Commands applied with the
+   * `execute` given to `edit` are grouped, and undone together. If `edit`
+   * throws, the commands it already applied are reverted. Other edits wait
+   * for the group to finish, so they never become part of it.
+   *
+   * @param label describes the whole edit
+   * @param edit makes the changes by calling the `execute` it's given, not
+   *     the history's, which would wait for the group and never run
+   */
+  async group(
+    label: string,
+    edit: (execute: Execute) => Promise<void>
+  ): Promise<void> {
+    await this.#enqueue(async () => {
+      const commands: Command[] = [];
+      try {
+        await edit(async (command) => {
+          await command.apply(this.backend);
+          commands.push(command);
+        });
+      } catch (e) {
+        await new CommandGroup(label, commands).revert(this.backend);
+        throw e;
+      }
+      if (commands.length > 0) {
+        this.#record(new CommandGroup(label, commands));
+      }
+    });
+    this.#changed();
+  }
+
+  /** Undoes the most recent command, if there is one. */
+  async undo(): Promise<void> {
+    await this.#enqueue(async () => {
+      const command = this.#undoStack.pop();
+      if (!command) return;
+      await command.revert(this.backend);
+      this.#redoStack.push(command);
+    });
+    this.#changed();
+  }
+
+  /** Redoes the most recently undone command, if there is one. */
+  async redo(): Promise<void> {
+    await this.#enqueue(async () => {
+      const command = this.#redoStack.pop();
+      if (!command) return;
+      await command.apply(this.backend);
+      this.#undoStack.push(command);
+    });
+    this.#changed();
+  }
+
+  /**
+   * Forgets all recorded commands, e.g. after a different project was loaded.
+   */
+  clear() {
+    this.#undoStack = [];
+    this.#redoStack = [];
+    this.#changed();
+  }
+}
@@ -0,0 +1,513 @@
+import VideoBackend, { RenderSettings } from "../VideoBackend";
+import Clip, { ClipProperties } from "../items/Clip";
+import ImageSequenceClip, {
+  SequenceFrame,
+  validateHold,
+} from "../items/ImageSequenceClip";
+import Resource from "../resources/Resource";
+import Transition, { TransitionProperties } from "../transitions/Transition";
+import { Command, CommandGroup } from "./History";
+
+/** Removes an item from an array, returning the index it was at. */
+function removeFrom<T>(array: T[], predicate: (item: T) => boolean): number {
+  const index = array.findIndex(predicate);
+  if (index === -1) throw new Error("item to remove does not exist");
+  array.splice(index, 1);
+  return index;
+}
+
+export class AddResourceCommand implements Command {
+  label = "Add resource";
+
+  /**
+   * @param resource the resource to add
+   * @param index where to insert it, defaults to the end
+   */
+  constructor(public resource: Resource, public index?: number) {}
+
+  apply(backend: VideoBackend) {
+    backend.resources.splice(
+      this.index ?? backend.resources.length,
+      0,
+      this.resource
+    );
+  }
+
+  revert(backend: VideoBackend) {
+    removeFrom(backend.resources, (resource) => resource === this.resource);
+  }
+}
+
+export class RemoveResourceCommand implements Command {
+  label = "Delete resource";
+
+  constructor(public id: number) {}
+
+  #removed: { resource: Resource; index: number } | null = null;
+
+  apply(backend: VideoBackend) {
+    const resource = backend.resourceFromId(this.id);
+    if (!resource) throw new Error(`resource ${this.id} does not exist`);
+    const index = removeFrom(backend.resources, (item) => item === resource);
+    this.#removed = { resource, index };
+  }
+
+  revert(backend: VideoBackend) {
+    if (!this.#removed) return;
+    backend.resources.splice(this.#removed.index, 0, this.#removed.resource);
+  }
+}
+
+/**
+ * Deletes a resource along with its uses, so no clip is left without it.
+ * Clips that show or play it are deleted, and sequences lose its images, or
+ * are deleted if it was their only one.
+ *
+ * @param backend the backend the resource is in
+ * @param resource the resource to delete
+ */
+export function removeResourceAndUses(
+  backend: VideoBackend,
+  resource: Resource
+): CommandGroup {
+  const commands: Command[] = [];
+  for (const clip of backend.clips) {
+    if (!clip.usesResource(resource)) continue;
+    const frames =
+      clip instanceof ImageSequenceClip
+        ? clip.frames.filter((frame) => frame.resource !== resource)
+        : [];
+    commands.push(
+      frames.length > 0
+        ? new SetSequenceFramesCommand(
+            clip as ImageSequenceClip,
+            frames,
+            "Remove frames"
+          )
+        : new RemoveClipCommand(clip.id)
+    );
+  }
+  commands.push(new RemoveResourceCommand(resource.id));
+  return new CommandGroup("Delete resource", commands);
+}
+
+export class AddClipCommand implements Command {
+  label = "Add clip";
+
+  /**
+   * @param clip the clip to add
+   * @param index where to insert it, defaults to the end
+   */
+  constructor(public clip: Clip, public index?: number) {}
+
+  async apply(backend: VideoBackend) {
+    backend.clips.splice(this.index ?? backend.clips.length, 0, this.clip);
+    await this.clip.update();
+  }
+
+  revert(backend: VideoBackend) {
+    removeFrom(backend.clips, (clip) => clip === this.clip);
+  }
+}
+
+/** Deletes a clip along with the transitions into and out of it. */
+export class RemoveClipCommand implements Command {
+  label = "Delete clip";
+
+  constructor(public id: number) {}
+
+  #removed: {
+    clip: Clip;
+    index: number;
+    transitions: Transition[];
+  } | null = null;
+
+  apply(backend: VideoBackend) {
+    const clip = backend.clipFromId(this.id);
+    if (!clip) throw new Error(`clip ${this.id} does not exist`);
+    const index = removeFrom(backend.clips, (item) => item === clip);
+    const transitions = backend.transitions;
+    backend.transitions = transitions.filter(
+      ({ properties }) =>
+        properties.fromClipId !== clip.id && properties.toClipId !== clip.id
+    );
+    this.#removed = { clip, index, transitions };
+  }
+
+  revert(backend: VideoBackend) {
+    if (!this.#removed) return;
+    backend.clips.splice(this.#removed.index, 0, this.#removed.clip);
+    backend.transitions = this.#removed.transitions;
+  }
+}
+
+/** Splits a clip in two, e.g. at the playhead. */
+export class SplitClipCommand implements Command {
+  label = "Split clip";
+
+  /**
+   * @param clip the clip to split
+   * @param time where to split it, in microseconds
+   */
+  constructor(public clip: Clip, public time: number) {
+    const halves = clip.split(time);
+    if (!halves) throw new Error("can't split a clip outside of its length");
+    this.#halves = halves;
+  }
+
+  #halves: [Clip, Clip];
+  /** the transitions out of the clip, which now come from the second half */
+  #outgoing: Transition[] = [];
+
+  async apply(backend: VideoBackend) {
+    const index = removeFrom(backend.clips, (clip) => clip === this.clip);
+    backend.clips.splice(index, 0, ...this.#halves);
+    this.#outgoing = backend.transitions.filter(
+      (transition) => transition.properties.fromClipId === this.clip.id
+    );
+    for (const transition of this.#outgoing) {
+      transition.properties.fromClipId = this.#halves[1].id;
+    }
+    await Promise.all(this.#halves.map((half) => half.update()));
+  }
+
+  revert(backend: VideoBackend) {
+    const index = removeFrom(backend.clips, (clip) => clip === this.#halves[0]);
+    backend.clips.splice(index, 1, this.clip);
+    for (const transition of this.#outgoing) {
+      transition.properties.fromClipId = this.clip.id;
+    }
+  }
+}
+
+/** Swaps out every clip at once, e.g. when regenerating the timeline. */
+export class ReplaceClipsCommand implements Command {
+  label = "Replace clips";
+
+  constructor(public clips: Clip[]) {}
+
+  #previous: Clip[] = [];
+
+  async apply(backend: VideoBackend) {
+    this.#previous = backend.clips;
+    backend.clips = [...this.clips];
+    await Promise.all(this.clips.map((clip) => clip.update()));
+  }
+
+  revert(backend: VideoBackend) {
+    backend.clips = this.#previous;
+  }
+}
+
+/**
+ * Changes the output settings, e.g. from the export dialog. The animation's
+ * frame rate is kept, as changing it retimes the timeline; that's done with
+ * `SetFrameRateCommand` instead.
+ */
+export class SetRenderSettingsCommand implements Command {
+  label = "Change export settings";
+
+  constructor(public settings: RenderSettings) {}
+
+  #previous: RenderSettings | null = null;
+
+  apply(backend: VideoBackend) {
+    this.#previous = backend.renderSettings;
+    backend.renderSettings = { ...this.settings, fps: this.#previous.fps };
+  }
+
+  revert(backend: VideoBackend) {
+    if (this.#previous) backend.renderSettings = this.#previous;
+  }
+}
+
+/**
+ * Changes the animation's frame rate. Holds are counted in frames, so image
+ * sequences are stretched or squashed to match, along with their keyframes
+ * and transitions, and the clips after them on their layer move to keep
+ * their place.
+ */
+export class SetFrameRateCommand implements Command {
+  label = "Change frame rate";
+
+  constructor(public fps: number) {}
+
+  #before: {
+    fps: number;
+    clips: Map<
+      Clip,
+      Pick<ClipProperties, "renderStart" | "keyframes"> & {
+        microsecondsPerFrame?: number;
+      }
+    >;
+    transitions: Map<Transition, number>;
+  } | null = null;
+
+  async apply(backend: VideoBackend) {
+    const clips = new Map(
+      backend.clips.map((clip) => {
+        const { renderStart, keyframes } = clip.properties;
+        const microsecondsPerFrame =
+          clip instanceof ImageSequenceClip
+            ? clip.microsecondsPerFrame
+            : undefined;
+        return [clip, { renderStart, keyframes, microsecondsPerFrame }];
+      })
+    );
+    const transitions = new Map(
+      backend.transitions.map((transition) => [
+        transition,
+        transition.properties.duration,
+      ])
+    );
+    this.#before = { fps: backend.renderSettings.fps, clips, transitions };
+
+    const frameLength = 1e6 / this.fps;
+    const sequences = backend.clips.filter(
+      (clip): clip is ImageSequenceClip => clip instanceof ImageSequenceClip
+    );
+    // how much longer each sequence gets, and where it ended before
+    const growth = sequences.map((clip) => ({
+      clip,
+      end: clip.properties.renderStart + clip.properties.renderLength,
+      change: clip.totalFrames * (frameLength - clip.microsecondsPerFrame),
+    }));
+    for (const clip of backend.clips) {
+      const { layer, renderStart } = clip.properties;
+      for (const { clip: sequence, end, change } of growth) {
+        if (sequence.properties.layer === layer && end <= renderStart) {
+          clip.properties.renderStart += change;
+        }
+      }
+    }
+
+    const retimed = new Set<number>();
+    for (const clip of sequences) {
+      const scale = frameLength / clip.microsecondsPerFrame;
+      const { keyframes } = clip.properties;
+      if (keyframes) {
+        clip.properties.keyframes = Object.fromEntries(
+          Object.entries(keyframes).map(([property, list]) => [
+            property,
+            list.map((keyframe) => ({
+              ...keyframe,
+              time: keyframe.time * scale,
+            })),
+          ])
+        );
+      }
+      for (const transition of backend.transitions) {
+        const { fromClipId, toClipId } = transition.properties;
+        if (retimed.has(transition.id)) continue;
+        if (fromClipId === clip.id || toClipId === clip.id) {
+          transition.properties.duration *= scale;
+          retimed.add(transition.id);
+        }
+      }
+      clip.microsecondsPerFrame = frameLength;
+      await clip.update();
+    }
+    backend.renderSettings = { ...backend.renderSettings, fps: this.fps };
+  }
+
+  async revert(backend: VideoBackend) {
+    if (!this.#before) return;
+    const { fps, clips, transitions } = this.#before;
+    for (const [clip, before] of clips) {
+      clip.properties.renderStart = before.renderStart;
+      clip.properties.keyframes = before.keyframes;
+      if (clip instanceof ImageSequenceClip && before.microsecondsPerFrame) {
+        clip.microsecondsPerFrame = before.microsecondsPerFrame;
+        await clip.update();
+      }
+    }
+    for (const [transition, duration] of transitions) {
+      transition.properties.duration = duration;
+    }
+    backend.renderSettings = { ...backend.renderSettings, fps };
+  }
+}
+
+export class SetClipPropertiesCommand<C extends Clip = Clip>
+  implements Command
+{
+  label = "Change clip properties";
+
+  #before: Partial<C["properties"]>;
+
+  /**
+   * @param clip the clip to change
+   * @param changes the properties to set, which can include those specific to
+   *     the type of clip
+   * @param before the values to restore on undo. defaults to the current
+   *     values, but can be given if the clip was already changed, e.g. while
+   *     dragging it around
+   */
+  constructor(
+    public clip: C,
+    public changes: Partial<C["properties"]>,
+    before?: Partial<C["properties"]>
+  ) {
+    this.#before =
+      before ??
+      (Object.fromEntries(
+        Object.keys(changes).map((key) => [
+          key,
+          clip.properties[key as keyof ClipProperties],
+        ])
+      ) as Partial<C["properties"]>);
+  }
+
+  async apply() {
+    Object.assign(this.clip.properties, this.changes);
+    await this.clip.update();
+  }
+
+  async revert() {
+    Object.assign(this.clip.properties, this.#before);
+    await this.clip.update();
+  }
+}
+
+export class AddTransitionCommand implements Command {
+  label = "Add transition";
+
+  constructor(public transition: Transition) {}
+
+  apply(backend: VideoBackend) {
+    backend.transitions.push(this.transition);
+  }
+
+  revert(backend: VideoBackend) {
+    removeFrom(
+      backend.transitions,
+      (transition) => transition === this.transition
+    );
+  }
+}
+
+export class SetTransitionPropertiesCommand<T extends Transition = Transition>
+  implements Command
+{
+  label = "Change transition";
+
+  #before: Partial<T["properties"]>;
+
+  /**
+   * @param transition the transition to change
+   * @param changes the properties to set, which can include those specific to
+   *     the type of transition
+   */
+  constructor(public transition: T, public changes: Partial<T["properties"]>) {
+    this.#before = Object.fromEntries(
+      Object.keys(changes).map((key) => [
+        key,
+        transition.properties[key as keyof TransitionProperties],
+      ])
+    ) as Partial<T["properties"]>;
+  }
+
+  apply() {
+    Object.assign(this.transition.properties, this.changes);
+  }
+
+  revert() {
+    Object.assign(this.transition.properties, this.#before);
+  }
+}
+
+export class RemoveTransitionCommand implements Command {
+  label = "Delete transition";
+
+  constructor(public id: number) {}
+
+  #removed: { transition: Transition; index: number } | null = null;
+
+  apply(backend: VideoBackend) {
+    const transition = backend.transitionFromId(this.id);
+    if (!transition) throw new Error(`transition ${this.id} does not exist`);
+    const index = removeFrom(
+      backend.transitions,
+      (item) => item === transition
+    );
+    this.#removed = { transition, index };
+  }
+
+  revert(backend: VideoBackend) {
+    if (!this.#removed) return;
+    backend.transitions.splice(
+      this.#removed.index,
+      0,
+      this.#removed.transition
+    );
+  }
+}
+
+/**
+ * Changes the frames of an image sequence, e.g. to reorder them or change
+ * their holds. The clip's length follows the total of the holds, keeping the
+ * length of each frame the same.
+ */
+export class SetSequenceFramesCommand implements Command {
+  #before: SequenceFrame[];
+
+  constructor(
+    public clip: ImageSequenceClip,
+    public frames: SequenceFrame[],
+    public label = "Reorder frames"
+  ) {
+    if (frames.length === 0) throw new Error("sequences need an image");
+    frames.forEach((frame) => validateHold(frame.hold));
+    this.#before = clip.frames;
+  }
+
+  async apply() {
+    this.clip.frames = this.frames.map((frame) => ({ ...frame }));
+    await this.clip.update();
+  }
+
+  async revert() {
+    this.clip.frames = this.#before;
+    await this.clip.update();
+  }
+}
+
+/**
+ * Moves one frame of an image sequence to another position.
+ *
+ * @param clip the sequence
+ * @param from the current index of the frame
+ * @param to the index the frame should end up at
+ */
+export function moveSequenceFrame(
+  clip: ImageSequenceClip,
+  from: number,
+  to: number
+): SetSequenceFramesCommand {
+  const frames = [...clip.frames];
+  const [frame] = frames.splice(from, 1);
+  frames.splice(to, 0, frame);
+  return new SetSequenceFramesCommand(clip, frames);
+}
+
+/**
+ * Holds some of the images of a sequence for a number of frames.
+ *
+ * @param clip the sequence
+ * @param indices the indices of the images to change, or null for all of them
+ * @param hold how many frames to hold each one for
+ */
+export function holdSequenceFrames(
+  clip: ImageSequenceClip,
+  indices: number[] | null,
+  hold: number
+): SetSequenceFramesCommand {
+  const selected = indices && new Set(indices);
+  return new SetSequenceFramesCommand(
+    clip,
+    clip.frames.map((frame, i) =>
+      !selected || selected.has(i) ? { ...frame, hold } : frame
+    ),
+    "Change frame holds"
+  );
+}
@@ -0,0 +1,31 @@
+let lastId = 0;
+
+/** Gets a fresh id for a resource or clip, unique within this session. */
+export function generateId(): number {
+  return ++lastId;
+}
+
+/**
+ * Marks an id as taken, usually because it was loaded from a project file, so
+ * that `generateId` never hands it out again.
+ *
+ * @param id the id that is now in use
+ */
+export function reserveId(id: number) {
+  if (!Number.isInteger(id) || id < 1) {
+    throw new Error(`invalid id ${id}`);
+  }
+  lastId = Math.max(lastId, id);
+}
+
+/**
+ * Uses the given id if one was provided (reserving it), or generates a new one
+ * otherwise.
+ *
+ * @param id the id to use, if any
+ */
+export function claimId(id?: number): number {
+  if (id === undefined) return generateId();
+  reserveId(id);
+  return id;
+}
@@ -0,0 +1,71 @@
+import AudioResource from "../resources/AudioResource";
+import Resource from "../resources/Resource";
+import Clip, { ClipProperties, SerializedClip } from "./Clip";
+
+export interface AudioClipProperties extends ClipProperties {
+  /** how far into the audio the clip starts playing, in microseconds */
+  trimStart: number;
+  /** the volume of the clip, where 1 leaves it unchanged */
+  gain: number;
+}
+
+export interface SerializedAudioClip extends SerializedClip {
+  type: "audio";
+  properties: AudioClipProperties;
+  resourceId: number;
+}
+
+/**
+ * Plays a sound on the timeline. Audio clips don't draw anything, so their
+ * position and rotation are ignored; they're only heard in the mix made by
+ * `mixAudio`.
+ */
+export default class AudioClip extends Clip {
+  declare properties: AudioClipProperties;
+
+  constructor(
+    properties: AudioClipProperties,
+    public resource: AudioResource,
+    id?: number
+  ) {
+    super(properties, id);
+  }
+
+  needsRender(_time: number) {
+    return false;
+  }
+
+  changeTimes(): number[] {
+    return [];
+  }
+
+  usesResource(resource: Resource): boolean {
+    return resource === this.resource;
+  }
+
+  withProperties(properties: ClipProperties, id?: number): AudioClip {
+    return new AudioClip(
+      { ...this.properties, ...properties },
+      this.resource,
+      id
+    );
+  }
+
+  split(time: number): [AudioClip, AudioClip] | null {
+    const halves = super.split(time) as [AudioClip, AudioClip] | null;
+    // the second part carries on from where the first stops
+    if (halves) {
+      halves[1].properties.trimStart += time - this.properties.renderStart;
+    }
+    return halves;
+  }
+
+  serialize(): SerializedAudioClip {
+    return {
+      type: "audio",
+      id: this.id,
+      properties: { ...this.properties },
+      resourceId: this.resource.id,
+    };
+  }
+}
@@ -1,3 +1,12 @@
+import { claimId } from "../ids";
+import type Resource from "../resources/Resource";
+import {
+  Keyframes,
+  keyframeChangeTimes,
+  keyframesAfter,
+  propertiesAt,
+} from "./keyframes";
+
 export interface ClipProperties {
   /** When the clip should start being rendered, in microseconds, inclusive */
   renderStart: number;
@@ -14,6 +23,124 @@ export interface ClipProperties {
   posHeight: number;
 
   rotation: number;
+
+  /**
+   * Which layer the clip is on. Clips on higher layers are drawn over clips on
+   * lower ones, and clips on the same layer are drawn in timeline order.
+   */
+  layer: number;
+  /** In the range 0-1, where 0 is invisible and 1 is fully opaque. */
+  opacity: number;
+  /** How the clip is combined with the layers below it. */
+  blendMode: BlendMode;
+
+  /**
+   * Animates properties over the clip. Animated properties ignore their
+   * static values.
+   */
+  keyframes?: Keyframes;
+}
+
+/** How a clip can be combined with the layers below it. */
+export type BlendMode = Extract<
+  GlobalCompositeOperation,
+  | "source-over"
+  | "multiply"
+  | "screen"
+  | "overlay"
+  | "darken"
+  | "lighten"
+  | "color-dodge"
+  | "color-burn"
+  | "hard-light"
+  | "soft-light"
+  | "difference"
+  | "exclusion"
+  | "hue"
+  | "saturation"
+  | "color"
+  | "luminosity"
+>;
+
+/** The names of the blend modes, for display. */
+export const BLEND_MODES: Record<BlendMode, string> = {
+  "source-over": "Normal",
+  multiply: "Multiply",
+  screen: "Screen",
+  overlay: "Overlay",
+  darken: "Darken",
+  lighten: "Lighten",
+  "color-dodge": "Color dodge",
+  "color-burn": "Color burn",
+  "hard-light": "Hard light",
+  "soft-light": "Soft light",
+  difference: "Difference",
+  exclusion: "Exclusion",
+  hue: "Hue",
+  saturation: "Saturation",
+  color: "Color",
+  luminosity: "Luminosity",
+};
+
+/** The layering properties of clips that don't set them */
+export const DEFAULT_LAYER_PROPERTIES: Pick<
+  ClipProperties,
+  "layer" | "opacity" | "blendMode"
+> = {
+  layer: 0,
+  opacity: 1,
+  blendMode: "source-over",
+};
+
+/**
+ * Makes the properties of a clip that fills the frame and isn't animated.
+ *
+ * @param renderStart when the clip starts, in microseconds
+ * @param renderLength how long the clip lasts, in microseconds
+ * @param layer the layer the clip is on
+ */
+export function createClipProperties(
+  renderStart: number,
+  renderLength: number,
+  layer = 0
+): ClipProperties {
+  return {
+    renderStart,
+    renderLength,
+    posTop: 0,
+    posLeft: 0,
+    posWidth: 1,
+    posHeight: 1,
+    rotation: 0,
+    ...DEFAULT_LAYER_PROPERTIES,
+    layer,
+  };
+}
+
+/**
+ * Sorts clips into the order they're drawn in, from the bottom layer to the
+ * top. The sort is stable, so clips on the same layer keep their order.
+ *
+ * @param clips the clips to sort, which aren't modified
+ */
+export function layerOrder<T extends Clip>(clips: T[]): T[] {
+  return [...clips].sort((a, b) => a.properties.layer - b.properties.layer);
+}
+
+/**
+ * Clips are rendered on the main thread for previews and in a worker for
+ * exports, so they must be able to draw to either kind of context.
+ */
+export type RenderingContext =
+  | CanvasRenderingContext2D
+  | OffscreenCanvasRenderingContext2D;
+
+/** The JSON-compatible form of a clip, as stored in project files. */
+export interface SerializedClip {
+  /** identifies the `Clip` subclass */
+  type: string;
+  id: number;
+  properties: ClipProperties;
 }
 
 interface Clip {
@@ -24,18 +151,20 @@ interface Clip {
    * @param time time relative to the start of the clip, in us
    * @param width width of canvas
    * @param height height of canvas
+   * @param pixelRatio output pixels per pixel of the full-size video
    */
   simpleRender?(
-    canvas: CanvasRenderingContext2D,
+    canvas: RenderingContext,
     time: number,
     width: number,
-    height: number
+    height: number,
+    pixelRatio: number
   ): Promise<void>;
 }
 
 abstract class Clip {
-  constructor(public properties: ClipProperties) {
-    this.id = Math.random();
+  constructor(public properties: ClipProperties, id?: number) {
+    this.id = claimId(id);
   }
 
   id: number;
@@ -55,6 +184,58 @@ abstract class Clip {
     return false;
   }
 
+  /**
+   * Whether any of this clip is between two times.
+   *
+   * @param start the start, in microseconds, inclusive
+   * @param end the end, in microseconds, noninclusive
+   */
+  overlaps(start: number, end: number) {
+    const { renderStart, renderLength } = this.properties;
+    return start < renderStart + renderLength && end > renderStart;
+  }
+
+  /**
+   * Starts loading whatever this clip needs to render between two times, so
+   * rendering doesn't have to wait for it later.
+   *
+   * @param _start the start, in microseconds
+   * @param _end the end, in microseconds
+   * @param _width the width of the canvas
+   * @param _height the height of the canvas
+   */
+  prefetch(_start: number, _end: number, _width: number, _height: number) {}
+
+  /**
+   * Gets the times at which what this clip renders changes, including when it
+   * appears and disappears. Exporters that support variable frame durations
+   * use this to merge identical frames.
+   *
+   * @returns the times, in microseconds, or null if the clip changes
+   *     continuously
+   */
+  changeTimes(): number[] | null {
+    const { renderStart, renderLength, keyframes } = this.properties;
+    const animated = keyframes ? keyframeChangeTimes(keyframes) : [];
+    if (animated === null) return null;
+    return [
+      renderStart,
+      ...animated
+        .filter((time) => time > 0 && time < renderLength)
+        .map((time) => renderStart + time),
+      renderStart + renderLength,
+    ];
+  }
+
+  /**
+   * Gets the clip's properties with animations applied.
+   *
+   * @param time the current time, in microseconds
+   */
+  propertiesAt(time: number): ClipProperties {
+    return propertiesAt(this.properties, time - this.properties.renderStart);
+  }
+
   /**
    * Renders this clip to the frame.
    *
@@ -62,45 +243,103 @@ abstract class Clip {
    * @param time The current time, in microseconds
    * @param width The width of the canvas
    * @param height The height of the canvas
+   * @param pixelRatio Output pixels per pixel of the full-size video, which is
+   *     less than 1 for scaled-down previews
    */
   async render(
-    canvas: CanvasRenderingContext2D,
+    canvas: RenderingContext,
     time: number,
     width: number,
-    height: number
+    height: number,
+    pixelRatio = 1
   ) {
     if (this.simpleRender !== undefined) {
-      // do the transformations here
-      const oldTransform = canvas.getTransform();
+      // do the transformations and compositing here, with any animations
+      // applied
+      const properties = this.propertiesAt(time);
+      canvas.save();
+      canvas.globalAlpha = properties.opacity;
+      canvas.globalCompositeOperation = properties.blendMode;
+      // positions are fractions of the frame, so scale them to pixels
       canvas.transform(
-        this.properties.posWidth,
+        properties.posWidth,
         0,
         0,
-        this.properties.posHeight,
-        this.properties.posLeft,
-        this.properties.posTop
+        properties.posHeight,
+        properties.posLeft * width,
+        properties.posTop * height
       );
       canvas.translate(width / 2, height / 2);
-      canvas.rotate(this.properties.rotation);
+      canvas.rotate(properties.rotation);
       canvas.translate(-width / 2, -height / 2);
       await this.simpleRender(
         canvas,
         time - this.properties.renderStart,
         width,
-        height
+        height,
+        pixelRatio
       );
-      canvas.setTransform(oldTransform);
+      canvas.restore();
     } else {
       // if simpleRender does not exist, clip types should override render
       throw new Error("clip cannot be rendered");
     }
   }
 
+  /**
+   * Creates a copy of this clip with different properties, using the same
+   * resources.
+   *
+   * @param properties the properties of the copy
+   * @param id the id of the copy, or undefined for a new one
+   */
+  abstract withProperties(properties: ClipProperties, id?: number): Clip;
+
+  /**
+   * Checks whether the clip shows or plays a resource, so it can't be kept if
+   * the resource is deleted.
+   *
+   * @param _resource the resource to look for
+   */
+  usesResource(_resource: Resource): boolean {
+    return false;
+  }
+
+  /**
+   * Splits the clip in two at a point in time. This clip isn't changed.
+   *
+   * @param time where to split, in microseconds
+   * @returns the two parts, where the first keeps this clip's id, or null if
+   *     the time isn't inside the clip
+   */
+  split(time: number): [Clip, Clip] | null {
+    const { renderStart, renderLength, keyframes } = this.properties;
+    const offset = time - renderStart;
+    if (offset <= 0 || offset >= renderLength) return null;
+    return [
+      this.withProperties(
+        { ...this.properties, renderLength: offset },
+        this.id
+      ),
+      this.withProperties({
+        ...this.properties,
+        renderStart: time,
+        renderLength: renderLength - offset,
+        keyframes: keyframes && keyframesAfter(keyframes, offset),
+      }),
+    ];
+  }
+
   /**
    * Must be called after changing a property to recalculate things. Also called
    * when a Clip is initialized
    */
   async update(): Promise<void> {}
+
+  /**
+   * Gets the clip as a JSON-compatible object. Resources are referenced by id.
+   */
+  abstract serialize(): SerializedClip;
 }
 
 export default Clip;
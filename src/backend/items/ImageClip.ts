@@ -1,17 +1,88 @@
 import ImageResource from "../resources/ImageResource";
-import Clip, { ClipProperties } from "./Clip";
+import Resource from "../resources/Resource";
+import Clip, { ClipProperties, RenderingContext, SerializedClip } from "./Clip";
+import {
+  ImageClipProperties,
+  decodeSize,
+  drawFittedImage,
+  splitPanZoom,
+} from "./imageFit";
+
+export interface SerializedImageClip extends SerializedClip {
+  type: "image";
+  properties: ImageClipProperties;
+  resourceId: number;
+}
 
 export default class ImageClip extends Clip {
-  constructor(properties: ClipProperties, public resource: ImageResource) {
-    super(properties);
+  declare properties: ImageClipProperties;
+
+  constructor(
+    properties: ImageClipProperties,
+    public resource: ImageResource,
+    id?: number
+  ) {
+    super(properties, id);
+  }
+
+  changeTimes(): number[] | null {
+    // pans and zooms change every frame
+    if (this.properties.panZoom) return null;
+    return super.changeTimes();
+  }
+
+  prefetch(start: number, end: number, width: number, height: number) {
+    if (!this.overlaps(start, end)) return;
+    this.resource.prefetch(decodeSize(this.properties, width, height));
   }
 
   async simpleRender(
-    canvas: CanvasRenderingContext2D,
-    _time: number,
+    canvas: RenderingContext,
+    time: number,
     width: number,
-    height: number
+    height: number,
+    pixelRatio: number
   ) {
-    canvas.drawImage(await this.resource.asImage(), 0, 0, width, height);
+    drawFittedImage(
+      canvas,
+      await this.resource.asBitmap(decodeSize(this.properties, width, height)),
+      width,
+      height,
+      this.properties,
+      time,
+      pixelRatio
+    );
+  }
+
+  usesResource(resource: Resource): boolean {
+    return resource === this.resource;
+  }
+
+  withProperties(properties: ClipProperties, id?: number): ImageClip {
+    return new ImageClip(
+      { ...this.properties, ...properties },
+      this.resource,
+      id
+    );
+  }
+
+  split(time: number): [ImageClip, ImageClip] | null {
+    const halves = super.split(time) as [ImageClip, ImageClip] | null;
+    if (!halves) return null;
+    const panZooms = splitPanZoom(
+      this.properties,
+      time - this.properties.renderStart
+    );
+    halves.forEach((half, i) => (half.properties.panZoom = panZooms[i]));
+    return halves;
+  }
+
+  serialize(): SerializedImageClip {
+    return {
+      type: "image",
+      id: this.id,
+      properties: { ...this.properties },
+      resourceId: this.resource.id,
+    };
   }
 }
@@ -1,34 +1,271 @@
 import ImageResource from "../resources/ImageResource";
-import Clip, { ClipProperties } from "./Clip";
+import Resource from "../resources/Resource";
+import Clip, { ClipProperties, RenderingContext, SerializedClip } from "./Clip";
+import {
+  ImageClipProperties,
+  decodeSize,
+  drawFittedImage,
+  splitPanZoom,
+} from "./imageFit";
+
+/** The most images a sequence starts decoding at once */
+const MAX_PREFETCH_IMAGES = 8;
 
 const clamp = (num: number, min: number, max: number) =>
   Math.min(Math.max(num, min), max);
 
+/** One image of a sequence and how long it's shown for. */
+export interface SequenceFrame {
+  resource: ImageResource;
+  /**
+   * how many frames the image is held for, e.g. 2 for animation shot "on
+   * twos". always a whole number, at least 1.
+   */
+  hold: number;
+}
+
+export interface SerializedImageSequenceClip extends SerializedClip {
+  type: "imageSequence";
+  properties: ImageClipProperties;
+  /** the ids of the frames, in order */
+  resourceIds: number[];
+  /** how many frames each image is held for, in the same order */
+  holds: number[];
+}
+
+/**
+ * Makes the frames of a sequence that shows each image for the same time.
+ *
+ * @param resources the images, in order
+ * @param hold how many frames each image is held for
+ */
+export function sequenceFrames(
+  resources: ImageResource[],
+  hold = 1
+): SequenceFrame[] {
+  return resources.map((resource) => ({ resource, hold }));
+}
+
+/**
+ * Checks a hold count, which must be a whole number of frames.
+ *
+ * @param hold the number of frames
+ */
+export function validateHold(hold: number) {
+  if (!Number.isInteger(hold) || hold < 1) {
+    throw new Error(`hold must be a whole number of frames, not ${hold}`);
+  }
+}
+
+/**
+ * Shows images one after another, each for its hold count of frames. The
+ * clip's length always follows the holds, so images are never sped up or
+ * skipped; it's changed by adding or removing held frames.
+ */
 export default class ImageSequenceClip extends Clip {
-  constructor(properties: ClipProperties, public resources: ImageResource[]) {
-    super(properties);
+  declare properties: ImageClipProperties;
+
+  /**
+   * @param properties the clip's properties. its length is replaced by the
+   *     total of the holds.
+   * @param frames the images, in order, with their holds
+   * @param microsecondsPerFrame how long one frame of a hold lasts, which is
+   *     one frame of the project
+   * @param id the id of the clip, or undefined for a new one
+   */
+  constructor(
+    properties: ImageClipProperties,
+    public frames: SequenceFrame[],
+    public microsecondsPerFrame: number,
+    id?: number
+  ) {
+    super(properties, id);
     this.update();
   }
 
-  microsecondsPerClip: number = 0;
+  /** the sum of the holds, i.e. how many frames the clip lasts */
+  totalFrames: number = 0;
+  /** the frame each image starts at, for finding them by binary search */
+  #frameStarts: number[] = [];
+
   async update(): Promise<void> {
-    this.microsecondsPerClip =
-      this.properties.renderLength / this.resources.length;
+    this.#frameStarts = [];
+    let total = 0;
+    for (const frame of this.frames) {
+      this.#frameStarts.push(total);
+      total += frame.hold;
+    }
+    this.totalFrames = total;
+    this.properties.renderLength = total * this.microsecondsPerFrame;
+  }
+
+  /**
+   * Gets the frames the sequence would have if it were trimmed or extended to
+   * a number of frames. Extending holds the first or last image for longer,
+   * and trimming shortens its hold or drops it.
+   *
+   * @param totalFrames how many frames the sequence should last, at least 1
+   * @param atStart whether to change the start of the sequence rather than
+   *     its end
+   */
+  framesForLength(totalFrames: number, atStart = false): SequenceFrame[] {
+    validateHold(totalFrames);
+    // work from the end, reversing the frames to change the start
+    const frames = (atStart ? [...this.frames].reverse() : this.frames).map(
+      (frame) => ({ ...frame })
+    );
+    let change = totalFrames - this.totalFrames;
+    if (change > 0) frames[frames.length - 1].hold += change;
+    while (change < 0) {
+      const last = frames[frames.length - 1];
+      if (last.hold > -change) {
+        last.hold += change;
+        break;
+      }
+      change += last.hold;
+      frames.pop();
+    }
+    return atStart ? frames.reverse() : frames;
+  }
+
+  /**
+   * Finds the image shown at a frame of the clip, in O(log n) time.
+   *
+   * @param frame counted from the start of the clip
+   * @returns the index of the image in `frames`
+   */
+  frameIndexAt(frame: number): number {
+    // the last image that starts at or before the frame
+    let low = 0;
+    let high = this.frames.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (this.#frameStarts[middle] <= frame) low = middle;
+      else high = middle - 1;
+    }
+    return low;
+  }
+
+  /**
+   * Gets when an image starts to show, relative to the start of the clip.
+   *
+   * @param index the index of the image in `frames`
+   * @returns the time, in microseconds
+   */
+  frameStart(index: number): number {
+    return this.#frameStarts[index] * this.microsecondsPerFrame;
+  }
+
+  changeTimes(): number[] | null {
+    // pans and zooms change every frame
+    if (this.properties.panZoom) return null;
+    const times = super.changeTimes();
+    if (times === null) return null;
+    // each image starts where the previous one ends
+    times.push(
+      ...this.frames.map(
+        (_, i) => this.properties.renderStart + this.frameStart(i)
+      )
+    );
+    return times;
+  }
+
+  prefetch(start: number, end: number, width: number, height: number) {
+    if (!this.overlaps(start, end) || this.frames.length < 1) return;
+    const { renderStart, renderLength } = this.properties;
+    const frameAt = (time: number) =>
+      this.frameIndexAt(
+        Math.floor(
+          (clamp(time, renderStart, renderStart + renderLength - 1) -
+            renderStart) /
+            this.microsecondsPerFrame
+        )
+      );
+    const first = frameAt(start);
+    const last = Math.min(frameAt(end - 1), first + MAX_PREFETCH_IMAGES - 1);
+    const size = decodeSize(this.properties, width, height);
+    for (let i = first; i <= last; i++) {
+      this.frames[i].resource.prefetch(size);
+    }
   }
 
   async simpleRender(
-    canvas: CanvasRenderingContext2D,
+    canvas: RenderingContext,
     time: number,
     width: number,
-    height: number
+    height: number,
+    pixelRatio: number
   ) {
-    if (this.resources.length < 1) return;
-    const resourceIndex = clamp(
-      Math.floor(time / this.microsecondsPerClip),
-      0,
-      this.resources.length - 1
+    if (this.frames.length < 1) return;
+    const { resource } =
+      this.frames[
+        this.frameIndexAt(Math.floor(time / this.microsecondsPerFrame))
+      ];
+    drawFittedImage(
+      canvas,
+      await resource.asBitmap(decodeSize(this.properties, width, height)),
+      width,
+      height,
+      this.properties,
+      time,
+      pixelRatio
+    );
+  }
+
+  usesResource(resource: Resource): boolean {
+    return this.frames.some((frame) => frame.resource === resource);
+  }
+
+  withProperties(properties: ClipProperties, id?: number): ImageSequenceClip {
+    return new ImageSequenceClip(
+      { ...this.properties, ...properties },
+      this.frames,
+      this.microsecondsPerFrame,
+      id
     );
-    const resource = this.resources[resourceIndex];
-    canvas.drawImage(await resource.asImage(), 0, 0, width, height);
+  }
+
+  /**
+   * Splits the sequence at the frame nearest to the time. If that's in the
+   * middle of a held image, the hold is split between the two parts.
+   */
+  split(time: number): [ImageSequenceClip, ImageSequenceClip] | null {
+    const frame = Math.round(
+      (time - this.properties.renderStart) / this.microsecondsPerFrame
+    );
+    const halves = super.split(
+      this.properties.renderStart + frame * this.microsecondsPerFrame
+    ) as [ImageSequenceClip, ImageSequenceClip] | null;
+    if (!halves) return null;
+    const index = this.frameIndexAt(frame);
+    const { resource, hold } = this.frames[index];
+    const held = frame - this.#frameStarts[index];
+    halves[0].frames = [
+      ...this.frames.slice(0, index),
+      ...(held > 0 ? [{ resource, hold: held }] : []),
+    ];
+    halves[1].frames = [
+      { resource, hold: hold - held },
+      ...this.frames.slice(index + 1),
+    ];
+    const panZooms = splitPanZoom(
+      this.properties,
+      frame * this.microsecondsPerFrame
+    );
+    halves.forEach((half, i) => {
+      half.properties.panZoom = panZooms[i];
+      half.update();
+    });
+    return halves;
+  }
+
+  serialize(): SerializedImageSequenceClip {
+    return {
+      type: "imageSequence",
+      id: this.id,
+      properties: { ...this.properties },
+      resourceIds: this.frames.map((frame) => frame.resource.id),
+      holds: this.frames.map((frame) => frame.hold),
+    };
   }
 }
@@ -0,0 +1,253 @@
+import type { BitmapSize } from "../resources/BitmapCache";
+import type { ClipProperties, RenderingContext } from "./Clip";
+import { Easing, ease } from "./keyframes";
+
+/** How an image is sized to fill its clip's area. */
+export type FitMode = "contain" | "cover" | "stretch" | "original";
+
+/** The names of the fit modes, for display. */
+export const FIT_MODES: Record<FitMode, string> = {
+  contain: "Fit (letterbox)",
+  cover: "Fill (crop)",
+  stretch: "Stretch",
+  original: "Original size",
+};
+
+/** A part of an image, in the range 0-1 where 1 is its full width or height. */
+export interface CropRect {
+  left: number;
+  top: number;
+  width: number;
+  height: number;
+}
+
+/**
+ * Moves the crop from one rectangle to another over the length of a clip,
+ * known as the Ken Burns effect.
+ */
+export interface PanZoom {
+  /** the crop at the start of the clip */
+  from: CropRect;
+  /** the crop at the end of the clip */
+  to: CropRect;
+  easing: Easing;
+}
+
+/** The properties of clips that show images. */
+export interface ImageClipProperties extends ClipProperties {
+  fit: FitMode;
+  /**
+   * the CSS color drawn around the image where it doesn't fill the area, or
+   * null to leave it transparent
+   */
+  letterboxColor: string | null;
+  /** the part of the image that's shown */
+  crop: CropRect;
+  /** pans and zooms the crop over the clip, replacing `crop` */
+  panZoom?: PanZoom;
+}
+
+export const FULL_CROP: CropRect = { left: 0, top: 0, width: 1, height: 1 };
+
+/** The image properties of new clips */
+export const DEFAULT_IMAGE_PROPERTIES: Pick<
+  ImageClipProperties,
+  "fit" | "letterboxColor" | "crop"
+> = {
+  fit: "contain",
+  letterboxColor: "#000000",
+  crop: FULL_CROP,
+};
+
+const clamp = (num: number, min: number, max: number) =>
+  Math.min(Math.max(num, min), max);
+
+/**
+ * Finds the crop part of the way from one rectangle to another. The size
+ * changes geometrically, so zooms look like they run at a steady speed, and
+ * the center moves in a straight line.
+ *
+ * @param from the crop at progress 0
+ * @param to the crop at progress 1
+ * @param progress how far between them, from 0 to 1
+ */
+export function interpolateCrop(
+  from: CropRect,
+  to: CropRect,
+  progress: number
+): CropRect {
+  const size = (a: number, b: number) =>
+    a > 0 && b > 0 ? a * (b / a) ** progress : a + (b - a) * progress;
+  const center = (
+    aStart: number,
+    aSize: number,
+    bStart: number,
+    bSize: number
+  ) =>
+    aStart + aSize / 2 + (bStart + bSize / 2 - aStart - aSize / 2) * progress;
+  const width = size(from.width, to.width);
+  const height = size(from.height, to.height);
+  return {
+    left: center(from.left, from.width, to.left, to.width) - width / 2,
+    top: center(from.top, from.height, to.top, to.height) - height / 2,
+    width,
+    height,
+  };
+}
+
+/**
+ * Gets the part of the image a clip shows at a point in time.
+ *
+ * @param properties the clip's properties
+ * @param time relative to the start of the clip, in microseconds
+ */
+export function cropAt(
+  { crop, panZoom, renderLength }: ImageClipProperties,
+  time: number
+): CropRect {
+  if (!panZoom) return crop;
+  const progress = clamp(time / renderLength, 0, 1);
+  return interpolateCrop(
+    panZoom.from,
+    panZoom.to,
+    ease(panZoom.easing, progress)
+  );
+}
+
+/**
+ * Splits a pan and zoom between the two parts of a split clip, so the motion
+ * carries on where it left off. Eased motion is only approximated, as each
+ * part uses the whole easing curve.
+ *
+ * @param properties the properties of the clip being split
+ * @param offset where it's split, relative to its start, in microseconds
+ */
+export function splitPanZoom(
+  properties: ImageClipProperties,
+  offset: number
+): [PanZoom | undefined, PanZoom | undefined] {
+  const { panZoom } = properties;
+  if (!panZoom) return [undefined, undefined];
+  const middle = cropAt(properties, offset);
+  return [
+    { ...panZoom, to: middle },
+    { ...panZoom, from: middle },
+  ];
+}
+
+/**
+ * Works out how big an image must be decoded to stay sharp when it's drawn,
+ * allowing for the tightest crop and the biggest scale the clip reaches.
+ *
+ * @param properties the clip's properties
+ * @param width the width of the area
+ * @param height the height of the area
+ * @returns the size the image must cover, or undefined if it's needed at
+ *     full size
+ */
+export function decodeSize(
+  properties: ImageClipProperties,
+  width: number,
+  height: number
+): BitmapSize | undefined {
+  // original size needs every pixel
+  if (properties.fit === "original") return undefined;
+  const { crop, panZoom, keyframes } = properties;
+  const crops = panZoom ? [panZoom.from, panZoom.to] : [crop];
+  const largest = (property: "posWidth" | "posHeight") =>
+    Math.max(
+      1,
+      properties[property],
+      ...(keyframes?.[property] ?? []).map((keyframe) => keyframe.value)
+    );
+  const cropWidth = Math.min(...crops.map((crop) => crop.width));
+  const cropHeight = Math.min(...crops.map((crop) => crop.height));
+  if (cropWidth <= 0 || cropHeight <= 0) return undefined;
+  return {
+    width: Math.ceil((width * largest("posWidth")) / cropWidth),
+    height: Math.ceil((height * largest("posHeight")) / cropHeight),
+  };
+}
+
+/**
+ * Draws an image into an area, cropped and sized by the clip's properties.
+ * Crops are taken from the full-size image, so zooming in stays sharp.
+ *
+ * @param canvas the canvas to draw to
+ * @param image the image
+ * @param width the width of the area
+ * @param height the height of the area
+ * @param properties the clip's properties
+ * @param time relative to the start of the clip, in microseconds
+ * @param pixelRatio output pixels per image pixel at original size, which is
+ *     less than 1 when rendering small previews
+ */
+export function drawFittedImage(
+  canvas: RenderingContext,
+  image: ImageBitmap,
+  width: number,
+  height: number,
+  properties: ImageClipProperties,
+  time: number,
+  pixelRatio: number
+) {
+  const { fit, letterboxColor } = properties;
+  const crop = cropAt(properties, time);
+  // the part of the image to draw, kept inside the image
+  const left = clamp(crop.left, 0, 1);
+  const top = clamp(crop.top, 0, 1);
+  let sx = left * image.width;
+  let sy = top * image.height;
+  let sw = clamp(crop.width, 0, 1 - left) * image.width;
+  let sh = clamp(crop.height, 0, 1 - top) * image.height;
+  if (sw <= 0 || sh <= 0) return;
+
+  let dw = width;
+  let dh = height;
+  switch (fit) {
+    case "contain": {
+      const scale = Math.min(width / sw, height / sh);
+      dw = sw * scale;
+      dh = sh * scale;
+      break;
+    }
+    case "cover": {
+      // crop the source further so it has the same shape as the area
+      const scale = Math.max(width / sw, height / sh);
+      sx += (sw - width / scale) / 2;
+      sy += (sh - height / scale) / 2;
+      sw = width / scale;
+      sh = height / scale;
+      break;
+    }
+    case "original":
+      dw = sw * pixelRatio;
+      dh = sh * pixelRatio;
+      break;
+  }
+
+  canvas.save();
+  canvas.imageSmoothingQuality = "high";
+  if (fit === "original") {
+    // big images are cut off at the edges of the area
+    canvas.beginPath();
+    canvas.rect(0, 0, width, height);
+    canvas.clip();
+  }
+  if (letterboxColor !== null && (dw < width || dh < height)) {
+    canvas.fillStyle = letterboxColor;
+    canvas.fillRect(0, 0, width, height);
+  }
+  canvas.drawImage(
+    image,
+    sx,
+    sy,
+    sw,
+    sh,
+    (width - dw) / 2,
+    (height - dh) / 2,
+    dw,
+    dh
+  );
+  canvas.restore();
+}
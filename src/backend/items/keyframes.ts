@@ -0,0 +1,234 @@
+import type { ClipProperties } from "./Clip";
+
+/** The clip properties that can be animated. */
+export type AnimatableProperty =
+  | "posTop"
+  | "posLeft"
+  | "posWidth"
+  | "posHeight"
+  | "rotation"
+  | "opacity";
+
+export const ANIMATABLE_PROPERTIES: AnimatableProperty[] = [
+  "posTop",
+  "posLeft",
+  "posWidth",
+  "posHeight",
+  "rotation",
+  "opacity",
+];
+
+/**
+ * How a value moves from one keyframe to the next. `hold` keeps the value
+ * until the next keyframe, and cubic Béziers work like CSS `cubic-bezier()`.
+ */
+export type Easing =
+  | "linear"
+  | "easeIn"
+  | "easeOut"
+  | "easeInOut"
+  | "hold"
+  | { type: "cubicBezier"; x1: number; y1: number; x2: number; y2: number };
+
+/** The names of the easings that don't need any settings, for display. */
+export const EASING_NAMES: Record<Exclude<Easing, object | "hold">, string> = {
+  linear: "Linear",
+  easeIn: "Ease in",
+  easeOut: "Ease out",
+  easeInOut: "Ease in and out",
+};
+
+export interface Keyframe {
+  /** relative to the start of the clip, in microseconds */
+  time: number;
+  value: number;
+  /** how the value moves towards the next keyframe */
+  easing: Easing;
+}
+
+/**
+ * The keyframes of each animated property, sorted by time. Arrays are
+ * replaced rather than modified so edits can be undone.
+ */
+export type Keyframes = Partial<Record<AnimatableProperty, Keyframe[]>>;
+
+/** The control points of the CSS easing keywords */
+const EASING_CURVES = {
+  easeIn: [0.42, 0, 1, 1],
+  easeOut: [0, 0, 0.58, 1],
+  easeInOut: [0.42, 0, 0.58, 1],
+} as const;
+
+/**
+ * Evaluates a cubic Bézier easing curve from (0, 0) to (1, 1).
+ *
+ * @param x progress through the segment, from 0 to 1
+ */
+export function cubicBezier(
+  x1: number,
+  y1: number,
+  x2: number,
+  y2: number,
+  x: number
+): number {
+  const sample = (t: number, p1: number, p2: number) =>
+    3 * (1 - t) * (1 - t) * t * p1 + 3 * (1 - t) * t * t * p2 + t * t * t;
+  const slope = (t: number, p1: number, p2: number) =>
+    3 * (1 - t) * (1 - t) * p1 +
+    6 * (1 - t) * t * (p2 - p1) +
+    3 * t * t * (1 - p2);
+
+  // find the t that gives x, first with Newton's method then by bisection
+  let t = x;
+  for (let i = 0; i < 8; i++) {
+    const error = sample(t, x1, x2) - x;
+    if (Math.abs(error) < 1e-6) return sample(t, y1, y2);
+    const derivative = slope(t, x1, x2);
+    if (Math.abs(derivative) < 1e-6) break;
+    t -= error / derivative;
+  }
+  let low = 0;
+  let high = 1;
+  t = x;
+  for (let i = 0; i < 30; i++) {
+    const value = sample(t, x1, x2);
+    if (Math.abs(value - x) < 1e-6) break;
+    if (value < x) low = t;
+    else high = t;
+    t = (low + high) / 2;
+  }
+  return sample(t, y1, y2);
+}
+
+/**
+ * Applies an easing to the progress through a segment.
+ *
+ * @param easing the easing of the segment
+ * @param progress from 0 to 1
+ */
+export function ease(easing: Easing, progress: number): number {
+  if (easing === "linear") return progress;
+  if (easing === "hold") return 0;
+  const [x1, y1, x2, y2] =
+    typeof easing === "string"
+      ? EASING_CURVES[easing]
+      : [easing.x1, easing.y1, easing.x2, easing.y2];
+  return cubicBezier(x1, y1, x2, y2, progress);
+}
+
+/**
+ * Finds the value of an animated property.
+ *
+ * @param keyframes the property's keyframes, sorted by time
+ * @param time relative to the start of the clip, in microseconds
+ * @returns the value, or undefined if there are no keyframes
+ */
+export function evaluateKeyframes(
+  keyframes: Keyframe[],
+  time: number
+): number | undefined {
+  if (keyframes.length === 0) return undefined;
+  if (time <= keyframes[0].time) return keyframes[0].value;
+  for (let i = 0; i < keyframes.length - 1; i++) {
+    const from = keyframes[i];
+    const to = keyframes[i + 1];
+    if (time < to.time) {
+      const progress = (time - from.time) / (to.time - from.time);
+      return from.value + (to.value - from.value) * ease(from.easing, progress);
+    }
+  }
+  return keyframes[keyframes.length - 1].value;
+}
+
+/**
+ * Gets a clip's properties at a point in time, with every animated property
+ * set to its current value.
+ *
+ * @param properties the clip's properties
+ * @param time relative to the start of the clip, in microseconds
+ */
+export function propertiesAt<P extends ClipProperties>(
+  properties: P,
+  time: number
+): P {
+  const { keyframes } = properties;
+  if (!keyframes) return properties;
+  const result = { ...properties };
+  for (const property of ANIMATABLE_PROPERTIES) {
+    const value = evaluateKeyframes(keyframes[property] ?? [], time);
+    if (value !== undefined) result[property] = value;
+  }
+  return result;
+}
+
+/**
+ * Gets the times at which animated properties change, for
+ * `Clip.changeTimes`.
+ *
+ * @param keyframes the clip's keyframes
+ * @returns the times relative to the start of the clip, in microseconds, or
+ *     null if any property changes continuously
+ */
+export function keyframeChangeTimes(keyframes: Keyframes): number[] | null {
+  const times: number[] = [];
+  for (const property of ANIMATABLE_PROPERTIES) {
+    const propertyKeyframes = keyframes[property] ?? [];
+    for (let i = 0; i < propertyKeyframes.length - 1; i++) {
+      const from = propertyKeyframes[i];
+      const to = propertyKeyframes[i + 1];
+      if (from.easing !== "hold" && from.value !== to.value) return null;
+      times.push(to.time);
+    }
+  }
+  return times;
+}
+
+/**
+ * Adds or replaces the keyframe at a time, keeping the keyframes sorted.
+ *
+ * @param keyframes the existing keyframes, which aren't modified
+ * @param keyframe the keyframe to add
+ * @returns the new keyframes
+ */
+export function setKeyframe(
+  keyframes: Keyframe[],
+  keyframe: Keyframe
+): Keyframe[] {
+  return [
+    ...keyframes.filter((existing) => existing.time !== keyframe.time),
+    keyframe,
+  ].sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Gets the keyframes for the part of a clip after a point, e.g. when it's
+ * split in two. The value at that point becomes the first keyframe.
+ *
+ * @param keyframes the clip's keyframes
+ * @param offset where the new part starts, relative to the start of the clip,
+ *     in microseconds
+ */
+export function keyframesAfter(
+  keyframes: Keyframes,
+  offset: number
+): Keyframes {
+  const result: Keyframes = {};
+  for (const property of ANIMATABLE_PROPERTIES) {
+    const propertyKeyframes = keyframes[property];
+    if (!propertyKeyframes?.length) continue;
+    const current = [...propertyKeyframes]
+      .reverse()
+      .find((keyframe) => keyframe.time <= offset);
+    result[property] = [
+      {
+        time: 0,
+        value: evaluateKeyframes(propertyKeyframes, offset)!,
+        easing: current?.easing ?? "linear",
+      },
+      ...propertyKeyframes
+        .filter((keyframe) => keyframe.time > offset)
+        .map((keyframe) => ({ ...keyframe, time: keyframe.time - offset })),
+    ];
+  }
+  return result;
+}
@@ -0,0 +1,385 @@
+import OutputSink from "../render/OutputSink";
+import {
+  IDENTITY_MATRIX,
+  ascii,
+  box,
+  concat,
+  fixed16,
+  fullBox,
+  i16,
+  i32,
+  u16,
+  u32,
+  u64,
+  u8,
+  zeros,
+} from "./boxes";
+
+/** Timescale of the movie header, in units per second */
+const MOVIE_TIMESCALE = 1000;
+/** Timescale of the video track. Chunk timestamps are in microseconds. */
+const TRACK_TIMESCALE = 1e6;
+const TRACK_ID = 1;
+/** Fragments are cut early if they grow beyond this many bytes */
+const MAX_FRAGMENT_SIZE = 32 * 1024 * 1024;
+
+const KEY_SAMPLE_FLAGS = 0x02000000; // sample_depends_on = 2 (I-frame)
+const DELTA_SAMPLE_FLAGS = 0x01010000; // depends_on = 1, is_non_sync_sample
+
+export interface Mp4WriterOptions {
+  /** the file to write to, or null to build the video in memory */
+  fileWriter: FileSystemWritableFileStream | null;
+  width: number;
+  height: number;
+  /** the WebCodecs codec string the video was encoded with */
+  codec: string;
+}
+
+interface Sample {
+  data: Uint8Array;
+  /** in microseconds */
+  timestamp: number;
+  /** in microseconds, or null until the next sample arrives */
+  duration: number | null;
+  keyFrame: boolean;
+}
+
+/**
+ * Parses the dotted fields of a codec string, e.g. "vp09.00.10.08" becomes
+ * [0, 10, 8].
+ */
+function codecFields(codec: string): string[] {
+  return codec.split(".").slice(1);
+}
+
+/** Builds the vpcC box for VP9 from its codec string. */
+function vpcC(codec: string): Uint8Array {
+  const [profile = "0", level = "10", bitDepth = "8", chroma = "1"] =
+    codecFields(codec);
+  return fullBox(
+    "vpcC",
+    1,
+    0,
+    u8(parseInt(profile)),
+    u8(parseInt(level)),
+    // bitDepth (4), chromaSubsampling (3), videoFullRangeFlag (1)
+    u8((parseInt(bitDepth) << 4) | (parseInt(chroma) << 1)),
+    u8(1), // colourPrimaries: BT.709
+    u8(1), // transferCharacteristics: BT.709
+    u8(1), // matrixCoefficients: BT.709
+    u16(0) // codecInitializationDataSize
+  );
+}
+
+/** Builds the av1C box for AV1 from its codec string. */
+function av1C(codec: string): Uint8Array {
+  const [profile = "0", levelAndTier = "00M", bitDepth = "08"] =
+    codecFields(codec);
+  const level = parseInt(levelAndTier.slice(0, 2));
+  const highTier = levelAndTier[2] === "H" ? 1 : 0;
+  const highBitDepth = parseInt(bitDepth) > 8 ? 1 : 0;
+  const twelveBit = parseInt(bitDepth) === 12 ? 1 : 0;
+  return box(
+    "av1C",
+    u8(0x81), // marker, version 1
+    u8((parseInt(profile) << 5) | level),
+    // tier, high_bitdepth, twelve_bit, monochrome, chroma_subsampling_x/y,
+    // chroma_sample_position
+    u8((highTier << 7) | (highBitDepth << 6) | (twelveBit << 5) | 0b1100),
+    u8(0) // no initial_presentation_delay
+  );
+}
+
+/**
+ * Writes fragmented MP4 files from `EncodedVideoChunk`s. Fragmented files
+ * only need the sample tables for a few seconds of video at a time, so they
+ * can be streamed to disk like WebM files.
+ *
+ * Supports H.264 (avc1), VP9 (vp09) and AV1 (av01) video. Chunks must be added
+ * in decoding order, and it's assumed that matches presentation order, as the
+ * WebCodecs encoders don't produce B-frames.
+ */
+export default class Mp4Writer {
+  constructor(public options: Mp4WriterOptions) {
+    this.#sink = new OutputSink(options.fileWriter);
+  }
+
+  #sink: OutputSink;
+  #headerWritten = false;
+  #pending: Sample[] = [];
+  #pendingSize = 0;
+  #sequenceNumber = 1;
+  #firstTimestamp: number | null = null;
+  /** the end of the latest sample, relative to the first one */
+  #endTime = 0;
+  /** where the duration in the mehd box is, so it can be filled in later */
+  #mehdDurationOffset = 0;
+
+  #sampleEntry(description: Uint8Array | null): Uint8Array {
+    const { codec, width, height } = this.options;
+    const format = codec.slice(0, 4);
+    let config: Uint8Array;
+    switch (format) {
+      case "avc1":
+      case "avc3":
+        if (!description) {
+          throw new Error("the encoder didn't provide an avcC description");
+        }
+        config = box("avcC", description);
+        break;
+      case "vp09":
+        config = vpcC(codec);
+        break;
+      case "av01":
+        // prefer the encoder's own av1C, which includes the sequence header
+        config = description ? box("av1C", description) : av1C(codec);
+        break;
+      default:
+        throw new Error(`the ${codec} codec can't be written to MP4 files`);
+    }
+    return box(
+      format === "avc3" ? "avc1" : format,
+      zeros(6), // reserved
+      u16(1), // data_reference_index
+      zeros(16), // pre_defined and reserved
+      u16(width),
+      u16(height),
+      fixed16(72), // horizresolution
+      fixed16(72), // vertresolution
+      zeros(4), // reserved
+      u16(1), // frame_count
+      zeros(32), // compressorname
+      u16(0x18), // depth
+      i16(-1), // pre_defined
+      config
+    );
+  }
+
+  #writeHeader(description: Uint8Array | null) {
+    const { width, height } = this.options;
+    const ftyp = box(
+      "ftyp",
+      ascii("iso5"), // major_brand
+      u32(512), // minor_version
+      ascii("iso5"),
+      ascii("iso6"),
+      ascii("mp41")
+    );
+    const mvhd = fullBox(
+      "mvhd",
+      0,
+      0,
+      u32(0), // creation_time
+      u32(0), // modification_time
+      u32(MOVIE_TIMESCALE),
+      u32(0), // duration, which is in the fragments
+      fixed16(1), // rate
+      u16(0x0100), // volume
+      zeros(10), // reserved
+      IDENTITY_MATRIX,
+      zeros(24), // pre_defined
+      u32(TRACK_ID + 1) // next_track_ID
+    );
+    const tkhd = fullBox(
+      "tkhd",
+      0,
+      0x3, // enabled, in movie
+      u32(0), // creation_time
+      u32(0), // modification_time
+      u32(TRACK_ID),
+      zeros(4), // reserved
+      u32(0), // duration
+      zeros(8), // reserved
+      u16(0), // layer
+      u16(0), // alternate_group
+      u16(0), // volume
+      zeros(2), // reserved
+      IDENTITY_MATRIX,
+      fixed16(width),
+      fixed16(height)
+    );
+    const mdia = box(
+      "mdia",
+      fullBox(
+        "mdhd",
+        0,
+        0,
+        u32(0), // creation_time
+        u32(0), // modification_time
+        u32(TRACK_TIMESCALE),
+        u32(0), // duration
+        u16(0x55c4), // language: "und"
+        u16(0) // pre_defined
+      ),
+      fullBox(
+        "hdlr",
+        0,
+        0,
+        u32(0), // pre_defined
+        ascii("vide"),
+        zeros(12), // reserved
+        ascii("VideoHandler\0")
+      ),
+      box(
+        "minf",
+        fullBox("vmhd", 0, 1, zeros(8)),
+        box("dinf", fullBox("dref", 0, 0, u32(1), fullBox("url ", 0, 1))),
+        box(
+          "stbl",
+          fullBox("stsd", 0, 0, u32(1), this.#sampleEntry(description)),
+          // the samples themselves are all described in the fragments
+          fullBox("stts", 0, 0, u32(0)),
+          fullBox("stsc", 0, 0, u32(0)),
+          fullBox("stsz", 0, 0, u32(0), u32(0)),
+          fullBox("stco", 0, 0, u32(0))
+        )
+      )
+    );
+    const mehd = fullBox("mehd", 1, 0, u64(0));
+    const mvex = box(
+      "mvex",
+      mehd,
+      fullBox(
+        "trex",
+        0,
+        0,
+        u32(TRACK_ID),
+        u32(1), // default_sample_description_index
+        u32(0), // default_sample_duration
+        u32(0), // default_sample_size
+        u32(0) // default_sample_flags
+      )
+    );
+    const moov = box("moov", mvhd, box("trak", tkhd, mdia), mvex);
+
+    const header = concat([ftyp, moov]);
+    // the duration is the last 8 bytes of the mehd box, which is the first
+    // thing in mvex, which is the last thing in moov
+    this.#mehdDurationOffset =
+      this.#sink.length + header.byteLength - mvex.byteLength + 8 + 12;
+    this.#sink.write(header);
+    this.#headerWritten = true;
+  }
+
+  #buildMoof(dataOffset: number): Uint8Array {
+    const samples = this.#pending;
+    const trun = fullBox(
+      "trun",
+      0,
+      // data-offset, sample-duration, sample-size and sample-flags present
+      0x000001 | 0x000100 | 0x000200 | 0x000400,
+      u32(samples.length),
+      i32(dataOffset),
+      ...samples.flatMap((sample) => [
+        u32(sample.duration ?? 0),
+        u32(sample.data.byteLength),
+        u32(sample.keyFrame ? KEY_SAMPLE_FLAGS : DELTA_SAMPLE_FLAGS),
+      ])
+    );
+    return box(
+      "moof",
+      fullBox("mfhd", 0, 0, u32(this.#sequenceNumber)),
+      box(
+        "traf",
+        fullBox("tfhd", 0, 0x020000, u32(TRACK_ID)), // default-base-is-moof
+        fullBox(
+          "tfdt",
+          1,
+          0,
+          u64(samples[0].timestamp - (this.#firstTimestamp ?? 0))
+        ),
+        trun
+      )
+    );
+  }
+
+  /** Writes the pending samples as a fragment. */
+  #flushFragment() {
+    const samples = this.#pending;
+    if (samples.length === 0) return;
+    // the last sample's duration is only known once the next one arrives
+    const last = samples[samples.length - 1];
+    last.duration ??= samples[samples.length - 2]?.duration ?? 0;
+
+    // the data offset is relative to the start of the moof, and doesn't
+    // change its size
+    const moofLength = this.#buildMoof(0).byteLength;
+    const moof = this.#buildMoof(moofLength + 8);
+    this.#sink.write(moof);
+    this.#sink.write(concat([u32(this.#pendingSize + 8), ascii("mdat")]));
+    samples.forEach((sample) => this.#sink.write(sample.data));
+
+    this.#endTime =
+      last.timestamp + last.duration - (this.#firstTimestamp ?? 0);
+    this.#sequenceNumber++;
+    this.#pending = [];
+    this.#pendingSize = 0;
+  }
+
+  /**
+   * Adds a frame to the video.
+   *
+   * @param chunk an encoded frame from a VideoEncoder
+   * @param metadata the metadata the VideoEncoder supplied with the frame. The
+   *     decoder configuration of the first frame is written to the header.
+   */
+  addFrame(chunk: EncodedVideoChunk, metadata?: EncodedVideoChunkMetadata) {
+    if (!this.#headerWritten) {
+      const description = metadata?.decoderConfig?.description;
+      this.#writeHeader(
+        description
+          ? ArrayBuffer.isView(description)
+            ? new Uint8Array(
+                description.buffer,
+                description.byteOffset,
+                description.byteLength
+              ).slice()
+            : new Uint8Array(description).slice()
+          : null
+      );
+    }
+    this.#firstTimestamp ??= chunk.timestamp;
+
+    const data = new Uint8Array(chunk.byteLength);
+    chunk.copyTo(data);
+    const sample: Sample = {
+      data,
+      timestamp: chunk.timestamp,
+      duration: chunk.duration,
+      keyFrame: chunk.type === "key",
+    };
+
+    const previous = this.#pending[this.#pending.length - 1];
+    if (previous && previous.duration === null) {
+      previous.duration = sample.timestamp - previous.timestamp;
+    }
+    // start each fragment on a keyframe so players can seek to it
+    if (
+      sample.keyFrame ||
+      this.#pendingSize + data.byteLength > MAX_FRAGMENT_SIZE
+    ) {
+      this.#flushFragment();
+    }
+    this.#pending.push(sample);
+    this.#pendingSize += data.byteLength;
+  }
+
+  /**
+   * Finishes writing the video.
+   *
+   * @returns the video, if it was built in memory
+   */
+  complete(): Promise<Blob | null> {
+    if (!this.#headerWritten) this.#writeHeader(null);
+    this.#flushFragment();
+    this.#sink.patch(
+      this.#mehdDurationOffset,
+      u64((this.#endTime / TRACK_TIMESCALE) * MOVIE_TIMESCALE)
+    );
+    return this.#sink.complete("video/mp4");
+  }
+
+  getWrittenSize(): number {
+    return this.#sink.length;
+  }
+}
@@ -0,0 +1,105 @@
+/**
+ * Helpers for building ISO BMFF (MP4) boxes. Each helper returns the encoded
+ * bytes, and boxes are built by concatenating their fields and children.
+ */
+
+export function u8(value: number): Uint8Array {
+  return new Uint8Array([value & 0xff]);
+}
+
+export function u16(value: number): Uint8Array {
+  const bytes = new Uint8Array(2);
+  new DataView(bytes.buffer).setUint16(0, value);
+  return bytes;
+}
+
+export function i16(value: number): Uint8Array {
+  const bytes = new Uint8Array(2);
+  new DataView(bytes.buffer).setInt16(0, value);
+  return bytes;
+}
+
+export function u24(value: number): Uint8Array {
+  return new Uint8Array([
+    (value >> 16) & 0xff,
+    (value >> 8) & 0xff,
+    value & 0xff,
+  ]);
+}
+
+export function u32(value: number): Uint8Array {
+  const bytes = new Uint8Array(4);
+  new DataView(bytes.buffer).setUint32(0, value);
+  return bytes;
+}
+
+export function i32(value: number): Uint8Array {
+  const bytes = new Uint8Array(4);
+  new DataView(bytes.buffer).setInt32(0, value);
+  return bytes;
+}
+
+export function u64(value: number): Uint8Array {
+  const bytes = new Uint8Array(8);
+  new DataView(bytes.buffer).setBigUint64(0, BigInt(Math.round(value)));
+  return bytes;
+}
+
+/** A 16.16 fixed-point number */
+export function fixed16(value: number): Uint8Array {
+  return u32(Math.round(value * 0x10000));
+}
+
+/** An ASCII string, without a terminator */
+export function ascii(text: string): Uint8Array {
+  return new Uint8Array([...text].map((char) => char.charCodeAt(0)));
+}
+
+export function zeros(length: number): Uint8Array {
+  return new Uint8Array(length);
+}
+
+export function concat(parts: Uint8Array[]): Uint8Array {
+  const result = new Uint8Array(
+    parts.reduce((length, part) => length + part.byteLength, 0)
+  );
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.byteLength;
+  }
+  return result;
+}
+
+/**
+ * Builds a box.
+ *
+ * @param type the four-character box type
+ * @param contents the fields and child boxes, in order
+ */
+export function box(type: string, ...contents: Uint8Array[]): Uint8Array {
+  const payload = concat(contents);
+  return concat([u32(payload.byteLength + 8), ascii(type), payload]);
+}
+
+/**
+ * Builds a box that starts with a version and flags.
+ *
+ * @param type the four-character box type
+ * @param version the version of the box
+ * @param flags the box flags
+ * @param contents the fields and child boxes, in order
+ */
+export function fullBox(
+  type: string,
+  version: number,
+  flags: number,
+  ...contents: Uint8Array[]
+): Uint8Array {
+  return box(type, u8(version), u24(flags), ...contents);
+}
+
+/** The identity transformation matrix used in mvhd and tkhd */
+export const IDENTITY_MATRIX = concat(
+  [0x10000, 0, 0, 0, 0x10000, 0, 0, 0, 0x40000000].map(u32)
+);
@@ -0,0 +1,429 @@
+import VideoBackend from "../VideoBackend";
+import History from "../history/History";
+import {
+  ProjectManifest,
+  loadProjectSnapshot,
+  serializeProject,
+} from "./ProjectFile";
+import {
+  FILES_STORE,
+  PROJECTS_STORE,
+  openDatabase,
+  projectFilesRange,
+  requestResult,
+  transactionDone,
+} from "./database";
+
+/** How long to wait after an edit before saving, in milliseconds */
+export const DEFAULT_AUTOSAVE_DELAY = 2000;
+/** How many autosaved projects are kept, counting the open one */
+export const MAX_RECENT_PROJECTS = 10;
+export const UNTITLED_PROJECT = "Untitled project";
+
+/** An autosaved project, without its contents. */
+export interface RecentProject {
+  id: string;
+  name: string;
+  /** when it was last saved, as a timestamp in milliseconds */
+  savedAt: number;
+}
+
+interface StoredProject extends RecentProject {
+  manifest: ProjectManifest;
+}
+
+/**
+ * The file of a resource. Files picked with the file system access API are
+ * stored as their handles, which are much smaller than a copy of the bytes.
+ */
+interface StoredFile {
+  projectId: string;
+  resourceId: number;
+  file?: File;
+  handle?: FileSystemFileHandle;
+}
+
+export type AutosaveStatus =
+  | { state: "idle" }
+  | { state: "saving" }
+  | { state: "saved"; at: number }
+  | { state: "error"; message: string };
+
+function isQuotaError(e: unknown) {
+  return e instanceof DOMException && e.name === "QuotaExceededError";
+}
+
+/** An autosaved project that can't be restored until files are reconnected. */
+export interface PendingRestore {
+  id: string;
+  name: string;
+  /** the files the browser needs permission to read again */
+  handles: FileSystemFileHandle[];
+}
+
+/**
+ * Saves the open project to IndexedDB shortly after every edit, so work
+ * survives the tab or the browser crashing. The files of resources are only
+ * written once each, rather than on every save.
+ *
+ * A "status" event is dispatched whenever `status` changes, and a "projects"
+ * event when the list of recent projects may have changed.
+ */
+export default class Autosave extends EventTarget {
+  constructor(
+    public backend: VideoBackend,
+    public history: History,
+    public delay = DEFAULT_AUTOSAVE_DELAY
+  ) {
+    super();
+  }
+
+  /** identifies the open project in the database */
+  projectId: string = crypto.randomUUID();
+  projectName: string = UNTITLED_PROJECT;
+  status: AutosaveStatus = { state: "idle" };
+  /**
+   * a project `restore` was asked not to request permissions for, which
+   * `reconnect` can finish restoring
+   */
+  pendingRestore: PendingRestore | null = null;
+
+  #database: Promise<IDBDatabase> | null = null;
+  /** the resources of the open project whose files are in the database */
+  #savedFiles = new Set<number>();
+  /** the handles files were picked with, so they can be stored instead */
+  #handles = new WeakMap<File, FileSystemFileHandle>();
+  #timeout: number | null = null;
+  /** makes sure saves run one after another */
+  #queue: Promise<void> = Promise.resolve();
+  #started = false;
+
+  #setStatus(status: AutosaveStatus) {
+    this.status = status;
+    this.dispatchEvent(new Event("status"));
+  }
+
+  #open(): Promise<IDBDatabase> {
+    if (!this.#database) {
+      this.#database = openDatabase();
+      // try again next time if it couldn't be opened
+      this.#database.catch(() => (this.#database = null));
+    }
+    return this.#database;
+  }
+
+  #onChange = () => this.schedule();
+
+  #onHide = () => {
+    if (document.visibilityState === "hidden") this.flush();
+  };
+
+  /**
+   * Starts saving after every change to the history, and when the page is
+   * hidden or closed.
+   */
+  start() {
+    if (this.#started) return;
+    this.#started = true;
+    this.history.addEventListener("change", this.#onChange);
+    document.addEventListener("visibilitychange", this.#onHide);
+    window.addEventListener("pagehide", this.#onHide);
+    // ask the browser not to clear the autosaves when space runs low. it's
+    // fine if it says no.
+    navigator.storage?.persist?.().catch(() => {});
+  }
+
+  /** Stops saving automatically. */
+  stop() {
+    this.#started = false;
+    this.history.removeEventListener("change", this.#onChange);
+    document.removeEventListener("visibilitychange", this.#onHide);
+    window.removeEventListener("pagehide", this.#onHide);
+    if (this.#timeout !== null) clearTimeout(this.#timeout);
+    this.#timeout = null;
+  }
+
+  /**
+   * Remembers the handle a file was picked with, so the handle is stored
+   * rather than a copy of the file.
+   *
+   * @param file the file
+   * @param handle the handle it was read from
+   */
+  rememberHandle(file: File, handle: FileSystemFileHandle) {
+    this.#handles.set(file, handle);
+  }
+
+  /** Saves after the delay, unless another change comes in first. */
+  schedule() {
+    if (this.#timeout !== null) clearTimeout(this.#timeout);
+    this.#timeout = setTimeout(() => {
+      this.#timeout = null;
+      this.save();
+    }, this.delay);
+  }
+
+  /** Saves now if a save is scheduled, and waits for saving to finish. */
+  flush(): Promise<void> {
+    if (this.#timeout === null) return this.#queue;
+    clearTimeout(this.#timeout);
+    this.#timeout = null;
+    return this.save();
+  }
+
+  /**
+   * Saves the open project. Errors are reported through `status` rather than
+   * thrown. If storage is full, the oldest other autosaves are deleted to
+   * make room.
+   */
+  save(): Promise<void> {
+    const result = this.#queue.then(async () => {
+      this.#setStatus({ state: "saving" });
+      try {
+        for (;;) {
+          try {
+            await this.#write();
+            break;
+          } catch (e) {
+            if (!isQuotaError(e) || !(await this.#pruneOldest())) throw e;
+          }
+        }
+        await this.#pruneExtra();
+        this.#setStatus({ state: "saved", at: Date.now() });
+      } catch (e) {
+        this.#setStatus({
+          state: "error",
+          message: isQuotaError(e)
+            ? "There isn't enough storage space to autosave. Save the project to a file to keep your work."
+            : `Autosave failed: ${e instanceof Error ? e.message : e}`,
+        });
+      }
+      this.dispatchEvent(new Event("projects"));
+    });
+    this.#queue = result;
+    return result;
+  }
+
+  async #write() {
+    const database = await this.#open();
+    const projectId = this.projectId;
+    const transaction = database.transaction(
+      [PROJECTS_STORE, FILES_STORE],
+      "readwrite"
+    );
+    const done = transactionDone(transaction);
+    const project: StoredProject = {
+      id: projectId,
+      name: this.projectName,
+      savedAt: Date.now(),
+      manifest: serializeProject(this.backend),
+    };
+    transaction.objectStore(PROJECTS_STORE).put(project);
+
+    const files = transaction.objectStore(FILES_STORE);
+    const current = new Set<number>();
+    const added: number[] = [];
+    for (const resource of this.backend.resources) {
+      const file = resource.getFile();
+      if (!file) continue;
+      current.add(resource.id);
+      if (this.#savedFiles.has(resource.id)) continue;
+      const handle = this.#handles.get(file);
+      const stored: StoredFile = handle
+        ? { projectId, resourceId: resource.id, handle }
+        : { projectId, resourceId: resource.id, file };
+      files.put(stored);
+      added.push(resource.id);
+    }
+    const removed = [...this.#savedFiles].filter((id) => !current.has(id));
+    for (const id of removed) files.delete([projectId, id]);
+
+    await done;
+    // another project may have been opened in the meantime
+    if (projectId !== this.projectId) return;
+    for (const id of added) this.#savedFiles.add(id);
+    for (const id of removed) this.#savedFiles.delete(id);
+  }
+
+  /**
+   * Deletes the least recently saved project other than the open one.
+   *
+   * @returns whether there was one to delete
+   */
+  async #pruneOldest(): Promise<boolean> {
+    const oldest = (await this.listRecent())
+      .filter((project) => project.id !== this.projectId)
+      .pop();
+    if (!oldest) return false;
+    await this.delete(oldest.id);
+    return true;
+  }
+
+  /** Deletes projects beyond the most recent `MAX_RECENT_PROJECTS`. */
+  async #pruneExtra() {
+    const projects = await this.listRecent();
+    for (const project of projects.slice(MAX_RECENT_PROJECTS)) {
+      if (project.id !== this.projectId) await this.delete(project.id);
+    }
+  }
+
+  /** Lists the autosaved projects, most recently saved first. */
+  async listRecent(): Promise<RecentProject[]> {
+    const database = await this.#open();
+    const projects: StoredProject[] = await requestResult(
+      database.transaction(PROJECTS_STORE).objectStore(PROJECTS_STORE).getAll()
+    );
+    return projects
+      .map(({ id, name, savedAt }) => ({ id, name, savedAt }))
+      .sort((a, b) => b.savedAt - a.savedAt);
+  }
+
+  /**
+   * Deletes an autosaved project and its files.
+   *
+   * @param id the project
+   */
+  async delete(id: string) {
+    const database = await this.#open();
+    const transaction = database.transaction(
+      [PROJECTS_STORE, FILES_STORE],
+      "readwrite"
+    );
+    const done = transactionDone(transaction);
+    transaction.objectStore(PROJECTS_STORE).delete(id);
+    transaction.objectStore(FILES_STORE).delete(projectFilesRange(id));
+    await done;
+    this.dispatchEvent(new Event("projects"));
+  }
+
+  /**
+   * Loads an autosaved project into the backend, and continues saving to it.
+   * The history is cleared, as it refers to the previous project.
+   *
+   * Browsers forget permissions to read picked files between sessions, and
+   * only ask for them again while handling a click or key press. Without
+   * that, the project is left in `pendingRestore` for `reconnect` to finish.
+   *
+   * @param id the project
+   * @param requestPermission whether to ask for permission to read files
+   * @returns whether the project was restored
+   */
+  async restore(id: string, requestPermission = true): Promise<boolean> {
+    // don't let a pending save of the previous project go to waste
+    await this.flush();
+    const database = await this.#open();
+    const transaction = database.transaction([PROJECTS_STORE, FILES_STORE]);
+    const [project, stored] = await Promise.all([
+      requestResult<StoredProject | undefined>(
+        transaction.objectStore(PROJECTS_STORE).get(id)
+      ),
+      requestResult<StoredFile[]>(
+        transaction.objectStore(FILES_STORE).getAll(projectFilesRange(id))
+      ),
+    ]);
+    if (!project) throw new Error(`there's no autosaved project ${id}`);
+
+    const handles = stored.flatMap(({ handle }) => (handle ? [handle] : []));
+    const permissions = await Promise.all(
+      handles.map(async (handle) => {
+        const permission = await handle.queryPermission({ mode: "read" });
+        if (permission !== "prompt" || !requestPermission) return permission;
+        return handle
+          .requestPermission({ mode: "read" })
+          .catch(() => "prompt" as const);
+      })
+    );
+    const needed = handles.filter((_, i) => permissions[i] === "prompt");
+    if (needed.length > 0 && !requestPermission) {
+      this.pendingRestore = { id, name: project.name, handles: needed };
+      this.dispatchEvent(new Event("status"));
+      return false;
+    }
+    const denied = handles.find((_, i) => permissions[i] !== "granted");
+    if (denied) {
+      throw new Error(`permission to read ${denied.name} wasn't granted`);
+    }
+
+    const files = new Map<number, File>();
+    for (const { resourceId, file, handle } of stored) {
+      if (file) {
+        files.set(resourceId, file);
+      } else if (handle) {
+        const read = await handle.getFile();
+        this.#handles.set(read, handle);
+        files.set(resourceId, read);
+      }
+    }
+    await loadProjectSnapshot(this.backend, {
+      manifest: project.manifest,
+      files,
+    });
+
+    if (this.#timeout !== null) clearTimeout(this.#timeout);
+    this.#timeout = null;
+    this.projectId = project.id;
+    this.projectName = project.name;
+    this.#savedFiles = new Set(files.keys());
+    this.pendingRestore = null;
+    this.history.clear();
+    this.dispatchEvent(new Event("status"));
+    return true;
+  }
+
+  /**
+   * Asks for permission to read the files of `pendingRestore`, then restores
+   * it. Must be called while handling a click or key press.
+   */
+  async reconnect() {
+    if (!this.pendingRestore) return;
+    const { id, handles } = this.pendingRestore;
+    // every request starts before the first await, while the click counts
+    await Promise.all(
+      handles.map((handle) =>
+        handle.requestPermission({ mode: "read" }).catch(() => "prompt")
+      )
+    );
+    await this.restore(id);
+  }
+
+  /**
+   * Restores the most recently saved project, if there is one.
+   *
+   * @param requestPermission whether to ask for permission to read files,
+   *     which needs a click or key press
+   * @returns whether a project was restored
+   */
+  async restoreLatest(requestPermission = true): Promise<boolean> {
+    const [latest] = await this.listRecent();
+    if (!latest) return false;
+    return this.restore(latest.id, requestPermission);
+  }
+
+  /**
+   * Saves to a new project from now on, keeping the previous one in the
+   * list of recent projects. The backend isn't changed, so call `flush`
+   * before replacing its contents to keep the previous project's last edits.
+   *
+   * @param name the name of the new project
+   */
+  async startNewProject(name = UNTITLED_PROJECT) {
+    if (this.#timeout !== null) clearTimeout(this.#timeout);
+    this.#timeout = null;
+    await this.#queue;
+    this.projectId = crypto.randomUUID();
+    this.projectName = name;
+    this.#savedFiles = new Set();
+    this.pendingRestore = null;
+    this.dispatchEvent(new Event("status"));
+  }
+
+  /**
+   * Renames the open project.
+   *
+   * @param name the new name
+   */
+  rename(name: string) {
+    this.projectName = name;
+    this.schedule();
+  }
+}
@@ -0,0 +1,491 @@
+import VideoBackend, {
+  DEFAULT_RENDER_SETTINGS,
+  RenderSettings,
+} from "../VideoBackend";
+import AudioClip, { SerializedAudioClip } from "../items/AudioClip";
+import Clip, { DEFAULT_LAYER_PROPERTIES, SerializedClip } from "../items/Clip";
+import ImageClip, { SerializedImageClip } from "../items/ImageClip";
+import { FULL_CROP } from "../items/imageFit";
+import ImageSequenceClip, {
+  SerializedImageSequenceClip,
+  validateHold,
+} from "../items/ImageSequenceClip";
+import AudioResource from "../resources/AudioResource";
+import ImageResource from "../resources/ImageResource";
+import Resource, { SerializedResource } from "../resources/Resource";
+import CrossfadeTransition from "../transitions/CrossfadeTransition";
+import DipTransition, {
+  SerializedDipTransition,
+} from "../transitions/DipTransition";
+import SlideTransition, {
+  SerializedSlideTransition,
+} from "../transitions/SlideTransition";
+import Transition, { SerializedTransition } from "../transitions/Transition";
+import WipeTransition, {
+  SerializedWipeTransition,
+} from "../transitions/WipeTransition";
+
+export const PROJECT_FORMAT = "simple-stop-motion-project";
+export const PROJECT_VERSION = 5;
+
+/** Extension used for self-contained project bundles. */
+export const BUNDLE_EXTENSION = ".ssmproj";
+/** Extension used for manifests that reference files next to them. */
+export const MANIFEST_EXTENSION = ".json";
+
+/**
+ * Bundles start with these bytes, followed by the length of the manifest as a
+ * little-endian uint32, the manifest as UTF-8 JSON, then the file contents.
+ */
+const BUNDLE_MAGIC = new TextEncoder().encode("SSMPROJ\0");
+const BUNDLE_HEADER_LENGTH = BUNDLE_MAGIC.length + 4;
+
+export interface ProjectManifest {
+  format: typeof PROJECT_FORMAT;
+  version: number;
+  settings: RenderSettings;
+  resources: SerializedResource[];
+  clips: SerializedClip[];
+  transitions: SerializedTransition[];
+}
+
+/**
+ * A manifest along with the files it references, for handing a project to a
+ * worker or storing it somewhere that can hold `File`s directly.
+ */
+export interface ProjectSnapshot {
+  manifest: ProjectManifest;
+  /** the file of each resource that has one, by resource id */
+  files: Map<number, File>;
+}
+
+/**
+ * Finds the file for a resource when loading a manifest that doesn't embed
+ * the file contents.
+ */
+export type FileResolver = (resource: SerializedResource) => Promise<File>;
+
+/**
+ * Gets the state of the backend as a manifest. Files are referenced by their
+ * paths rather than included.
+ *
+ * @param backend the backend to save
+ */
+export function serializeProject(backend: VideoBackend): ProjectManifest {
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    settings: { ...backend.renderSettings },
+    resources: backend.resources.map((resource) => resource.serialize()),
+    clips: backend.clips.map((clip) => clip.serialize()),
+    transitions: backend.transitions.map((transition) =>
+      transition.serialize()
+    ),
+  };
+}
+
+/**
+ * Gets the state of the backend along with the files of its resources.
+ *
+ * @param backend the backend to save
+ */
+export function createProjectSnapshot(backend: VideoBackend): ProjectSnapshot {
+  const files = new Map<number, File>();
+  for (const resource of backend.resources) {
+    const file = resource.getFile();
+    if (file) files.set(resource.id, file);
+  }
+  return { manifest: serializeProject(backend), files };
+}
+
+/**
+ * Saves the state of the backend as a single file, with the contents of every
+ * resource embedded. The files aren't read into memory; the returned blob just
+ * references them.
+ *
+ * @param backend the backend to save
+ */
+export function createProjectBundle(backend: VideoBackend): Blob {
+  const manifest = serializeProject(backend);
+  const fileParts: Blob[] = [];
+  let offset = 0;
+  manifest.resources.forEach((serialized, i) => {
+    const file = backend.resources[i].getFile();
+    if (!file || !serialized.file) return;
+    serialized.file.offset = offset;
+    fileParts.push(file);
+    offset += file.size;
+  });
+
+  const manifestBytes = new TextEncoder().encode(JSON.stringify(manifest));
+  const header = new Uint8Array(BUNDLE_HEADER_LENGTH);
+  header.set(BUNDLE_MAGIC);
+  new DataView(header.buffer).setUint32(
+    BUNDLE_MAGIC.length,
+    manifestBytes.length,
+    true
+  );
+  return new Blob([header, manifestBytes, ...fileParts], {
+    type: "application/octet-stream",
+  });
+}
+
+/**
+ * Makes a `FileResolver` that looks up files by their path relative to a
+ * directory, usually the one the manifest was saved in.
+ *
+ * @param directory the directory to look in
+ */
+export function directoryFileResolver(
+  directory: FileSystemDirectoryHandle
+): FileResolver {
+  return async (resource) => {
+    if (!resource.file) {
+      throw new Error(`resource ${resource.id} has no file to look up`);
+    }
+    const segments = resource.file.path.split("/").filter(Boolean);
+    let current = directory;
+    for (const segment of segments.slice(0, -1)) {
+      current = await current.getDirectoryHandle(segment);
+    }
+    const handle = await current.getFileHandle(segments[segments.length - 1]);
+    return handle.getFile();
+  };
+}
+
+/**
+ * Makes a `FileResolver` that looks up files by their path among the files
+ * of a folder chosen with an `<input type="file" webkitdirectory>`, for
+ * browsers without `showDirectoryPicker`.
+ *
+ * @param files the files of the input
+ */
+export function fileListResolver(files: File[]): FileResolver {
+  // paths start with the name of the chosen folder
+  const byPath = new Map(
+    files.map((file) => [
+      (file.webkitRelativePath || file.name).replace(/^[^/]*\//, ""),
+      file,
+    ])
+  );
+  return async (resource) => {
+    if (!resource.file) {
+      throw new Error(`resource ${resource.id} has no file to look up`);
+    }
+    const file = byPath.get(resource.file.path.replace(/^\/+/, ""));
+    if (!file) throw new Error(`${resource.file.path} isn't in that folder`);
+    return file;
+  };
+}
+
+/**
+ * Upgrades a manifest from each version to the next, by the version they
+ * upgrade from. They edit the parsed JSON in place.
+ */
+const MIGRATIONS: Record<number, (manifest: any) => void> = {
+  // version 2 added layers, opacity and blend modes to clips
+  1: (manifest) => {
+    for (const clip of manifest.clips) {
+      clip.properties = { ...DEFAULT_LAYER_PROPERTIES, ...clip.properties };
+    }
+  },
+  // version 3 added transitions
+  2: (manifest) => {
+    manifest.transitions = [];
+  },
+  // version 4 added hold counts to the frames of image sequences
+  3: (manifest) => {
+    for (const clip of manifest.clips) {
+      if (clip.type === "imageSequence") {
+        clip.holds = clip.resourceIds.map(() => 1);
+      }
+    }
+  },
+  // version 5 added fit modes and cropping to image clips. older projects
+  // stretched images to fill the frame
+  4: (manifest) => {
+    for (const clip of manifest.clips) {
+      if (clip.type === "image" || clip.type === "imageSequence") {
+        clip.properties = {
+          fit: "stretch",
+          letterboxColor: null,
+          crop: FULL_CROP,
+          ...clip.properties,
+        };
+      }
+    }
+  },
+};
+
+/**
+ * Checks a parsed manifest and brings it up to the current version.
+ *
+ * @param manifest the parsed JSON
+ */
+function migrateManifest(manifest: any): ProjectManifest {
+  if (
+    typeof manifest !== "object" ||
+    manifest === null ||
+    manifest.format !== PROJECT_FORMAT
+  ) {
+    throw new Error("not a simple-stop-motion project file");
+  }
+  if (!Number.isInteger(manifest.version) || manifest.version < 1) {
+    throw new Error("project file has an invalid version");
+  }
+  if (manifest.version > PROJECT_VERSION) {
+    throw new Error(
+      `project file version ${manifest.version} is newer than the supported version ${PROJECT_VERSION}`
+    );
+  }
+  if (!Array.isArray(manifest.resources) || !Array.isArray(manifest.clips)) {
+    throw new Error("project file is missing its resources or clips");
+  }
+  if (manifest.version >= 3 && !Array.isArray(manifest.transitions)) {
+    throw new Error("project file is missing its transitions");
+  }
+  for (let version = manifest.version; version < PROJECT_VERSION; version++) {
+    MIGRATIONS[version](manifest);
+  }
+  manifest.version = PROJECT_VERSION;
+  return manifest;
+}
+
+function deserializeResource(
+  serialized: SerializedResource,
+  file: File | null
+): Resource {
+  switch (serialized.type) {
+    case "image":
+      if (!file) {
+        throw new Error(`image resource ${serialized.id} has no file`);
+      }
+      return new ImageResource(file, serialized.id);
+    case "audio":
+      if (!file) {
+        throw new Error(`audio resource ${serialized.id} has no file`);
+      }
+      return new AudioResource(file, serialized.id);
+    default:
+      throw new Error(`unknown resource type "${serialized.type}"`);
+  }
+}
+
+/**
+ * @param serialized the clip as it's stored
+ * @param resources the project's resources, by id
+ * @param frameLength how long a frame of the project lasts, in microseconds
+ */
+function deserializeClip(
+  serialized: SerializedClip,
+  resources: Map<number, Resource>,
+  frameLength: number
+): Clip {
+  const imageResource = (id: number) => {
+    const resource = resources.get(id);
+    if (!(resource instanceof ImageResource)) {
+      throw new Error(
+        `clip ${serialized.id} references missing image resource ${id}`
+      );
+    }
+    return resource;
+  };
+  switch (serialized.type) {
+    case "image": {
+      const { properties, resourceId } = serialized as SerializedImageClip;
+      return new ImageClip(
+        { ...properties },
+        imageResource(resourceId),
+        serialized.id
+      );
+    }
+    case "audio": {
+      const { properties, resourceId } = serialized as SerializedAudioClip;
+      const resource = resources.get(resourceId);
+      if (!(resource instanceof AudioResource)) {
+        throw new Error(
+          `clip ${serialized.id} references missing audio resource ${resourceId}`
+        );
+      }
+      return new AudioClip({ ...properties }, resource, serialized.id);
+    }
+    case "imageSequence": {
+      const { properties, resourceIds, holds } =
+        serialized as SerializedImageSequenceClip;
+      if (holds.length !== resourceIds.length) {
+        throw new Error(
+          `clip ${serialized.id} has ${holds.length} holds for ${resourceIds.length} frames`
+        );
+      }
+      holds.forEach(validateHold);
+      return new ImageSequenceClip(
+        { ...properties },
+        resourceIds.map((id, i) => ({
+          resource: imageResource(id),
+          hold: holds[i],
+        })),
+        frameLength,
+        serialized.id
+      );
+    }
+    default:
+      throw new Error(`unknown clip type "${serialized.type}"`);
+  }
+}
+
+function deserializeTransition(serialized: SerializedTransition): Transition {
+  switch (serialized.type) {
+    case "crossfade":
+      return new CrossfadeTransition(
+        { ...serialized.properties },
+        serialized.id
+      );
+    case "dip": {
+      const { properties } = serialized as SerializedDipTransition;
+      return new DipTransition({ ...properties }, serialized.id);
+    }
+    case "wipe": {
+      const { properties } = serialized as SerializedWipeTransition;
+      return new WipeTransition({ ...properties }, serialized.id);
+    }
+    case "slide": {
+      const { properties } = serialized as SerializedSlideTransition;
+      return new SlideTransition({ ...properties }, serialized.id);
+    }
+    default:
+      throw new Error(`unknown transition type "${serialized.type}"`);
+  }
+}
+
+/**
+ * Replaces the contents of the backend with those described by a manifest.
+ * The backend is only modified once everything has loaded successfully.
+ *
+ * @param backend the backend to load into
+ * @param manifest the project to load
+ * @param resolveFile finds the file for each resource that has one
+ */
+export async function loadProject(
+  backend: VideoBackend,
+  manifest: ProjectManifest,
+  resolveFile: FileResolver
+): Promise<void> {
+  manifest = migrateManifest(manifest);
+  const resources = await Promise.all(
+    manifest.resources.map(async (serialized) =>
+      deserializeResource(
+        serialized,
+        serialized.file ? await resolveFile(serialized) : null
+      )
+    )
+  );
+  const resourceMap = new Map(
+    resources.map((resource) => [resource.id, resource])
+  );
+  const settings = { ...DEFAULT_RENDER_SETTINGS, ...manifest.settings };
+  const clips = manifest.clips.map((serialized) =>
+    deserializeClip(serialized, resourceMap, 1e6 / settings.fps)
+  );
+  await Promise.all(clips.map((clip) => clip.update()));
+  const transitions = manifest.transitions.map(deserializeTransition);
+
+  backend.resources = resources;
+  backend.clips = clips;
+  backend.transitions = transitions;
+  backend.renderSettings = settings;
+}
+
+/**
+ * Loads a snapshot made by `createProjectSnapshot` into the backend.
+ *
+ * @param backend the backend to load into
+ * @param snapshot the project to load
+ */
+export function loadProjectSnapshot(
+  backend: VideoBackend,
+  { manifest, files }: ProjectSnapshot
+): Promise<void> {
+  return loadProject(backend, manifest, async ({ id }) => {
+    const file = files.get(id);
+    if (!file) throw new Error(`the file of resource ${id} is missing`);
+    return file;
+  });
+}
+
+/**
+ * Checks whether a file is a project bundle rather than a manifest.
+ *
+ * @param file the file to check
+ */
+export async function isProjectBundle(file: Blob): Promise<boolean> {
+  const start = new Uint8Array(
+    await file.slice(0, BUNDLE_MAGIC.length).arrayBuffer()
+  );
+  return (
+    start.length === BUNDLE_MAGIC.length &&
+    start.every((byte, i) => byte === BUNDLE_MAGIC[i])
+  );
+}
+
+/**
+ * Loads a project bundle made by `createProjectBundle` into the backend. The
+ * embedded files are sliced out of the bundle, so they aren't copied.
+ *
+ * @param backend the backend to load into
+ * @param bundle the bundle file
+ */
+export async function loadProjectBundle(
+  backend: VideoBackend,
+  bundle: Blob
+): Promise<void> {
+  if (!(await isProjectBundle(bundle))) {
+    throw new Error("not a simple-stop-motion project bundle");
+  }
+  const header = await bundle.slice(0, BUNDLE_HEADER_LENGTH).arrayBuffer();
+  const manifestLength = new DataView(header).getUint32(
+    BUNDLE_MAGIC.length,
+    true
+  );
+  const dataStart = BUNDLE_HEADER_LENGTH + manifestLength;
+  const manifest = JSON.parse(
+    await bundle.slice(BUNDLE_HEADER_LENGTH, dataStart).text()
+  );
+  await loadProject(backend, manifest, async ({ id, file }) => {
+    if (!file || file.offset === undefined) {
+      throw new Error(`the contents of resource ${id} aren't in the bundle`);
+    }
+    const start = dataStart + file.offset;
+    if (start + file.size > bundle.size) {
+      throw new Error("project bundle is truncated");
+    }
+    return new File([bundle.slice(start, start + file.size)], file.name, {
+      type: file.mimeType,
+      lastModified: file.lastModified,
+    });
+  });
+}
+
+/**
+ * Loads either kind of project file into the backend.
+ *
+ * @param backend the backend to load into
+ * @param file the bundle or manifest
+ * @param resolveFile used to find the files referenced by a manifest
+ */
+export async function loadProjectFile(
+  backend: VideoBackend,
+  file: Blob,
+  resolveFile: () => Promise<FileResolver>
+): Promise<void> {
+  if (await isProjectBundle(file)) {
+    await loadProjectBundle(backend, file);
+  } else {
+    let manifest;
+    try {
+      manifest = JSON.parse(await file.text());
+    } catch {
+      throw new Error("not a simple-stop-motion project file");
+    }
+    await loadProject(backend, manifest, await resolveFile());
+  }
+}
@@ -0,0 +1,64 @@
+/**
+ * Small promise wrappers around IndexedDB, which only has event-based APIs.
+ */
+
+export const DATABASE_NAME = "simple-stop-motion";
+const DATABASE_VERSION = 1;
+
+/** Autosaved projects, keyed by their id */
+export const PROJECTS_STORE = "projects";
+/** The files of autosaved projects, keyed by [project id, resource id] */
+export const FILES_STORE = "files";
+
+/**
+ * Waits for a request to finish.
+ *
+ * @param request the request
+ * @returns its result
+ */
+export function requestResult<T>(request: IDBRequest<T>): Promise<T> {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Waits for a transaction to be committed.
+ *
+ * @param transaction the transaction
+ */
+export function transactionDone(transaction: IDBTransaction): Promise<void> {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    // errors abort the transaction, so they're reported once here
+    transaction.onabort = () =>
+      reject(transaction.error ?? new Error("transaction was aborted"));
+  });
+}
+
+/** Opens the app's database, creating or upgrading it as needed. */
+export function openDatabase(): Promise<IDBDatabase> {
+  const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+  request.onupgradeneeded = () => {
+    const database = request.result;
+    if (!database.objectStoreNames.contains(PROJECTS_STORE)) {
+      database.createObjectStore(PROJECTS_STORE, { keyPath: "id" });
+    }
+    if (!database.objectStoreNames.contains(FILES_STORE)) {
+      database.createObjectStore(FILES_STORE, {
+        keyPath: ["projectId", "resourceId"],
+      });
+    }
+  };
+  return requestResult(request);
+}
+
+/**
+ * Gets the key range covering every file of a project.
+ *
+ * @param projectId the project
+ */
+export function projectFilesRange(projectId: string): IDBKeyRange {
+  return IDBKeyRange.bound([projectId, -Infinity], [projectId, Infinity]);
+}
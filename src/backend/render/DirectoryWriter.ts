@@ -0,0 +1,32 @@
+import type { FileSequenceWriter } from "./imageSequence";
+
+/**
+ * Writes each file of a sequence into a folder, replacing files with the same
+ * name.
+ */
+export default class DirectoryWriter implements FileSequenceWriter {
+  constructor(public directory: FileSystemDirectoryHandle) {}
+
+  #writtenSize = 0;
+
+  async addFile(name: string, contents: Blob) {
+    const handle = await this.directory.getFileHandle(name, { create: true });
+    const writable = await handle.createWritable();
+    try {
+      await writable.write(contents);
+      await writable.close();
+    } catch (e) {
+      await writable.abort().catch(() => {});
+      throw e;
+    }
+    this.#writtenSize += contents.size;
+  }
+
+  async complete(): Promise<Blob | null> {
+    return null;
+  }
+
+  getWrittenSize(): number {
+    return this.#writtenSize;
+  }
+}
@@ -0,0 +1,85 @@
+/**
+ * Collects the bytes of an output file, either streaming them to a file on
+ * disk or buffering them in memory. Bytes are mostly appended, but previously
+ * written bytes can be patched, e.g. to fill in a duration once it's known.
+ */
+export default class OutputSink {
+  /**
+   * @param stream the file to write to, or null to buffer in memory
+   */
+  constructor(public stream: FileSystemWritableFileStream | null) {}
+
+  /** one more than the offset of the last byte written */
+  length = 0;
+
+  /** the chunks written so far, only used when buffering in memory */
+  #chunks: { offset: number; data: Uint8Array }[] = [];
+  /** makes sure writes to the stream happen in order */
+  #writes: Promise<void> = Promise.resolve();
+  #error: unknown = null;
+
+  #enqueue(position: number, data: Uint8Array) {
+    const stream = this.stream!;
+    this.#writes = this.#writes
+      .then(() => stream.write({ type: "write", position, data }))
+      .catch((e) => {
+        this.#error ??= e;
+      });
+  }
+
+  /**
+   * Appends bytes to the end of the file. The array must not be modified
+   * afterwards.
+   *
+   * @param data the bytes to write
+   */
+  write(data: Uint8Array) {
+    if (this.#error) throw this.#error;
+    if (this.stream) {
+      this.#enqueue(this.length, data);
+    } else {
+      this.#chunks.push({ offset: this.length, data });
+    }
+    this.length += data.byteLength;
+  }
+
+  /**
+   * Overwrites bytes that were already written. When buffering in memory, the
+   * patch must lie within a single earlier `write`.
+   *
+   * @param offset where to start overwriting
+   * @param data the new bytes
+   */
+  patch(offset: number, data: Uint8Array) {
+    if (offset + data.byteLength > this.length) {
+      throw new Error("can't patch past the end of the output");
+    }
+    if (this.stream) {
+      this.#enqueue(offset, data);
+      return;
+    }
+    const chunk = this.#chunks.find(
+      (chunk) =>
+        offset >= chunk.offset &&
+        offset + data.byteLength <= chunk.offset + chunk.data.byteLength
+    );
+    if (!chunk) throw new Error("patch crosses the boundary of a write");
+    chunk.data.set(data, offset - chunk.offset);
+  }
+
+  /**
+   * Waits for all writes to finish.
+   *
+   * @param mimeType the type of the returned blob
+   * @returns the file, if it was buffered in memory
+   */
+  async complete(mimeType: string): Promise<Blob | null> {
+    await this.#writes;
+    if (this.#error) throw this.#error;
+    if (this.stream) return null;
+    return new Blob(
+      this.#chunks.map((chunk) => chunk.data),
+      { type: mimeType }
+    );
+  }
+}
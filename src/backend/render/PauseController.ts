@@ -0,0 +1,56 @@
+/**
+ * Lets a long-running render be paused and resumed from outside. The render
+ * calls `whilePaused` between frames, which waits until it's resumed.
+ */
+export default class PauseController {
+  #paused = false;
+  #pausedAt = 0;
+  #totalPausedTime = 0;
+  #waiters: (() => void)[] = [];
+
+  get paused() {
+    return this.#paused;
+  }
+
+  /** how long the controller has been paused in total, in milliseconds */
+  get totalPausedTime() {
+    return (
+      this.#totalPausedTime +
+      (this.#paused ? performance.now() - this.#pausedAt : 0)
+    );
+  }
+
+  pause() {
+    if (this.#paused) return;
+    this.#paused = true;
+    this.#pausedAt = performance.now();
+  }
+
+  resume() {
+    if (!this.#paused) return;
+    this.#paused = false;
+    this.#totalPausedTime += performance.now() - this.#pausedAt;
+    const waiters = this.#waiters;
+    this.#waiters = [];
+    waiters.forEach((resolve) => resolve());
+  }
+
+  /**
+   * Resolves immediately if not paused, or once resumed otherwise. Rejects if
+   * the signal is aborted while waiting.
+   *
+   * @param signal cancels the wait
+   */
+  whilePaused(signal?: AbortSignal): Promise<void> {
+    signal?.throwIfAborted();
+    if (!this.#paused) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(signal?.reason);
+      signal?.addEventListener("abort", onAbort, { once: true });
+      this.#waiters.push(() => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve();
+      });
+    });
+  }
+}
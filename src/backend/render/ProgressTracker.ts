@@ -0,0 +1,73 @@
+import PauseController from "./PauseController";
+
+/** A snapshot of how far along a render is. */
+export interface RenderProgress {
+  totalFrames: number;
+  framesRendered: number;
+  framesEncoded: number;
+  bytesWritten: number;
+  /** time spent rendering so far, excluding pauses, in milliseconds */
+  elapsed: number;
+  /**
+   * estimated time until the render finishes, in milliseconds, or null if
+   * there isn't enough information yet
+   */
+  estimatedRemaining: number | null;
+}
+
+/** How often progress is reported, in milliseconds */
+const REPORT_INTERVAL = 250;
+
+/**
+ * Keeps count of a render's progress and reports it at a limited rate, so
+ * reporting every frame doesn't flood the main thread with messages.
+ */
+export default class ProgressTracker {
+  constructor(
+    public totalFrames: number,
+    private report: (progress: RenderProgress) => void,
+    private pauseController?: PauseController
+  ) {}
+
+  framesRendered = 0;
+  framesEncoded = 0;
+  bytesWritten = 0;
+
+  #startTime = performance.now();
+  #lastReport = -Infinity;
+
+  get elapsed() {
+    return (
+      performance.now() -
+      this.#startTime -
+      (this.pauseController?.totalPausedTime ?? 0)
+    );
+  }
+
+  snapshot(): RenderProgress {
+    const elapsed = this.elapsed;
+    // the encoder lags behind rendering, so base the estimate on what's done
+    const done = this.framesEncoded;
+    return {
+      totalFrames: this.totalFrames,
+      framesRendered: this.framesRendered,
+      framesEncoded: this.framesEncoded,
+      bytesWritten: this.bytesWritten,
+      elapsed,
+      estimatedRemaining:
+        done > 0 ? (elapsed / done) * (this.totalFrames - done) : null,
+    };
+  }
+
+  /**
+   * Reports the progress if enough time has passed since the last report.
+   *
+   * @param force report even if the last report was recent
+   */
+  update(force = false) {
+    const now = performance.now();
+    if (!force && now - this.#lastReport < REPORT_INTERVAL) return;
+    this.#lastReport = now;
+    this.report(this.snapshot());
+  }
+}
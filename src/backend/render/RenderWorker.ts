@@ -0,0 +1,133 @@
+import { RenderOptions } from "../VideoBackend";
+import { ProjectSnapshot } from "../project/ProjectFile";
+import { RenderProgress } from "./ProgressTracker";
+import { EncoderSelection } from "./codecs";
+
+/** Messages sent from the main thread to the render worker. */
+export type RenderWorkerRequest =
+  | {
+      type: "render";
+      project: ProjectSnapshot;
+      options: RenderOptions;
+      /**
+       * the file or, for image sequences, the folder to write to, or undefined
+       * to send back the output as a Blob
+       */
+      target?: FileSystemFileHandle | FileSystemDirectoryHandle;
+    }
+  | { type: "pause" }
+  | { type: "resume" }
+  | { type: "cancel" };
+
+/** Messages sent from the render worker back to the main thread. */
+export type RenderWorkerResponse =
+  | { type: "progress"; progress: RenderProgress }
+  | { type: "encoderSelected"; selection: EncoderSelection }
+  | { type: "done"; result: Blob | null }
+  | { type: "error"; name: string; message: string };
+
+export interface RenderJobOptions {
+  /**
+   * the file to write to, or a folder to write each frame into as an image.
+   * If not given, the output is built in memory and returned.
+   */
+  target?: FileSystemFileHandle | FileSystemDirectoryHandle;
+  /** cancels the render, which then rejects with an AbortError */
+  signal?: AbortSignal;
+  /** called periodically with the progress of the render */
+  onProgress?: (progress: RenderProgress) => void;
+  /** called once the worker has chosen an encoder configuration */
+  onEncoderSelected?: (selection: EncoderSelection) => void;
+}
+
+/**
+ * Runs exports in a worker so the UI stays responsive. The worker rebuilds the
+ * project from a snapshot, so later edits don't affect a running export.
+ */
+export default class RenderWorker {
+  #worker = new Worker(new URL("./render.worker.ts", import.meta.url), {
+    type: "module",
+  });
+  #busy = false;
+
+  #post(message: RenderWorkerRequest, transfer: Transferable[] = []) {
+    this.#worker.postMessage(message, transfer);
+  }
+
+  /**
+   * Renders the project to a video, animation or image sequence.
+   *
+   * @param project the project to render
+   * @param options what to render. The soundtrack's samples are transferred
+   *     to the worker, so they can't be used afterwards.
+   * @param job where to write the output and how to follow the render
+   * @returns the output, if no target was given
+   */
+  render(
+    project: ProjectSnapshot,
+    options: RenderOptions,
+    {
+      target,
+      signal,
+      onProgress = () => {},
+      onEncoderSelected = () => {},
+    }: RenderJobOptions = {}
+  ): Promise<Blob | null> {
+    if (this.#busy) throw new Error("the worker is already rendering");
+    signal?.throwIfAborted();
+    this.#busy = true;
+    const onAbort = () => this.#post({ type: "cancel" });
+    signal?.addEventListener("abort", onAbort);
+    return new Promise<Blob | null>((resolve, reject) => {
+      this.#worker.onmessage = (e: MessageEvent<RenderWorkerResponse>) => {
+        const message = e.data;
+        switch (message.type) {
+          case "progress":
+            onProgress(message.progress);
+            break;
+          case "encoderSelected":
+            onEncoderSelected(message.selection);
+            break;
+          case "done":
+            resolve(message.result);
+            break;
+          case "error":
+            reject(
+              message.name === "AbortError"
+                ? new DOMException(message.message, "AbortError")
+                : new Error(message.message)
+            );
+            break;
+        }
+      };
+      this.#worker.onerror = (e) => {
+        reject(new Error(e.message || "the render worker crashed"));
+      };
+      // the soundtrack can be large, so it's moved rather than copied
+      this.#post(
+        { type: "render", project, options, target },
+        options.audio?.channels.map((channel) => channel.buffer) ?? []
+      );
+    }).finally(() => {
+      this.#busy = false;
+      signal?.removeEventListener("abort", onAbort);
+      this.#worker.onmessage = null;
+      this.#worker.onerror = null;
+    });
+  }
+
+  /** Pauses the running render between frames. */
+  pause() {
+    this.#post({ type: "pause" });
+  }
+
+  /** Resumes a paused render. */
+  resume() {
+    this.#post({ type: "resume" });
+  }
+
+  /** Stops the worker. It can't be used afterwards. */
+  terminate() {
+    this.#worker.terminate();
+  }
+}
@@ -0,0 +1,202 @@
+export type VideoCodec =
+  | "vp8"
+  | "vp9"
+  | "vp9-444"
+  | "vp9-10bit"
+  | "av1"
+  | "avc";
+
+export interface VideoCodecInfo {
+  /** human-readable name */
+  label: string;
+  /**
+   * gets the WebCodecs codec string, which includes the level needed for the
+   * resolution
+   */
+  codecString(width: number, height: number): string;
+  /** extra settings for `VideoEncoderConfig` */
+  extraConfig?: Partial<VideoEncoderConfig>;
+}
+
+/**
+ * A table of the maximum picture size (in pixels) for each level of a codec,
+ * smallest first.
+ */
+type LevelTable = [level: string, maxPictureSize: number][];
+
+const VP9_LEVELS: LevelTable = [
+  ["10", 36864],
+  ["11", 73728],
+  ["20", 122880],
+  ["21", 245760],
+  ["30", 552960],
+  ["31", 983040],
+  ["40", 2228224],
+  ["50", 8912896],
+  ["60", 35651584],
+];
+
+const AV1_LEVELS: LevelTable = [
+  ["00", 147456],
+  ["01", 278784],
+  ["04", 665856],
+  ["05", 1065024],
+  ["08", 2359296],
+  ["12", 8912896],
+  ["16", 35651584],
+];
+
+/** H.264 levels (as hex) for the High profile */
+const AVC_LEVELS: LevelTable = [
+  ["1f", 921600],
+  ["28", 2097152],
+  ["32", 5652480],
+  ["33", 9437184],
+  ["3c", 35651584],
+];
+
+/**
+ * Picks the lowest level that allows the given resolution, or the highest
+ * level if none do.
+ */
+function levelFor(table: LevelTable, width: number, height: number) {
+  const pictureSize = width * height;
+  return (table.find(([, maxPictureSize]) => pictureSize <= maxPictureSize) ??
+    table[table.length - 1])[0];
+}
+
+export const VIDEO_CODECS: Record<VideoCodec, VideoCodecInfo> = {
+  vp8: {
+    label: "VP8",
+    codecString: () => "vp8",
+  },
+  vp9: {
+    label: "VP9 (profile 0, 8-bit)",
+    codecString: (width, height) =>
+      `vp09.00.${levelFor(VP9_LEVELS, width, height)}.08`,
+  },
+  "vp9-444": {
+    label: "VP9 (profile 1, 8-bit 4:4:4)",
+    codecString: (width, height) =>
+      `vp09.01.${levelFor(VP9_LEVELS, width, height)}.08.03.01.01.01.00`,
+  },
+  "vp9-10bit": {
+    label: "VP9 (profile 2, 10-bit)",
+    codecString: (width, height) =>
+      `vp09.02.${levelFor(VP9_LEVELS, width, height)}.10`,
+  },
+  av1: {
+    label: "AV1",
+    codecString: (width, height) =>
+      `av01.0.${levelFor(AV1_LEVELS, width, height)}M.08`,
+  },
+  avc: {
+    label: "H.264 (AVC)",
+    codecString: (width, height) =>
+      `avc1.6400${levelFor(AVC_LEVELS, width, height)}`,
+    // get an avcC description rather than in-band parameter sets
+    extraConfig: { avc: { format: "avc" } },
+  },
+};
+
+/** The encoder settings that are saved with the project. */
+export interface EncoderSettings {
+  codec: VideoCodec;
+  /** in bits per second */
+  bitrate: number;
+  bitrateMode: "constant" | "variable";
+  /** whether to prioritize quality or encoding speed */
+  latencyMode: LatencyMode;
+  /** the maximum number of frames between keyframes */
+  keyframeInterval: number;
+  /** the bitrate of the Opus soundtrack, in bits per second */
+  audioBitrate: number;
+}
+
+export const DEFAULT_ENCODER_SETTINGS: EncoderSettings = {
+  codec: "vp9",
+  bitrate: 10e6,
+  bitrateMode: "variable",
+  latencyMode: "quality",
+  keyframeInterval: 150,
+  audioBitrate: 128e3,
+};
+
+/** The result of negotiating an encoder configuration. */
+export interface EncoderSelection {
+  codec: VideoCodec;
+  config: VideoEncoderConfig;
+  /** explains what was changed from the requested settings, if anything */
+  fallbackReason: string | null;
+}
+
+/**
+ * Finds an encoder configuration the browser supports, as close to the
+ * requested settings as possible. The requested codec is tried first, then
+ * without the optional settings, then the other codecs the output format
+ * supports.
+ *
+ * @param settings the requested settings
+ * @param width the width of the video
+ * @param height the height of the video
+ * @param fps the frame rate of the video
+ * @param fallbackOrder the codecs the output format can hold, in the order
+ *     they should be tried if the requested one doesn't work
+ */
+export async function negotiateEncoderConfig(
+  settings: EncoderSettings,
+  width: number,
+  height: number,
+  fps: number,
+  fallbackOrder: VideoCodec[]
+): Promise<EncoderSelection> {
+  const codecs = [
+    settings.codec,
+    ...fallbackOrder.filter((codec) => codec !== settings.codec),
+  ].filter((codec) => fallbackOrder.includes(codec));
+
+  for (const codec of codecs) {
+    const base: VideoEncoderConfig = {
+      codec: VIDEO_CODECS[codec].codecString(width, height),
+      width,
+      height,
+      framerate: fps,
+      bitrate: settings.bitrate,
+      ...VIDEO_CODECS[codec].extraConfig,
+    };
+    const candidates: VideoEncoderConfig[] = [
+      {
+        ...base,
+        bitrateMode: settings.bitrateMode,
+        latencyMode: settings.latencyMode,
+      },
+      base,
+    ];
+    for (const config of candidates) {
+      let support: VideoEncoderSupport;
+      try {
+        support = await VideoEncoder.isConfigSupported(config);
+      } catch {
+        // invalid configs throw rather than being reported as unsupported
+        continue;
+      }
+      if (!support.supported) continue;
+
+      let fallbackReason: string | null = null;
+      if (codec !== settings.codec) {
+        fallbackReason = `${
+          VIDEO_CODECS[settings.codec].label
+        } isn't supported, so ${VIDEO_CODECS[codec].label} was used instead`;
+      } else if (config === base) {
+        fallbackReason =
+          "the bitrate and latency modes aren't supported, so the defaults were used";
+      }
+      return { codec, config, fallbackReason };
+    }
+  }
+  throw new Error(
+    `none of the codecs (${codecs
+      .map((codec) => VIDEO_CODECS[codec].label)
+      .join(", ")}) can encode ${width}x${height} video in this browser`
+  );
+}
@@ -0,0 +1,191 @@
+import ApngWriter from "../apng-writer/ApngWriter";
+import GifWriter from "../gif-writer/GifWriter";
+import Mp4Writer from "../mp4-writer/Mp4Writer";
+import WebMWriter from "../webm-writer";
+import ZipWriter from "../zip-writer/ZipWriter";
+import { EncoderSelection, VideoCodec } from "./codecs";
+import { FileSequenceWriter } from "./imageSequence";
+
+export type OutputFormat = "webm" | "mp4" | "gif" | "apng" | "zip";
+
+/** Writes encoded video into a container file. */
+export interface Muxer {
+  addFrame(
+    chunk: EncodedVideoChunk,
+    metadata?: EncodedVideoChunkMetadata
+  ): void;
+  /**
+   * adds encoded Opus audio. only present if the format supports audio, and
+   * should be called before adding the video frames the audio plays with.
+   */
+  addAudioFrame?(
+    chunk: EncodedAudioChunk,
+    metadata?: EncodedAudioChunkMetadata
+  ): void;
+  /** finishes the file, returning it if it was built in memory */
+  complete(): Promise<Blob | null>;
+  getWrittenSize(): number;
+}
+
+export interface MuxerOptions {
+  /** the file to write to, or null to build the video in memory */
+  fileWriter: FileSystemWritableFileStream | null;
+  width: number;
+  height: number;
+  fps: number;
+  encoder: EncoderSelection;
+  /** the audio track to include, if any */
+  audio: { sampleRate: number; channels: number } | null;
+}
+
+/** Settings for animated image formats, which are saved with the project. */
+export interface AnimationSettings {
+  /** how many times the animation plays, or 0 to loop forever */
+  loopCount: number;
+  /**
+   * whether to use one palette for the whole animation, which is smaller, or
+   * one per frame, which has better colors. only used by GIFs.
+   */
+  palette: "global" | "perFrame";
+  /** whether to dither colors that aren't in the palette */
+  dithering: boolean;
+}
+
+export const DEFAULT_ANIMATION_SETTINGS: AnimationSettings = {
+  loopCount: 0,
+  palette: "global",
+  dithering: true,
+};
+
+/**
+ * Writes animated images from rendered frames. Unlike videos, frames can have
+ * different durations, so held frames are written once.
+ */
+export interface AnimationEncoder {
+  /**
+   * whether every frame must be passed to `analyzeFrame` before the first
+   * `addFrame` call, e.g. to build a palette
+   */
+  readonly needsAnalysis: boolean;
+  analyzeFrame?(image: ImageData): void;
+  /**
+   * @param image the frame
+   * @param duration how long the frame is shown, in microseconds
+   */
+  addFrame(image: ImageData, duration: number): Promise<void>;
+  /** finishes the file, returning it if it was built in memory */
+  complete(): Promise<Blob | null>;
+  getWrittenSize(): number;
+}
+
+export interface AnimationEncoderOptions {
+  /** the file to write to, or null to build the animation in memory */
+  fileWriter: FileSystemWritableFileStream | null;
+  width: number;
+  height: number;
+  /** the number of distinct frames that will be added */
+  frameCount: number;
+  settings: AnimationSettings;
+}
+
+interface BaseFormatInfo {
+  label: string;
+  /** including the leading dot */
+  extension: `.${string}`;
+  mimeType: `${string}/${string}`;
+}
+
+export interface VideoFormatInfo extends BaseFormatInfo {
+  kind: "video";
+  /**
+   * the codecs the format can hold, in the order they should be tried if the
+   * requested one isn't supported
+   */
+  codecs: VideoCodec[];
+  /** whether the format can hold an Opus soundtrack */
+  supportsAudio: boolean;
+  createMuxer(options: MuxerOptions): Muxer;
+}
+
+export interface AnimationFormatInfo extends BaseFormatInfo {
+  kind: "animation";
+  createEncoder(options: AnimationEncoderOptions): AnimationEncoder;
+}
+
+/** Formats that hold each frame as a separate image file. */
+export interface ImageSequenceFormatInfo extends BaseFormatInfo {
+  kind: "imageSequence";
+  createWriter(
+    fileWriter: FileSystemWritableFileStream | null
+  ): FileSequenceWriter;
+}
+
+export type OutputFormatInfo =
+  | VideoFormatInfo
+  | AnimationFormatInfo
+  | ImageSequenceFormatInfo;
+
+/** The Matroska CodecIDs of the codecs, without the "V_" prefix */
+const WEBM_CODEC_IDS: Partial<Record<VideoCodec, string>> = {
+  vp8: "VP8",
+  vp9: "VP9",
+  "vp9-444": "VP9",
+  "vp9-10bit": "VP9",
+  av1: "AV1",
+};
+
+export const OUTPUT_FORMATS: Record<OutputFormat, OutputFormatInfo> = {
+  webm: {
+    kind: "video",
+    label: "WebM Video File",
+    extension: ".webm",
+    mimeType: "video/webm",
+    codecs: ["vp9", "av1", "vp8", "vp9-444", "vp9-10bit"],
+    supportsAudio: true,
+    createMuxer: ({ fileWriter, width, height, fps, encoder, audio }) =>
+      new WebMWriter({
+        fileWriter,
+        codec: WEBM_CODEC_IDS[encoder.codec],
+        width,
+        height,
+        frameRate: fps,
+        audio,
+      }),
+  },
+  mp4: {
+    kind: "video",
+    label: "MP4 Video File",
+    extension: ".mp4",
+    mimeType: "video/mp4",
+    codecs: ["avc", "av1", "vp9", "vp9-444", "vp9-10bit"],
+    supportsAudio: false,
+    createMuxer: ({ fileWriter, width, height, encoder }) =>
+      new Mp4Writer({
+        fileWriter,
+        width,
+        height,
+        codec: encoder.config.codec,
+      }),
+  },
+  gif: {
+    kind: "animation",
+    label: "Animated GIF",
+    extension: ".gif",
+    mimeType: "image/gif",
+    createEncoder: (options) => new GifWriter(options),
+  },
+  apng: {
+    kind: "animation",
+    label: "Animated PNG",
+    extension: ".png",
+    mimeType: "image/apng",
+    createEncoder: (options) => new ApngWriter(options),
+  },
+  zip: {
+    kind: "imageSequence",
+    label: "Image Sequence (ZIP Archive)",
+    extension: ".zip",
+    mimeType: "application/zip",
+    createWriter: (fileWriter) => new ZipWriter(fileWriter),
+  },
+};
@@ -0,0 +1,67 @@
+/** Settings for exporting frames as images, which are saved with the project. */
+export interface ImageSequenceSettings {
+  /**
+   * the name of each image. `%d` is replaced with the frame number, and `%05d`
+   * with the frame number padded to 5 digits. The extension picks the image
+   * format, which can be PNG, JPEG or WebP.
+   */
+  filenamePattern: string;
+  /** the number of the first frame */
+  startNumber: number;
+  /** between 0 and 1, for the lossy JPEG and WebP formats */
+  quality: number;
+}
+
+export const DEFAULT_IMAGE_SEQUENCE_SETTINGS: ImageSequenceSettings = {
+  filenamePattern: "frame_%05d.png",
+  startNumber: 1,
+  quality: 0.92,
+};
+
+/** The image types each extension is saved as */
+const IMAGE_TYPES: Record<string, string> = {
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  webp: "image/webp",
+};
+
+const NUMBER_PLACEHOLDER = /%(0\d+)?d/;
+
+/**
+ * Checks a filename pattern, throwing if it can't be used.
+ *
+ * @returns the image type the pattern's extension stands for
+ */
+export function imageTypeOf(pattern: string): string {
+  if (!NUMBER_PLACEHOLDER.test(pattern)) {
+    throw new Error(`the filename pattern ${pattern} has no %d for the number`);
+  }
+  if (/[/\\]/.test(pattern)) {
+    throw new Error("the filename pattern can't contain folders");
+  }
+  const extension = pattern.split(".").pop()!.toLowerCase();
+  const type = IMAGE_TYPES[extension];
+  if (!type) {
+    throw new Error(`frames can't be saved as .${extension} files`);
+  }
+  return type;
+}
+
+/**
+ * Fills in a filename pattern, e.g. `frame_%05d.png` and 12 make
+ * `frame_00012.png`.
+ */
+export function frameFileName(pattern: string, frameNumber: number): string {
+  return pattern.replace(NUMBER_PLACEHOLDER, (_, width?: string) =>
+    frameNumber.toString().padStart(width ? parseInt(width) : 0, "0")
+  );
+}
+
+/** Writes a series of files, such as the frames of an image sequence. */
+export interface FileSequenceWriter {
+  addFile(name: string, contents: Blob): Promise<void>;
+  /** finishes the output, returning it if it was built in memory */
+  complete(): Promise<Blob | null>;
+  getWrittenSize(): number;
+}
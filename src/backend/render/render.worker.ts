@@ -0,0 +1,76 @@
+import VideoBackend, { RenderControls } from "../VideoBackend";
+import { loadProjectSnapshot } from "../project/ProjectFile";
+import PauseController from "./PauseController";
+import type { RenderWorkerRequest, RenderWorkerResponse } from "./RenderWorker";
+
+function respond(message: RenderWorkerResponse) {
+  postMessage(message);
+}
+
+/** controls for the render that's currently running */
+let abortController: AbortController | null = null;
+let pauseController: PauseController | null = null;
+
+async function render({
+  project,
+  options,
+  target,
+}: Extract<RenderWorkerRequest, { type: "render" }>) {
+  abortController = new AbortController();
+  pauseController = new PauseController();
+  const backend = new VideoBackend();
+  await loadProjectSnapshot(backend, project);
+  const controls: RenderControls = {
+    signal: abortController.signal,
+    pauseController,
+    onProgress: (progress) => respond({ type: "progress", progress }),
+    onEncoderSelected: (selection) =>
+      respond({ type: "encoderSelected", selection }),
+  };
+  if (target?.kind === "directory") {
+    await backend.renderToDirectory(target, options, controls);
+    respond({ type: "done", result: null });
+    return;
+  }
+  const writable = target ? await target.createWritable() : null;
+  const result = await backend.renderToWritableStream(
+    writable,
+    options,
+    controls
+  );
+  respond({ type: "done", result });
+}
+
+addEventListener("message", (e: MessageEvent<RenderWorkerRequest>) => {
+  const message = e.data;
+  switch (message.type) {
+    case "render":
+      render(message)
+        .catch((err) => {
+          if (!(err instanceof DOMException && err.name === "AbortError")) {
+            console.error(err);
+          }
+          respond({
+            type: "error",
+            name: err instanceof Error ? err.name : "Error",
+            message: err instanceof Error ? err.message : String(err),
+          });
+        })
+        .finally(() => {
+          abortController = null;
+          pauseController = null;
+        });
+      break;
+    case "pause":
+      pauseController?.pause();
+      break;
+    case "resume":
+      pauseController?.resume();
+      break;
+    case "cancel":
+      abortController?.abort(
+        new DOMException("the render was cancelled", "AbortError")
+      );
+      break;
+  }
+});
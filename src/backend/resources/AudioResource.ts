@@ -0,0 +1,60 @@
+import { AUDIO_SAMPLE_RATE } from "../audio/mixdown";
+import Resource, {
+  SerializedFile,
+  SerializedResource,
+  serializeFile,
+} from "./Resource";
+
+export interface SerializedAudioResource extends SerializedResource {
+  type: "audio";
+  file: SerializedFile;
+}
+
+export default class AudioResource extends Resource {
+  constructor(public file: File, id?: number) {
+    super(id);
+    if (!file.type.startsWith("audio/")) {
+      throw new Error("a non-audio file was used to create an AudioResource.");
+    }
+  }
+
+  getDisplayName(): string {
+    return this.file.name;
+  }
+
+  getSize(): number {
+    return this.file.size;
+  }
+
+  getFile(): File {
+    return this.file;
+  }
+
+  serialize(): SerializedAudioResource {
+    return {
+      type: "audio",
+      id: this.id,
+      file: serializeFile(this.file),
+    };
+  }
+
+  #buffer: Promise<AudioBuffer> | null = null;
+  /**
+   * Decodes the audio, resampled to the rate the mix is made at. Web Audio
+   * isn't available in workers, so this only works on the main thread.
+   */
+  decode(): Promise<AudioBuffer> {
+    if (!this.#buffer) {
+      this.#buffer = this.file
+        .arrayBuffer()
+        .then((data) =>
+          new OfflineAudioContext(1, 1, AUDIO_SAMPLE_RATE).decodeAudioData(data)
+        );
+      // allow retrying if decoding failed
+      this.#buffer.catch(() => {
+        this.#buffer = null;
+      });
+    }
+    return this.#buffer;
+  }
+}
@@ -0,0 +1,196 @@
+import type ImageResource from "./ImageResource";
+
+/** The size of an image in pixels. */
+export interface BitmapSize {
+  width: number;
+  height: number;
+}
+
+/** How much memory decoded images can use, per thread */
+export const DEFAULT_BITMAP_CACHE_BUDGET = 512 * 1024 * 1024;
+/** Downscaled widths are rounded up to this, so similar sizes share bitmaps */
+const SIZE_STEP = 64;
+
+interface CacheEntry {
+  bitmap: ImageBitmap;
+  /** the memory the decoded pixels use */
+  bytes: number;
+}
+
+/**
+ * Works out how small an image can be decoded while still covering a size.
+ *
+ * @param natural the full size of the image
+ * @param size the size it must cover, or undefined to keep it full size
+ * @returns the size to decode at, or null for full size
+ */
+function scaledSize(
+  natural: BitmapSize,
+  size: BitmapSize | undefined
+): BitmapSize | null {
+  if (!size) return null;
+  const scale = Math.max(
+    size.width / natural.width,
+    size.height / natural.height
+  );
+  const width = Math.ceil((natural.width * scale) / SIZE_STEP) * SIZE_STEP;
+  if (width >= natural.width) return null;
+  return {
+    width,
+    height: Math.max(1, Math.round((natural.height * width) / natural.width)),
+  };
+}
+
+/**
+ * Keeps decoded images in memory up to a budget, throwing out the least
+ * recently used ones when it's full. Images are decoded at the size they're
+ * drawn at, so big photos don't take up more memory than the video needs.
+ *
+ * Evicted bitmaps are closed once the current task is done, so bitmaps must
+ * be drawn straight after they're fetched rather than kept around.
+ */
+export default class BitmapCache {
+  constructor(public budget = DEFAULT_BITMAP_CACHE_BUDGET) {}
+
+  /** the decoded images, from least to most recently used */
+  #entries = new Map<string, CacheEntry>();
+  /** images that are being decoded, so they're only decoded once */
+  #pending = new Map<string, Promise<ImageBitmap>>();
+  /** the full sizes of images, once they've been decoded */
+  #naturalSizes = new WeakMap<ImageResource, BitmapSize>();
+  /**
+   * a number for each image, to key its entries with. ids can't be used, as
+   * different projects can give different images the same id.
+   */
+  #imageNumbers = new WeakMap<ImageResource, number>();
+  #lastImageNumber = 0;
+  #usedBytes = 0;
+  /** evicted bitmaps that will be closed at the end of the task */
+  #retired: ImageBitmap[] = [];
+
+  /** how much memory the decoded images use */
+  get usedBytes() {
+    return this.#usedBytes;
+  }
+
+  #keyOf(resource: ImageResource, size: BitmapSize | null | "unknown") {
+    let number = this.#imageNumbers.get(resource);
+    if (number === undefined) {
+      number = ++this.#lastImageNumber;
+      this.#imageNumbers.set(resource, number);
+    }
+    if (size === "unknown") return `${number}?`;
+    return size ? `${number}@${size.width}x${size.height}` : `${number}`;
+  }
+
+  /**
+   * Gets an image, decoding it if it isn't cached.
+   *
+   * @param resource the image
+   * @param size the size it's drawn at. it's decoded at full size if this is
+   *     undefined or bigger than the image.
+   */
+  get(resource: ImageResource, size?: BitmapSize): Promise<ImageBitmap> {
+    const natural = this.#naturalSizes.get(resource);
+    // the full size is needed to work out the decoded size, so unknown images
+    // are decoded at full size first
+    const key = this.#keyOf(
+      resource,
+      natural ? scaledSize(natural, size) : "unknown"
+    );
+    const entry = this.#entries.get(key);
+    if (entry) {
+      // move it to the most recently used end
+      this.#entries.delete(key);
+      this.#entries.set(key, entry);
+      return Promise.resolve(entry.bitmap);
+    }
+
+    let pending = this.#pending.get(key);
+    if (!pending) {
+      pending = this.#decode(resource, size);
+      this.#pending.set(key, pending);
+      const done = () => this.#pending.delete(key);
+      pending.then(done, done);
+    }
+    return pending;
+  }
+
+  /**
+   * Starts decoding an image in the background so it's ready when it's
+   * needed.
+   *
+   * @param resource the image
+   * @param size the size it will be drawn at
+   */
+  prefetch(resource: ImageResource, size?: BitmapSize) {
+    // errors are reported when the image is actually used
+    this.get(resource, size).catch(() => {});
+  }
+
+  /** Removes every image from the cache. */
+  clear() {
+    for (const { bitmap } of this.#entries.values()) this.#retire(bitmap);
+    this.#entries.clear();
+    this.#usedBytes = 0;
+  }
+
+  async #decode(
+    resource: ImageResource,
+    size: BitmapSize | undefined
+  ): Promise<ImageBitmap> {
+    const natural = this.#naturalSizes.get(resource);
+    if (natural) {
+      const target = scaledSize(natural, size);
+      const bitmap = await resource.decode(target ?? undefined);
+      return this.#insert(this.#keyOf(resource, target), bitmap);
+    }
+
+    const full = await resource.decode();
+    const fullSize = { width: full.width, height: full.height };
+    this.#naturalSizes.set(resource, fullSize);
+    const target = scaledSize(fullSize, size);
+    if (!target) return this.#insert(this.#keyOf(resource, null), full);
+    const scaled = await createImageBitmap(full, {
+      resizeWidth: target.width,
+      resizeHeight: target.height,
+      resizeQuality: "high",
+    });
+    full.close();
+    return this.#insert(this.#keyOf(resource, target), scaled);
+  }
+
+  #insert(key: string, bitmap: ImageBitmap): ImageBitmap {
+    const bytes = bitmap.width * bitmap.height * 4;
+    const existing = this.#entries.get(key);
+    if (existing) {
+      this.#entries.delete(key);
+      this.#usedBytes -= existing.bytes;
+      this.#retire(existing.bitmap);
+    }
+    this.#entries.set(key, { bitmap, bytes });
+    this.#usedBytes += bytes;
+
+    // evict the least recently used images, but never the one just added
+    for (const [oldKey, entry] of this.#entries) {
+      if (this.#usedBytes <= this.budget || oldKey === key) break;
+      this.#entries.delete(oldKey);
+      this.#usedBytes -= entry.bytes;
+      this.#retire(entry.bitmap);
+    }
+    return bitmap;
+  }
+
+  #retire(bitmap: ImageBitmap) {
+    // whoever fetched it last may not have drawn it yet, which they'll do
+    // before the current task ends
+    if (this.#retired.push(bitmap) > 1) return;
+    setTimeout(() => {
+      for (const retired of this.#retired) retired.close();
+      this.#retired = [];
+    }, 0);
+  }
+}
+
+/** The cache shared by every image in this thread */
+export const sharedBitmapCache = new BitmapCache();
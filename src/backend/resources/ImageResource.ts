@@ -1,8 +1,20 @@
-import Resource from "./Resource";
+import { BitmapSize, sharedBitmapCache } from "./BitmapCache";
+import { ImageMetadata, readImageMetadata } from "./imageMetadata";
+import { browserAppliesExifOrientation, decodeOriented } from "./orientation";
+import Resource, {
+  SerializedFile,
+  SerializedResource,
+  serializeFile,
+} from "./Resource";
+
+export interface SerializedImageResource extends SerializedResource {
+  type: "image";
+  file: SerializedFile;
+}
 
 export default class ImageResource extends Resource {
-  constructor(public file: File) {
-    super();
+  constructor(public file: File, id?: number) {
+    super(id);
     if (!file.type.startsWith("image/")) {
       throw new Error("a non-image file was used to create an ImageResource.");
     }
@@ -16,23 +28,63 @@ export default class ImageResource extends Resource {
     return this.file.size;
   }
 
-  getPreviewUrl(): string | undefined {
-    return URL.createObjectURL(this.file);
+  getFile(): File {
+    return this.file;
   }
 
-  #image: HTMLImageElement | null = null;
-  async asImage(): Promise<HTMLImageElement> {
-    if (!this.#image) {
-      const blobUrl = URL.createObjectURL(this.file);
-      const image = new Image();
-      image.src = blobUrl;
-      await new Promise((r, j) => {
-        image.onload = r;
-        image.onerror = j;
-      });
-      URL.revokeObjectURL(blobUrl);
-      this.#image = image;
-    }
-    return this.#image;
+  #metadata: Promise<ImageMetadata> | null = null;
+
+  /**
+   * Reads the image's EXIF and XMP metadata. It's only read once; files whose
+   * metadata can't be read give an empty result.
+   */
+  getMetadata(): Promise<ImageMetadata> {
+    this.#metadata ??= readImageMetadata(this.file).catch(() => ({}));
+    return this.#metadata;
+  }
+
+  /**
+   * Decodes the image the right way up, without caching it. Use `asBitmap`
+   * to draw it.
+   *
+   * @param size the size to decode at, after it's turned the right way up.
+   *     either dimension can be left out to keep the aspect ratio.
+   * @param quality how carefully to resize it
+   */
+  async decode(
+    size?: Partial<BitmapSize>,
+    quality?: ResizeQuality
+  ): Promise<ImageBitmap> {
+    const { orientation = 1, orientationSource } = await this.getMetadata();
+    const applied =
+      orientationSource === "exif" && (await browserAppliesExifOrientation());
+    return decodeOriented(this.file, applied ? 1 : orientation, size, quality);
+  }
+
+  serialize(): SerializedImageResource {
+    return {
+      type: "image",
+      id: this.id,
+      file: serializeFile(this.file),
+    };
+  }
+
+  /**
+   * Decodes the image, or gets it from the cache. Unlike
+   * `HTMLImageElement`s, bitmaps can be used in workers.
+   *
+   * @param size the size the image is drawn at, so it can be decoded smaller
+   */
+  asBitmap(size?: BitmapSize): Promise<ImageBitmap> {
+    return sharedBitmapCache.get(this, size);
+  }
+
+  /**
+   * Starts decoding the image in the background.
+   *
+   * @param size the size the image will be drawn at
+   */
+  prefetch(size?: BitmapSize) {
+    sharedBitmapCache.prefetch(this, size);
   }
 }
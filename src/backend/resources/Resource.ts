@@ -1,6 +1,49 @@
+import { claimId } from "../ids";
+
+/** Describes the file behind a resource without including its contents. */
+export interface SerializedFile {
+  name: string;
+  /**
+   * where the file was found relative to the folder it was imported from, or
+   * just the file name if it was picked on its own
+   */
+  path: string;
+  mimeType: string;
+  lastModified: number;
+  size: number;
+  /**
+   * where the contents start in the data section of a project bundle. only
+   * present in bundles.
+   */
+  offset?: number;
+}
+
+/** The JSON-compatible form of a resource, as stored in project files. */
+export interface SerializedResource {
+  /** identifies the `Resource` subclass */
+  type: string;
+  id: number;
+  file?: SerializedFile;
+}
+
+/**
+ * describes a file for `Resource.serialize`
+ *
+ * @param file the file to describe
+ */
+export function serializeFile(file: File): SerializedFile {
+  return {
+    name: file.name,
+    path: file.webkitRelativePath || file.name,
+    mimeType: file.type,
+    lastModified: file.lastModified,
+    size: file.size,
+  };
+}
+
 export default abstract class Resource {
-  constructor() {
-    this.id = Math.random();
+  constructor(id?: number) {
+    this.id = claimId(id);
   }
 
   id: number;
@@ -9,6 +52,11 @@ export default abstract class Resource {
   abstract getDisplayName(): string;
   /** gets the size of the resource in bytes */
   abstract getSize(): number;
-  /** gets the preview of the resource as url */
-  abstract getPreviewUrl(): string | undefined;
+  /** gets the file backing this resource, if there is one */
+  abstract getFile(): File | null;
+  /**
+   * gets the resource as a JSON-compatible object. the contents of the file
+   * aren't included; the project file stores them separately.
+   */
+  abstract serialize(): SerializedResource;
 }
@@ -0,0 +1,127 @@
+import ImageResource from "./ImageResource";
+import Resource from "./Resource";
+
+/** The height of thumbnails, twice their displayed height for sharp screens */
+export const THUMBNAIL_HEIGHT = 96;
+/** How many thumbnails are made at once */
+const DEFAULT_CONCURRENCY = 3;
+
+/**
+ * Makes small previews of image resources in the background and keeps them as
+ * object URLs, so big photos only have to be decoded once. A "thumbnail" event
+ * is dispatched whenever one is ready.
+ */
+export default class ThumbnailService extends EventTarget {
+  constructor(
+    public concurrency = DEFAULT_CONCURRENCY,
+    public height = THUMBNAIL_HEIGHT
+  ) {
+    super();
+  }
+
+  /**
+   * the finished thumbnails. they're kept by resource rather than id, as
+   * different projects can give different resources the same id.
+   */
+  #urls = new Map<Resource, string>();
+  /** resources waiting for thumbnails, where the last one is made first */
+  #queue: ImageResource[] = [];
+  /** resources in the queue or being made */
+  #wanted = new Set<Resource>();
+  /** resources that couldn't be decoded, which aren't retried */
+  #failed = new Set<Resource>();
+  #running = 0;
+
+  /**
+   * Gets a resource's thumbnail, if it has been made.
+   *
+   * @param resource the resource
+   * @returns the object URL of the thumbnail
+   */
+  get(resource: Resource): string | undefined {
+    return this.#urls.get(resource);
+  }
+
+  /**
+   * Asks for a thumbnail to be made. The most recently requested thumbnails
+   * are made first, so the ones on screen are ready soonest.
+   *
+   * @param resource the resource to preview. only images have thumbnails.
+   */
+  request(resource: Resource) {
+    if (!(resource instanceof ImageResource)) return;
+    if (this.#urls.has(resource) || this.#failed.has(resource)) return;
+    const index = this.#queue.indexOf(resource);
+    if (index !== -1) this.#queue.splice(index, 1);
+    else if (this.#wanted.has(resource)) return;
+    this.#queue.push(resource);
+    this.#wanted.add(resource);
+    this.#pump();
+  }
+
+  /**
+   * Frees the thumbnails of resources that are no longer in the project.
+   *
+   * @param resources the resources to keep thumbnails for
+   */
+  retain(resources: Resource[]) {
+    const kept = new Set(resources);
+    for (const [resource, url] of this.#urls) {
+      if (kept.has(resource)) continue;
+      URL.revokeObjectURL(url);
+      this.#urls.delete(resource);
+    }
+    this.#queue = this.#queue.filter((resource) => kept.has(resource));
+    for (const resource of [...this.#wanted, ...this.#failed]) {
+      if (!kept.has(resource)) {
+        this.#wanted.delete(resource);
+        this.#failed.delete(resource);
+      }
+    }
+  }
+
+  #pump() {
+    while (this.#running < this.concurrency && this.#queue.length > 0) {
+      const resource = this.#queue.pop()!;
+      this.#running++;
+      this.#generate(resource)
+        .then(
+          (url) => {
+            // the resource may have been removed in the meantime
+            if (!this.#wanted.has(resource)) {
+              URL.revokeObjectURL(url);
+              return;
+            }
+            this.#urls.set(resource, url);
+            this.dispatchEvent(new Event("thumbnail"));
+          },
+          () => {
+            if (this.#wanted.has(resource)) this.#failed.add(resource);
+          }
+        )
+        .finally(() => {
+          this.#wanted.delete(resource);
+          this.#running--;
+          this.#pump();
+        });
+    }
+  }
+
+  async #generate(resource: ImageResource): Promise<string> {
+    const bitmap = await resource.decode({ height: this.height }, "medium");
+    try {
+      const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+      const ctx = canvas.getContext("2d");
+      if (!ctx)
+        throw new Error("failed to get rendering context for thumbnail");
+      ctx.drawImage(bitmap, 0, 0);
+      const blob = await canvas.convertToBlob({
+        type: "image/webp",
+        quality: 0.8,
+      });
+      return URL.createObjectURL(blob);
+    } finally {
+      bitmap.close();
+    }
+  }
+}
@@ -0,0 +1,160 @@
+import type { ImageMetadata } from "./imageMetadata";
+
+/**
+ * Reads the EXIF tags the app uses from the TIFF structure EXIF data is
+ * stored in. Finding that structure depends on the file format, which
+ * `readImageMetadata` deals with.
+ */
+
+const TAG_MAKE = 0x010f;
+const TAG_MODEL = 0x0110;
+const TAG_ORIENTATION = 0x0112;
+const TAG_DATE_TIME = 0x0132;
+const TAG_EXPOSURE_TIME = 0x829a;
+const TAG_F_NUMBER = 0x829d;
+const TAG_EXIF_IFD = 0x8769;
+const TAG_ISO = 0x8827;
+const TAG_DATE_TIME_ORIGINAL = 0x9003;
+const TAG_FOCAL_LENGTH = 0x920a;
+const TAG_SUB_SEC_TIME_ORIGINAL = 0x9291;
+const TAG_PIXEL_WIDTH = 0xa002;
+const TAG_PIXEL_HEIGHT = 0xa003;
+
+const TYPE_ASCII = 2;
+const TYPE_SHORT = 3;
+const TYPE_LONG = 4;
+const TYPE_RATIONAL = 5;
+
+/** The entries of an image file directory, by tag. */
+type Directory = Map<number, string | number>;
+
+/**
+ * Reads the tags of an image file directory, skipping any whose types aren't
+ * needed. Only the first value of each tag is read.
+ *
+ * @param view the TIFF structure
+ * @param offset where the directory starts
+ * @param little whether numbers are little-endian
+ */
+function readDirectory(
+  view: DataView,
+  offset: number,
+  little: boolean
+): Directory {
+  const directory: Directory = new Map();
+  if (offset + 2 > view.byteLength) return directory;
+  const count = view.getUint16(offset, little);
+  for (let i = 0; i < count; i++) {
+    const entry = offset + 2 + i * 12;
+    if (entry + 12 > view.byteLength) break;
+    const tag = view.getUint16(entry, little);
+    const type = view.getUint16(entry + 2, little);
+    const length = view.getUint32(entry + 4, little);
+    if (type === TYPE_SHORT) {
+      directory.set(tag, view.getUint16(entry + 8, little));
+    } else if (type === TYPE_LONG) {
+      directory.set(tag, view.getUint32(entry + 8, little));
+    } else if (type === TYPE_RATIONAL) {
+      const value = view.getUint32(entry + 8, little);
+      if (value + 8 > view.byteLength) continue;
+      const denominator = view.getUint32(value + 4, little);
+      if (denominator === 0) continue;
+      directory.set(tag, view.getUint32(value, little) / denominator);
+    } else if (type === TYPE_ASCII) {
+      // strings of up to 4 bytes are stored in the entry itself
+      const value = length > 4 ? view.getUint32(entry + 8, little) : entry + 8;
+      if (value + length > view.byteLength) continue;
+      const bytes = new Uint8Array(
+        view.buffer,
+        view.byteOffset + value,
+        length
+      );
+      directory.set(tag, new TextDecoder().decode(bytes).split("\0")[0].trim());
+    }
+  }
+  return directory;
+}
+
+/**
+ * Parses an EXIF date, which looks like "2024:05:17 13:45:02". EXIF times
+ * usually have no time zone, so they're read as local time.
+ *
+ * @param date the date
+ * @param subSeconds the digits of the fraction of a second, if known
+ * @returns a timestamp in milliseconds, or undefined if it isn't valid
+ */
+function parseExifDate(
+  date: string | number | undefined,
+  subSeconds: string | number | undefined
+): number | undefined {
+  if (typeof date !== "string") return undefined;
+  const match = /^(\d{4}):(\d\d):(\d\d) (\d\d):(\d\d):(\d\d)$/.exec(date);
+  if (!match) return undefined;
+  const [year, month, day, hours, minutes, seconds] = match
+    .slice(1)
+    .map(Number);
+  const fraction =
+    typeof subSeconds === "string" && /^\d+$/.test(subSeconds)
+      ? Number(`0.${subSeconds}`)
+      : 0;
+  const time = new Date(
+    year,
+    month - 1,
+    day,
+    hours,
+    minutes,
+    seconds,
+    fraction * 1000
+  ).getTime();
+  return isNaN(time) ? undefined : time;
+}
+
+function asString(value: string | number | undefined) {
+  return typeof value === "string" && value !== "" ? value : undefined;
+}
+
+function asNumber(value: string | number | undefined) {
+  return typeof value === "number" ? value : undefined;
+}
+
+/**
+ * Reads EXIF data.
+ *
+ * @param view the TIFF structure, starting with its "II" or "MM" header
+ * @returns the tags that were found, which is nothing if it isn't valid
+ */
+export function parseExif(view: DataView): Partial<ImageMetadata> {
+  if (view.byteLength < 8) return {};
+  const byteOrder = view.getUint16(0);
+  // "II" for Intel byte order, "MM" for Motorola
+  if (byteOrder !== 0x4949 && byteOrder !== 0x4d4d) return {};
+  const little = byteOrder === 0x4949;
+
+  const main = readDirectory(view, view.getUint32(4, little), little);
+  const exifOffset = main.get(TAG_EXIF_IFD);
+  const exif: Directory =
+    typeof exifOffset === "number"
+      ? readDirectory(view, exifOffset, little)
+      : new Map();
+
+  const orientation = asNumber(main.get(TAG_ORIENTATION));
+  return {
+    width: asNumber(exif.get(TAG_PIXEL_WIDTH)),
+    height: asNumber(exif.get(TAG_PIXEL_HEIGHT)),
+    orientation:
+      orientation !== undefined && orientation >= 1 && orientation <= 8
+        ? orientation
+        : undefined,
+    captureTime:
+      parseExifDate(
+        exif.get(TAG_DATE_TIME_ORIGINAL),
+        exif.get(TAG_SUB_SEC_TIME_ORIGINAL)
+      ) ?? parseExifDate(main.get(TAG_DATE_TIME), undefined),
+    cameraMake: asString(main.get(TAG_MAKE)),
+    cameraModel: asString(main.get(TAG_MODEL)),
+    exposureTime: asNumber(exif.get(TAG_EXPOSURE_TIME)),
+    fNumber: asNumber(exif.get(TAG_F_NUMBER)),
+    iso: asNumber(exif.get(TAG_ISO)),
+    focalLength: asNumber(exif.get(TAG_FOCAL_LENGTH)),
+  };
+}
@@ -0,0 +1,244 @@
+import { readImageMetadata } from "./imageMetadata";
+
+/** A file found in a folder. */
+export interface FolderEntry {
+  file: File;
+  /** the handle the file was read from, if it was found with one */
+  handle?: FileSystemFileHandle;
+  /** where the file is relative to the chosen folder, e.g. "shots/a_01.png" */
+  path: string;
+}
+
+/** Images that were numbered as one sequence. */
+export interface DetectedSequence<T extends { path: string }> {
+  /** describes the sequence, e.g. "shotA_" for shotA_0001.png... */
+  name: string;
+  /** the images, in order */
+  entries: T[];
+}
+
+const collator = new Intl.Collator(undefined, { sensitivity: "base" });
+
+/**
+ * Compares two names the way people expect, with runs of digits compared as
+ * numbers, so "IMG_2.jpg" comes before "IMG_10.jpg".
+ *
+ * @param a the first name
+ * @param b the second name
+ * @returns a negative number if a comes first, positive if b does, or 0
+ */
+export function naturalCompare(a: string, b: string): number {
+  // splitting on a capturing group keeps the digit runs at the odd indices
+  const aParts = a.split(/(\d+)/);
+  const bParts = b.split(/(\d+)/);
+  for (let i = 0; i < Math.min(aParts.length, bParts.length); i++) {
+    let order: number;
+    if (i % 2 === 1) {
+      // compare by length first, so numbers of any size work
+      const aNumber = aParts[i].replace(/^0+/, "");
+      const bNumber = bParts[i].replace(/^0+/, "");
+      order =
+        aNumber.length - bNumber.length ||
+        (aNumber < bNumber ? -1 : aNumber > bNumber ? 1 : 0);
+    } else {
+      order = collator.compare(aParts[i], bParts[i]);
+    }
+    if (order !== 0) return order;
+  }
+  return aParts.length - bParts.length || (a < b ? -1 : a > b ? 1 : 0);
+}
+
+/**
+ * Lists the files in a folder.
+ *
+ * @param directory the folder
+ * @param recursive whether to include the files in its subfolders
+ * @param accept decides which files to include
+ */
+export async function readFolder(
+  directory: FileSystemDirectoryHandle,
+  recursive: boolean,
+  accept: (file: File) => boolean
+): Promise<FolderEntry[]> {
+  const entries: FolderEntry[] = [];
+  const visit = async (directory: FileSystemDirectoryHandle, path: string) => {
+    for await (const handle of directory.values()) {
+      if (handle.kind === "directory") {
+        if (recursive) await visit(handle, `${path}${handle.name}/`);
+        continue;
+      }
+      const file = await handle.getFile();
+      if (accept(file)) {
+        entries.push({ file, handle, path: path + handle.name });
+      }
+    }
+  };
+  await visit(directory, "");
+  return entries;
+}
+
+/**
+ * Lists the files chosen with an `<input type="file" webkitdirectory>`, for
+ * browsers without `showDirectoryPicker`.
+ *
+ * @param files the files of the input
+ * @param recursive whether to include the files in subfolders
+ */
+export function entriesFromFileList(
+  files: File[],
+  recursive: boolean
+): FolderEntry[] {
+  return (
+    files
+      // paths start with the name of the chosen folder
+      .map((file) => ({
+        file,
+        path: (file.webkitRelativePath || file.name).replace(/^[^/]*\//, ""),
+      }))
+      .filter((entry) => recursive || !entry.path.includes("/"))
+  );
+}
+
+/** Files and folders that were dragged into the page. */
+export interface DroppedFiles {
+  /** the files, including the ones in dropped folders and their subfolders */
+  entries: FolderEntry[];
+  /** whether any folders were dropped */
+  includesFolders: boolean;
+}
+
+/**
+ * Lists the files and folders dropped into the page. This must be called
+ * while handling the drop event, as the dropped items can't be read after it.
+ *
+ * @param dataTransfer the data of the drop event
+ */
+export function readDroppedFiles(
+  dataTransfer: DataTransfer
+): Promise<DroppedFiles> {
+  // the items are only available until the event handler returns
+  const roots = [...dataTransfer.items]
+    .filter((item) => item.kind === "file")
+    .map((item) => item.webkitGetAsEntry())
+    .filter((entry): entry is FileSystemEntry => entry !== null);
+
+  const readBatch = (reader: FileSystemDirectoryReader) =>
+    new Promise<FileSystemEntry[]>((resolve, reject) =>
+      reader.readEntries(resolve, reject)
+    );
+  const readFile = (entry: FileSystemFileEntry) =>
+    new Promise<File>((resolve, reject) => entry.file(resolve, reject));
+
+  const entries: FolderEntry[] = [];
+  const visit = async (entry: FileSystemEntry, path: string) => {
+    if (entry.isFile) {
+      const file = await readFile(entry as FileSystemFileEntry);
+      entries.push({ file, path: path + entry.name });
+    } else if (entry.isDirectory) {
+      const reader = (entry as FileSystemDirectoryEntry).createReader();
+      // folders are read in batches, until an empty one
+      for (;;) {
+        const batch = await readBatch(reader);
+        if (batch.length === 0) break;
+        for (const child of batch) {
+          await visit(child, `${path}${entry.name}/`);
+        }
+      }
+    }
+  };
+
+  return (async () => {
+    for (const root of roots) await visit(root, "");
+    return {
+      entries,
+      includesFolders: roots.some((root) => root.isDirectory),
+    };
+  })();
+}
+
+/**
+ * Groups files into numbered sequences. Files in the same folder whose names
+ * only differ in their last number, like shotA_0001.png and shotA_0002.png,
+ * form a sequence. The files left over in each folder form one more.
+ *
+ * @param entries the files
+ * @returns the sequences, each sorted by name, in order of their first files
+ */
+export function detectSequences<T extends { path: string }>(
+  entries: T[]
+): DetectedSequence<T>[] {
+  const groups = new Map<string, DetectedSequence<T>>();
+  const add = (key: string, name: string, entry: T) => {
+    const group = groups.get(key);
+    if (group) group.entries.push(entry);
+    else groups.set(key, { name, entries: [entry] });
+  };
+  for (const entry of entries) {
+    const slash = entry.path.lastIndexOf("/") + 1;
+    const folder = entry.path.slice(0, slash);
+    const filename = entry.path.slice(slash);
+    const dot = filename.lastIndexOf(".");
+    const extension = dot > 0 ? filename.slice(dot).toLowerCase() : "";
+    const stem = dot > 0 ? filename.slice(0, dot) : filename;
+    const numbered = /^(.*?)(\d+)(\D*)$/.exec(stem);
+    if (numbered) {
+      const [, prefix, , suffix] = numbered;
+      add(
+        `${folder}${prefix}#${suffix}${extension}`,
+        folder + (prefix + suffix || "#"),
+        entry
+      );
+    } else {
+      add(`${folder}?${filename}`, folder + filename, entry);
+    }
+  }
+
+  // single files don't make a sequence on their own
+  const sequences: DetectedSequence<T>[] = [];
+  const leftovers = new Map<string, DetectedSequence<T>>();
+  for (const group of groups.values()) {
+    if (group.entries.length > 1) {
+      sequences.push(group);
+      continue;
+    }
+    const [entry] = group.entries;
+    const folder = entry.path.slice(0, entry.path.lastIndexOf("/") + 1);
+    const leftover = leftovers.get(folder);
+    if (leftover) leftover.entries.push(entry);
+    else
+      leftovers.set(folder, {
+        name: folder || "other images",
+        entries: [entry],
+      });
+  }
+  sequences.push(...leftovers.values());
+
+  for (const sequence of sequences) {
+    sequence.entries.sort((a, b) => naturalCompare(a.path, b.path));
+  }
+  return sequences.sort((a, b) =>
+    naturalCompare(a.entries[0].path, b.entries[0].path)
+  );
+}
+
+/**
+ * Sorts images by when they were taken, from their EXIF data, or by when the
+ * file was last modified if they don't have any. Images taken at the same
+ * time keep their order.
+ *
+ * @param entries the images
+ * @returns the sorted images
+ */
+export async function sortByCaptureTime<T extends { file: File }>(
+  entries: T[]
+): Promise<T[]> {
+  const times = new Map<T, number>();
+  // one at a time, so big folders don't read lots of files at once
+  for (const entry of entries) {
+    const { captureTime } = await readImageMetadata(entry.file).catch(() => ({
+      captureTime: undefined,
+    }));
+    times.set(entry, captureTime ?? entry.file.lastModified);
+  }
+  return [...entries].sort((a, b) => times.get(a)! - times.get(b)!);
+}
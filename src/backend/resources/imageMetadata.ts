@@ -0,0 +1,250 @@
+import { parseExif } from "./exif";
+import { parseXmp } from "./xmp";
+
+/**
+ * Information about an image from its file's metadata. Anything the file
+ * doesn't say is left out.
+ */
+export interface ImageMetadata {
+  /** the width of the image as it's stored, before it's oriented */
+  width?: number;
+  /** the height of the image as it's stored, before it's oriented */
+  height?: number;
+  /**
+   * how the stored image has to be turned to be the right way up, as an EXIF
+   * orientation from 1 (already upright) to 8
+   */
+  orientation?: number;
+  /** which kind of metadata the orientation came from */
+  orientationSource?: "exif" | "xmp";
+  /** when the photo was taken, as a timestamp in milliseconds */
+  captureTime?: number;
+  cameraMake?: string;
+  cameraModel?: string;
+  /** in seconds */
+  exposureTime?: number;
+  /** the aperture, e.g. 2.8 for f/2.8 */
+  fNumber?: number;
+  iso?: number;
+  /** in millimetres */
+  focalLength?: number;
+}
+
+/** The metadata found in a file, before it's parsed. */
+interface MetadataSources {
+  /** the TIFF structure of the EXIF data */
+  exif?: DataView;
+  /** the XMP packet */
+  xmp?: string;
+  width?: number;
+  height?: number;
+}
+
+type Reader = (start: number, length: number) => Promise<DataView>;
+
+/** Metadata bigger than this is skipped rather than read */
+const MAX_METADATA_LENGTH = 1024 * 1024;
+/** Files are only searched this far for metadata */
+const MAX_SEGMENTS = 256;
+
+const XMP_NAMESPACE = "http://ns.adobe.com/xap/1.0/\0";
+const PNG_XMP_KEYWORD = "XML:com.adobe.xmp";
+
+function ascii(view: DataView, start: number, length: number) {
+  let text = "";
+  for (let i = start; i < Math.min(start + length, view.byteLength); i++) {
+    text += String.fromCharCode(view.getUint8(i));
+  }
+  return text;
+}
+
+function utf8(view: DataView, start: number) {
+  return new TextDecoder().decode(
+    new Uint8Array(
+      view.buffer,
+      view.byteOffset + start,
+      Math.max(0, view.byteLength - start)
+    )
+  );
+}
+
+/** Some writers start the EXIF data of PNG and WebP files with this. */
+function skipExifHeader(view: DataView) {
+  return ascii(view, 0, 6) === "Exif\0\0"
+    ? new DataView(view.buffer, view.byteOffset + 6, view.byteLength - 6)
+    : view;
+}
+
+/**
+ * Walks the segments of a JPEG up to the image data.
+ *
+ * @param read reads part of the file
+ * @param size the size of the file
+ */
+async function readJpeg(read: Reader, size: number) {
+  const sources: MetadataSources = {};
+  let offset = 2;
+  for (let i = 0; i < MAX_SEGMENTS && offset + 4 <= size; i++) {
+    const header = await read(offset, 4);
+    const marker = header.getUint16(0);
+    if ((marker & 0xff00) !== 0xff00) break;
+    if (marker === 0xffff) {
+      // padding before a marker
+      offset++;
+      continue;
+    }
+    // the image data starts at start of scan
+    if (marker === 0xffda || marker === 0xffd9) break;
+    const length = header.getUint16(2) - 2;
+    const start = offset + 4;
+    offset = start + length;
+    if (marker === 0xffe1 && length <= MAX_METADATA_LENGTH) {
+      const data = await read(start, length);
+      if (ascii(data, 0, 6) === "Exif\0\0") {
+        sources.exif ??= new DataView(
+          data.buffer,
+          data.byteOffset + 6,
+          data.byteLength - 6
+        );
+      } else if (ascii(data, 0, XMP_NAMESPACE.length) === XMP_NAMESPACE) {
+        sources.xmp ??= utf8(data, XMP_NAMESPACE.length);
+      }
+    } else if (
+      // start of frame, which holds the size, in any of its encodings
+      marker >= 0xffc0 &&
+      marker <= 0xffcf &&
+      marker !== 0xffc4 &&
+      marker !== 0xffc8 &&
+      marker !== 0xffcc
+    ) {
+      const frame = await read(start, 5);
+      sources.height = frame.getUint16(1);
+      sources.width = frame.getUint16(3);
+    }
+  }
+  return sources;
+}
+
+/**
+ * Walks the chunks of a PNG up to the image data.
+ *
+ * @param read reads part of the file
+ * @param size the size of the file
+ */
+async function readPng(read: Reader, size: number) {
+  const sources: MetadataSources = {};
+  let offset = 8;
+  for (let i = 0; i < MAX_SEGMENTS && offset + 8 <= size; i++) {
+    const header = await read(offset, 8);
+    const length = header.getUint32(0);
+    const type = ascii(header, 4, 4);
+    const start = offset + 8;
+    // each chunk ends with a CRC
+    offset = start + length + 4;
+    if (type === "IDAT" || type === "IEND") break;
+    if (type === "IHDR") {
+      const data = await read(start, 8);
+      sources.width = data.getUint32(0);
+      sources.height = data.getUint32(4);
+    } else if (type === "eXIf" && length <= MAX_METADATA_LENGTH) {
+      sources.exif = skipExifHeader(await read(start, length));
+    } else if (type === "iTXt" && length <= MAX_METADATA_LENGTH) {
+      const data = await read(start, length);
+      if (ascii(data, 0, PNG_XMP_KEYWORD.length + 1) !== PNG_XMP_KEYWORD + "\0")
+        continue;
+      // compressed text isn't supported
+      let position = PNG_XMP_KEYWORD.length + 1;
+      if (data.getUint8(position) !== 0) continue;
+      position += 2;
+      // skip the language tag and the translated keyword
+      for (let nulls = 0; nulls < 2 && position < data.byteLength; position++) {
+        if (data.getUint8(position) === 0) nulls++;
+      }
+      sources.xmp = utf8(data, position);
+    }
+  }
+  return sources;
+}
+
+/**
+ * Walks the chunks of a WebP. The metadata comes after the image data, but
+ * only the chunk headers are read on the way.
+ *
+ * @param read reads part of the file
+ * @param size the size of the file
+ */
+async function readWebp(read: Reader, size: number) {
+  const sources: MetadataSources = {};
+  let offset = 12;
+  for (let i = 0; i < MAX_SEGMENTS && offset + 8 <= size; i++) {
+    const header = await read(offset, 8);
+    const type = ascii(header, 0, 4);
+    const length = header.getUint32(4, true);
+    const start = offset + 8;
+    // chunks are padded to an even length
+    offset = start + length + (length % 2);
+    if (type === "VP8X") {
+      const data = await read(start, 10);
+      const uint24 = (at: number) =>
+        data.getUint8(at) |
+        (data.getUint8(at + 1) << 8) |
+        (data.getUint8(at + 2) << 16);
+      sources.width = uint24(4) + 1;
+      sources.height = uint24(7) + 1;
+    } else if (type === "VP8 " && sources.width === undefined) {
+      const data = await read(start, 10);
+      sources.width = data.getUint16(6, true) & 0x3fff;
+      sources.height = data.getUint16(8, true) & 0x3fff;
+    } else if (type === "VP8L" && sources.width === undefined) {
+      const data = await read(start, 5);
+      const bits = data.getUint32(1, true);
+      sources.width = (bits & 0x3fff) + 1;
+      sources.height = ((bits >> 14) & 0x3fff) + 1;
+    } else if (type === "EXIF" && length <= MAX_METADATA_LENGTH) {
+      sources.exif = skipExifHeader(await read(start, length));
+    } else if (type === "XMP " && length <= MAX_METADATA_LENGTH) {
+      sources.xmp = utf8(await read(start, length), 0);
+    }
+  }
+  return sources;
+}
+
+/** Leaves out the properties that weren't found. */
+function defined(metadata: Partial<ImageMetadata>): Partial<ImageMetadata> {
+  return Object.fromEntries(
+    Object.entries(metadata).filter(([, value]) => value !== undefined)
+  );
+}
+
+/**
+ * Reads the EXIF and XMP metadata and the size of a JPEG, PNG or WebP image.
+ * Only the parts of the file that hold metadata are read. Where EXIF and XMP
+ * disagree, EXIF wins, as it's what the camera wrote.
+ *
+ * @param file the image file
+ */
+export async function readImageMetadata(file: Blob): Promise<ImageMetadata> {
+  const read: Reader = async (start, length) =>
+    new DataView(await file.slice(start, start + length).arrayBuffer());
+  const start = await read(0, 12);
+  let sources: MetadataSources = {};
+  if (start.byteLength >= 2 && start.getUint16(0) === 0xffd8) {
+    sources = await readJpeg(read, file.size);
+  } else if (ascii(start, 0, 8) === "\x89PNG\r\n\x1a\n") {
+    sources = await readPng(read, file.size);
+  } else if (ascii(start, 0, 4) === "RIFF" && ascii(start, 8, 4) === "WEBP") {
+    sources = await readWebp(read, file.size);
+  }
+
+  const exif = defined(sources.exif ? parseExif(sources.exif) : {});
+  const xmp = defined(sources.xmp ? parseXmp(sources.xmp) : {});
+  const metadata: ImageMetadata = { ...xmp, ...exif };
+  // the size in the image data is the real one; metadata can be out of date
+  if (sources.width && sources.height) {
+    metadata.width = sources.width;
+    metadata.height = sources.height;
+  }
+  if (exif.orientation) metadata.orientationSource = "exif";
+  else if (xmp.orientation) metadata.orientationSource = "xmp";
+  return metadata;
+}
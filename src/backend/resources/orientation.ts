@@ -0,0 +1,134 @@
+import type { BitmapSize } from "./BitmapCache";
+
+/**
+ * Turns images the right way up. Browsers already apply EXIF orientations
+ * when decoding, so the app only applies the ones they don't know about,
+ * like orientations from XMP.
+ */
+
+/**
+ * An APP1 segment holding EXIF data with just an orientation tag, in
+ * big-endian byte order, as hex. The orientation is a quarter turn, so
+ * browsers that apply it turn a 2×1 test image into a 1×2 one.
+ */
+const ORIENTATION_SEGMENT =
+  // APP1 marker and length, then "Exif\0\0"
+  "ffe10022" +
+  "457869660000" +
+  // TIFF header, with the directory straight after it
+  "4d4d002a00000008" +
+  // one entry: orientation, a short, one value of 6
+  "0001" +
+  "011200030000000100060000" +
+  // no next directory
+  "00000000";
+
+let appliesExifOrientation: Promise<boolean> | null = null;
+
+/**
+ * Finds out whether the browser applies EXIF orientations when decoding
+ * images. It's only tested once.
+ */
+export function browserAppliesExifOrientation(): Promise<boolean> {
+  appliesExifOrientation ??= (async () => {
+    const canvas = new OffscreenCanvas(2, 1);
+    const jpeg = new Uint8Array(
+      await (await canvas.convertToBlob({ type: "image/jpeg" })).arrayBuffer()
+    );
+    const segment = new Uint8Array(
+      ORIENTATION_SEGMENT.match(/../g)!.map((byte) => parseInt(byte, 16))
+    );
+    // put the EXIF data straight after the start of image marker
+    const tagged = new Blob([jpeg.subarray(0, 2), segment, jpeg.subarray(2)]);
+    const bitmap = await createImageBitmap(tagged);
+    const turned = bitmap.width === 1;
+    bitmap.close();
+    return turned;
+  })().catch(() => true); // every current browser does
+  return appliesExifOrientation;
+}
+
+/**
+ * Checks whether an orientation turns the image on its side, swapping its
+ * width and height.
+ *
+ * @param orientation the EXIF orientation
+ */
+export function swapsDimensions(orientation: number) {
+  return orientation >= 5 && orientation <= 8;
+}
+
+/**
+ * Gets the transform that draws an image the right way up, when it's drawn
+ * at (0, 0) on a canvas with its width and height swapped if needed.
+ *
+ * @param orientation the EXIF orientation
+ * @param width the width of the image as it's stored
+ * @param height the height of the image as it's stored
+ * @returns the arguments for `setTransform`
+ */
+export function orientationTransform(
+  orientation: number,
+  width: number,
+  height: number
+): [number, number, number, number, number, number] {
+  switch (orientation) {
+    case 2: // mirrored
+      return [-1, 0, 0, 1, width, 0];
+    case 3: // upside down
+      return [-1, 0, 0, -1, width, height];
+    case 4: // upside down and mirrored
+      return [1, 0, 0, -1, 0, height];
+    case 5: // mirrored along the main diagonal
+      return [0, 1, 1, 0, 0, 0];
+    case 6: // a quarter turn clockwise
+      return [0, 1, -1, 0, height, 0];
+    case 7: // mirrored along the other diagonal
+      return [0, -1, -1, 0, height, width];
+    case 8: // a quarter turn anticlockwise
+      return [0, -1, 1, 0, 0, width];
+    default:
+      return [1, 0, 0, 1, 0, 0];
+  }
+}
+
+/**
+ * Decodes an image and turns it the right way up.
+ *
+ * @param file the image file
+ * @param orientation the orientation the browser won't apply itself
+ * @param size the size to decode at, after orientation. either dimension can
+ *     be left out to keep the aspect ratio.
+ * @param quality how carefully to resize it
+ */
+export async function decodeOriented(
+  file: Blob,
+  orientation: number,
+  size?: Partial<BitmapSize>,
+  quality: ResizeQuality = "high"
+): Promise<ImageBitmap> {
+  const swap = swapsDimensions(orientation);
+  const resizeWidth = swap ? size?.height : size?.width;
+  const resizeHeight = swap ? size?.width : size?.height;
+  const stored = await createImageBitmap(file, {
+    ...(resizeWidth !== undefined && { resizeWidth }),
+    ...(resizeHeight !== undefined && { resizeHeight }),
+    ...(size && { resizeQuality: quality }),
+  });
+  if (orientation === 1) return stored;
+
+  const canvas = swap
+    ? new OffscreenCanvas(stored.height, stored.width)
+    : new OffscreenCanvas(stored.width, stored.height);
+  const ctx = canvas.getContext("2d");
+  if (!ctx) {
+    stored.close();
+    throw new Error("failed to get rendering context to orient image");
+  }
+  ctx.setTransform(
+    ...orientationTransform(orientation, stored.width, stored.height)
+  );
+  ctx.drawImage(stored, 0, 0);
+  stored.close();
+  return canvas.transferToImageBitmap();
+}
@@ -0,0 +1,87 @@
+import type { ImageMetadata } from "./imageMetadata";
+
+/**
+ * Reads the XMP properties the app uses. XMP is RDF/XML, but `DOMParser`
+ * isn't available in workers, so properties are found with patterns that
+ * cover the ways cameras and editors write them.
+ */
+
+/**
+ * Finds a property, written either as an attribute or as an element,
+ * possibly holding a list whose first item is used.
+ *
+ * @param xml the XMP packet
+ * @param name the qualified name of the property, e.g. "tiff:Orientation"
+ */
+function xmpValue(xml: string, name: string): string | undefined {
+  const match =
+    new RegExp(`\\s${name}\\s*=\\s*(["'])(.*?)\\1`).exec(xml) ??
+    new RegExp(
+      `<${name}(?:\\s[^>]*)?>\\s*(?:<rdf:(?:Seq|Bag|Alt)>\\s*<rdf:li(?:\\s[^>]*)?>)?([^<]*)<`
+    ).exec(xml);
+  const value = match?.[match.length - 1].trim();
+  return value || undefined;
+}
+
+/**
+ * Parses an XMP number, which may be written as a fraction like "1/125".
+ *
+ * @param value the property
+ */
+function parseRational(value: string | undefined): number | undefined {
+  if (value === undefined) return undefined;
+  const [numerator, denominator = "1"] = value.split("/");
+  const number = Number(numerator) / Number(denominator);
+  return isFinite(number) ? number : undefined;
+}
+
+/**
+ * Parses an XMP date, which is in ISO 8601 format. Dates without a time zone
+ * are read as local time.
+ *
+ * @param value the property
+ */
+function parseDate(value: string | undefined): number | undefined {
+  if (value === undefined) return undefined;
+  // dates without times would otherwise be read as UTC
+  const time = new Date(
+    /^\d{4}-\d\d-\d\d$/.test(value) ? `${value}T00:00` : value
+  ).getTime();
+  return isNaN(time) ? undefined : time;
+}
+
+/**
+ * Reads an XMP packet.
+ *
+ * @param xml the packet
+ * @returns the properties that were found
+ */
+export function parseXmp(xml: string): Partial<ImageMetadata> {
+  const orientation = Number(xmpValue(xml, "tiff:Orientation"));
+  return {
+    width: parseRational(
+      xmpValue(xml, "exif:PixelXDimension") ?? xmpValue(xml, "tiff:ImageWidth")
+    ),
+    height: parseRational(
+      xmpValue(xml, "exif:PixelYDimension") ?? xmpValue(xml, "tiff:ImageLength")
+    ),
+    orientation:
+      Number.isInteger(orientation) && orientation >= 1 && orientation <= 8
+        ? orientation
+        : undefined,
+    captureTime: parseDate(
+      xmpValue(xml, "exif:DateTimeOriginal") ??
+        xmpValue(xml, "photoshop:DateCreated") ??
+        xmpValue(xml, "xmp:CreateDate")
+    ),
+    cameraMake: xmpValue(xml, "tiff:Make"),
+    cameraModel: xmpValue(xml, "tiff:Model"),
+    exposureTime: parseRational(xmpValue(xml, "exif:ExposureTime")),
+    fNumber: parseRational(xmpValue(xml, "exif:FNumber")),
+    iso: parseRational(
+      xmpValue(xml, "exif:ISOSpeedRatings") ??
+        xmpValue(xml, "exifEX:PhotographicSensitivity")
+    ),
+    focalLength: parseRational(xmpValue(xml, "exif:FocalLength")),
+  };
+}
@@ -0,0 +1,34 @@
+import type { RenderingContext } from "../items/Clip";
+import Transition, { SerializedTransition } from "./Transition";
+
+export interface SerializedCrossfadeTransition extends SerializedTransition {
+  type: "crossfade";
+}
+
+/** Fades the incoming clip in while fading the outgoing one out. */
+export default class CrossfadeTransition extends Transition {
+  composite(
+    canvas: RenderingContext,
+    from: OffscreenCanvas,
+    to: OffscreenCanvas,
+    progress: number
+  ) {
+    canvas.save();
+    canvas.globalAlpha = 1 - progress;
+    canvas.drawImage(from, 0, 0);
+    // adding the weighted frames mixes them evenly, even where they're
+    // transparent
+    canvas.globalCompositeOperation = "lighter";
+    canvas.globalAlpha = progress;
+    canvas.drawImage(to, 0, 0);
+    canvas.restore();
+  }
+
+  serialize(): SerializedCrossfadeTransition {
+    return {
+      type: "crossfade",
+      id: this.id,
+      properties: { ...this.properties },
+    };
+  }
+}
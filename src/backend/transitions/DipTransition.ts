@@ -0,0 +1,51 @@
+import type { RenderingContext } from "../items/Clip";
+import Transition, {
+  SerializedTransition,
+  TransitionProperties,
+} from "./Transition";
+
+export interface DipTransitionProperties extends TransitionProperties {
+  /** the CSS color to fade through, usually black or white */
+  color: string;
+}
+
+export interface SerializedDipTransition extends SerializedTransition {
+  type: "dip";
+  properties: DipTransitionProperties;
+}
+
+/**
+ * Fades the outgoing clip to a color over the first half, then fades the
+ * incoming clip in from it over the second half.
+ */
+export default class DipTransition extends Transition {
+  declare properties: DipTransitionProperties;
+
+  constructor(properties: DipTransitionProperties, id?: number) {
+    super(properties, id);
+  }
+
+  composite(
+    canvas: RenderingContext,
+    from: OffscreenCanvas,
+    to: OffscreenCanvas,
+    progress: number,
+    width: number,
+    height: number
+  ) {
+    canvas.save();
+    canvas.drawImage(progress < 0.5 ? from : to, 0, 0);
+    canvas.globalAlpha = 1 - Math.abs(progress * 2 - 1);
+    canvas.fillStyle = this.properties.color;
+    canvas.fillRect(0, 0, width, height);
+    canvas.restore();
+  }
+
+  serialize(): SerializedDipTransition {
+    return {
+      type: "dip",
+      id: this.id,
+      properties: { ...this.properties },
+    };
+  }
+}
@@ -0,0 +1,61 @@
+import type { RenderingContext } from "../items/Clip";
+import Transition, {
+  SerializedTransition,
+  TransitionDirection,
+  TransitionProperties,
+  directionVector,
+} from "./Transition";
+
+export interface SlideTransitionProperties extends TransitionProperties {
+  /** the way the incoming clip moves */
+  direction: TransitionDirection;
+  /** whether the outgoing clip is pushed out of the frame, or stays put */
+  push: boolean;
+}
+
+export interface SerializedSlideTransition extends SerializedTransition {
+  type: "slide";
+  properties: SlideTransitionProperties;
+}
+
+/**
+ * Slides the incoming clip in over the outgoing one, or pushes the outgoing
+ * one out of the way.
+ */
+export default class SlideTransition extends Transition {
+  declare properties: SlideTransitionProperties;
+
+  constructor(properties: SlideTransitionProperties, id?: number) {
+    super(properties, id);
+  }
+
+  composite(
+    canvas: RenderingContext,
+    from: OffscreenCanvas,
+    to: OffscreenCanvas,
+    progress: number,
+    width: number,
+    height: number
+  ) {
+    const [dx, dy] = directionVector(this.properties.direction);
+    if (this.properties.push) {
+      canvas.drawImage(from, dx * width * progress, dy * height * progress);
+    } else {
+      canvas.drawImage(from, 0, 0);
+    }
+    // the incoming clip enters from the opposite side
+    canvas.drawImage(
+      to,
+      -dx * width * (1 - progress),
+      -dy * height * (1 - progress)
+    );
+  }
+
+  serialize(): SerializedSlideTransition {
+    return {
+      type: "slide",
+      id: this.id,
+      properties: { ...this.properties },
+    };
+  }
+}
@@ -0,0 +1,92 @@
+import { claimId } from "../ids";
+import type { RenderingContext } from "../items/Clip";
+import { Easing, ease } from "../items/keyframes";
+
+export interface TransitionProperties {
+  /** the clip being transitioned away from */
+  fromClipId: number;
+  /** the clip being transitioned to. The transition starts when it does. */
+  toClipId: number;
+  /** how long the transition lasts, in microseconds */
+  duration: number;
+  /** how the transition progresses over its duration */
+  easing: Easing;
+}
+
+/** The JSON-compatible form of a transition, as stored in project files. */
+export interface SerializedTransition {
+  /** identifies the `Transition` subclass */
+  type: string;
+  id: number;
+  properties: TransitionProperties;
+}
+
+/** The way a wipe or slide moves across the frame. */
+export type TransitionDirection = "left" | "right" | "up" | "down";
+
+/** Gets the unit vector of a direction, in canvas coordinates. */
+export function directionVector(
+  direction: TransitionDirection
+): [x: number, y: number] {
+  switch (direction) {
+    case "left":
+      return [-1, 0];
+    case "right":
+      return [1, 0];
+    case "up":
+      return [0, -1];
+    case "down":
+      return [0, 1];
+  }
+}
+
+/**
+ * Blends from one clip to another. While a transition is running, both clips
+ * are rendered separately and the transition combines them into the frame in
+ * place of the clips.
+ *
+ * The transition starts when the clip it leads to does. If the clip it comes
+ * from has already ended, its last frame is held.
+ */
+export default abstract class Transition {
+  constructor(public properties: TransitionProperties, id?: number) {
+    this.id = claimId(id);
+  }
+
+  id: number;
+
+  /**
+   * Gets how far through the transition a time is, with easing applied.
+   *
+   * @param start when the transition starts, in microseconds
+   * @param time the current time, in microseconds
+   * @returns the progress from 0 to 1, or null if the transition isn't running
+   */
+  progressAt(start: number, time: number): number | null {
+    const { duration, easing } = this.properties;
+    if (time < start || time >= start + duration) return null;
+    return ease(easing, (time - start) / duration);
+  }
+
+  /**
+   * Combines the frames of the two clips.
+   *
+   * @param canvas the canvas to draw on, which is clear
+   * @param from the frame of the clip being transitioned away from
+   * @param to the frame of the clip being transitioned to
+   * @param progress how far through the transition it is, from 0 to 1
+   * @param width the width of the canvas
+   * @param height the height of the canvas
+   */
+  abstract composite(
+    canvas: RenderingContext,
+    from: OffscreenCanvas,
+    to: OffscreenCanvas,
+    progress: number,
+    width: number,
+    height: number
+  ): void;
+
+  /** Gets the transition as a JSON-compatible object. */
+  abstract serialize(): SerializedTransition;
+}
@@ -0,0 +1,56 @@
+import type { RenderingContext } from "../items/Clip";
+import Transition, {
+  SerializedTransition,
+  TransitionDirection,
+  TransitionProperties,
+} from "./Transition";
+
+export interface WipeTransitionProperties extends TransitionProperties {
+  /** the way the edge between the clips moves */
+  direction: TransitionDirection;
+}
+
+export interface SerializedWipeTransition extends SerializedTransition {
+  type: "wipe";
+  properties: WipeTransitionProperties;
+}
+
+/** Reveals the incoming clip behind an edge that moves across the frame. */
+export default class WipeTransition extends Transition {
+  declare properties: WipeTransitionProperties;
+
+  constructor(properties: WipeTransitionProperties, id?: number) {
+    super(properties, id);
+  }
+
+  composite(
+    canvas: RenderingContext,
+    from: OffscreenCanvas,
+    to: OffscreenCanvas,
+    progress: number,
+    width: number,
+    height: number
+  ) {
+    canvas.drawImage(from, 0, 0);
+    const revealedWidth = width * progress;
+    const revealedHeight = height * progress;
+    // the incoming clip shows on the side the edge moves away from
+    const [x, y, w, h] = {
+      left: [width - revealedWidth, 0, revealedWidth, height],
+      right: [0, 0, revealedWidth, height],
+      up: [0, height - revealedHeight, width, revealedHeight],
+      down: [0, 0, width, revealedHeight],
+    }[this.properties.direction];
+    if (w <= 0 || h <= 0) return;
+    canvas.clearRect(x, y, w, h);
+    canvas.drawImage(to, x, y, w, h, x, y, w, h);
+  }
+
+  serialize(): SerializedWipeTransition {
+    return {
+      type: "wipe",
+      id: this.id,
+      properties: { ...this.properties },
+    };
+  }
+}
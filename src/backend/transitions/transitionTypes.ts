@@ -0,0 +1,58 @@
+import CrossfadeTransition from "./CrossfadeTransition";
+import DipTransition from "./DipTransition";
+import SlideTransition from "./SlideTransition";
+import Transition, { TransitionProperties } from "./Transition";
+import WipeTransition from "./WipeTransition";
+
+export type TransitionType = "crossfade" | "dip" | "wipe" | "slide";
+
+/** The names of the transition types, for display. */
+export const TRANSITION_TYPES: Record<TransitionType, string> = {
+  crossfade: "Crossfade",
+  dip: "Dip to color",
+  wipe: "Wipe",
+  slide: "Slide",
+};
+
+/** How long new transitions last, in microseconds */
+export const DEFAULT_TRANSITION_DURATION = 0.5e6;
+
+/**
+ * Creates a transition, giving the settings specific to its type their
+ * default values.
+ *
+ * @param type the type of transition
+ * @param properties the clips it joins, its duration and easing
+ */
+export function createTransition(
+  type: TransitionType,
+  { fromClipId, toClipId, duration, easing }: TransitionProperties
+): Transition {
+  const properties = { fromClipId, toClipId, duration, easing };
+  switch (type) {
+    case "crossfade":
+      return new CrossfadeTransition(properties);
+    case "dip":
+      return new DipTransition({ ...properties, color: "#000000" });
+    case "wipe":
+      return new WipeTransition({ ...properties, direction: "left" });
+    case "slide":
+      return new SlideTransition({
+        ...properties,
+        direction: "left",
+        push: false,
+      });
+  }
+}
+
+/**
+ * Gets the type of a transition.
+ *
+ * @param transition the transition
+ */
+export function transitionTypeOf(transition: Transition): TransitionType {
+  if (transition instanceof DipTransition) return "dip";
+  if (transition instanceof WipeTransition) return "wipe";
+  if (transition instanceof SlideTransition) return "slide";
+  return "crossfade";
+}
@@ -177,6 +177,8 @@ class WebMWriter {
   constructor(options) {
     let MAX_CLUSTER_DURATION_MSEC = 5000,
       DEFAULT_TRACK_NUMBER = 1,
+      AUDIO_TRACK_NUMBER = 2,
+      OPUS_SEEK_PRE_ROLL_NSEC = 80000000,
       writtenHeader = false,
       videoWidth = 0,
       videoHeight = 0,
@@ -198,6 +200,10 @@ class WebMWriter {
 
         // (optional)
         codec: "VP8", // Codec to write to webm file
+
+        // Opus audio track to write alongside the video (optional), as
+        // { sampleRate, channels }
+        audio: null,
       },
       seekPoints = {
         Cues: {
@@ -220,6 +226,17 @@ class WebMWriter {
       },
       seekHead,
       cues = [],
+      // Decoder configuration from the encoder, e.g. the av1C box for AV1
+      codecPrivate = null,
+      // OpusHead from the audio encoder
+      audioCodecPrivate = null,
+      /**
+       * Audio frames waiting for the video to catch up, so blocks can be
+       * written in timestamp order
+       *
+       * @type {Frame[]}
+       */
+      pendingAudioFrames = [],
       blobBuffer = new BlobBuffer(options.fileWriter || options.fd);
 
     function fileOffsetToSegmentRelative(fileOffset) {
@@ -264,6 +281,102 @@ class WebMWriter {
       return result;
     }
 
+    /**
+     * Build the OpusHead identification header, for when the encoder didn't
+     * supply one.
+     *
+     * @returns {Uint8Array}
+     */
+    function createOpusHead() {
+      let head = new Uint8Array(19),
+        view = new DataView(head.buffer);
+
+      head.set([..."OpusHead"].map((char) => char.charCodeAt(0)));
+      head[8] = 1; // Version
+      head[9] = options.audio.channels;
+      view.setUint16(10, 312, true); // Pre-skip, the usual encoder delay
+      view.setUint32(12, options.audio.sampleRate, true); // Input sample rate
+      view.setInt16(16, 0, true); // Output gain
+      head[18] = 0; // Channel mapping family
+
+      return head;
+    }
+
+    /**
+     * Create the TrackEntry element for the Opus audio track.
+     */
+    function createAudioTrackEntry() {
+      let opusHead = audioCodecPrivate || createOpusHead(),
+        preSkip = opusHead[10] | (opusHead[11] << 8);
+
+      return {
+        id: 0xae, // TrackEntry
+        data: [
+          {
+            id: 0xd7, // TrackNumber
+            data: AUDIO_TRACK_NUMBER,
+          },
+          {
+            id: 0x73c5, // TrackUID
+            data: AUDIO_TRACK_NUMBER,
+          },
+          {
+            id: 0x83, // TrackType
+            data: 2,
+          },
+          {
+            id: 0x9c, // FlagLacing
+            data: 0,
+          },
+          {
+            id: 0x22b59c, // Language
+            data: "und",
+          },
+          {
+            id: 0xb9, // FlagEnabled
+            data: 1,
+          },
+          {
+            id: 0x88, // FlagDefault
+            data: 1,
+          },
+          {
+            id: 0x55aa, // FlagForced
+            data: 0,
+          },
+          {
+            id: 0x86, // CodecID
+            data: "A_OPUS",
+          },
+          {
+            id: 0x63a2, // CodecPrivate
+            data: opusHead,
+          },
+          {
+            id: 0x56aa, // CodecDelay, in nanoseconds
+            data: Math.round((preSkip / 48000) * 1e9),
+          },
+          {
+            id: 0x56bb, // SeekPreRoll, in nanoseconds
+            data: OPUS_SEEK_PRE_ROLL_NSEC,
+          },
+          {
+            id: 0xe1, // Audio
+            data: [
+              {
+                id: 0xb5, // SamplingFrequency
+                data: new EBMLFloat64(options.audio.sampleRate),
+              },
+              {
+                id: 0x9f, // Channels
+                data: options.audio.channels,
+              },
+            ],
+          },
+        ],
+      };
+    }
+
     /**
      * Write the WebM file header to the stream.
      */
@@ -379,7 +492,15 @@ class WebMWriter {
               {
                 id: 0x86, // CodecID
                 data: "V_" + options.codec,
-              } /*
+              },
+              ...(codecPrivate
+                ? [
+                    {
+                      id: 0x63a2, // CodecPrivate
+                      data: codecPrivate,
+                    },
+                  ]
+                : []) /*
                            (options.codec == 'VP8' ?
                                 {
                                   'id': 0x63A2,  // Codec private data
@@ -416,6 +537,7 @@ class WebMWriter {
                            },*/,
             ],
           },
+          ...(options.audio ? [createAudioTrackEntry()] : []),
         ],
       };
 
@@ -425,7 +547,15 @@ class WebMWriter {
         data: [seekHead, segmentInfo, tracks],
       };
 
-      let bufferStream = new ArrayBufferDataStream(256);
+      // The header is around 256 bytes, plus the codec configurations and the
+      // audio track
+      let bufferStream = new ArrayBufferDataStream(
+        256 +
+          (codecPrivate ? codecPrivate.byteLength : 0) +
+          (options.audio
+            ? 128 + (audioCodecPrivate ? audioCodecPrivate.byteLength : 19)
+            : 0)
+      );
 
       writeEBML(bufferStream, blobBuffer.pos, [ebmlHeader, ebmlSegment]);
       blobBuffer.write(bufferStream.getAsDataArray());
@@ -585,7 +715,7 @@ class WebMWriter {
      * @param {Frame} frame
      */
     function addFrameToCluster(frame) {
-      frame.trackNumber = DEFAULT_TRACK_NUMBER;
+      frame.trackNumber = frame.trackNumber || DEFAULT_TRACK_NUMBER;
       var time = frame.intime / 1000;
       if (firstTimestampEver) {
         earliestTimestamp = time;
@@ -594,7 +724,7 @@ class WebMWriter {
       } else {
         time = time - earliestTimestamp;
       }
-      lastTimeCode = time;
+      lastTimeCode = Math.max(lastTimeCode, time);
       if (clusterDuration == 0) clusterStartTime = time;
 
       // Frame timecodes are relative to the start of their cluster:
@@ -609,6 +739,26 @@ class WebMWriter {
       }
     }
 
+    /**
+     * Write the pending audio frames that start before the given time, or all
+     * of them if no time is given.
+     *
+     * @param {Number} [untilTime] - In microseconds, like frame timestamps
+     */
+    function flushPendingAudio(untilTime) {
+      let count = 0;
+
+      while (
+        count < pendingAudioFrames.length &&
+        (untilTime === undefined ||
+          pendingAudioFrames[count].intime <= untilTime)
+      ) {
+        addFrameToCluster(pendingAudioFrames[count]);
+        count++;
+      }
+      pendingAudioFrames.splice(0, count);
+    }
+
     /**
      * Rewrites the SeekHead element that was initially written to the stream
      * with the offsets of top level elements.
@@ -651,20 +801,35 @@ class WebMWriter {
     /**
      * Add a frame to the video.
      *
-     * @param {HTMLCanvasElement|String} frame - A Canvas element that
-     *     contains the frame, or a WebP string you obtained by calling
-     * toDataUrl() on an image yourself.
-     *
+     * @param {EncodedVideoChunk} frame - An encoded frame from a
+     *     VideoEncoder.
+     * @param {EncodedVideoChunkMetadata} [metadata] - The metadata the
+     *     VideoEncoder supplied with the frame. The decoder configuration in the
+     *     metadata of the first frame is written to the header.
      */
-    this.addFrame = function (frame) {
+    this.addFrame = function (frame, metadata) {
       if (!writtenHeader) {
         videoWidth = options.width;
         videoHeight = options.height;
+        let description =
+          metadata && metadata.decoderConfig
+            ? metadata.decoderConfig.description
+            : null;
+        if (description) {
+          codecPrivate = ArrayBuffer.isView(description)
+            ? new Uint8Array(
+                description.buffer,
+                description.byteOffset,
+                description.byteLength
+              )
+            : new Uint8Array(description);
+        }
         writeHeader();
       }
       if (frame.constructor.name == "EncodedVideoChunk") {
         let frameData = new Uint8Array(frame.byteLength);
         frame.copyTo(frameData);
+        flushPendingAudio(frame.timestamp);
         addFrameToCluster({
           frame: frameData,
           intime: frame.timestamp,
@@ -674,6 +839,47 @@ class WebMWriter {
       }
     };
 
+    /**
+     * Add a frame to the audio track. Audio frames are held until the video
+     * reaches them so the tracks are interleaved, so it's best to add the
+     * audio before the video frames it plays alongside.
+     *
+     * @param {EncodedAudioChunk} frame - An encoded frame from an Opus
+     *     AudioEncoder.
+     * @param {EncodedAudioChunkMetadata} [metadata] - The metadata the
+     *     AudioEncoder supplied with the frame. The OpusHead in the first
+     *     frame's decoder configuration is written to the header.
+     */
+    this.addAudioFrame = function (frame, metadata) {
+      if (!options.audio) {
+        throw new Error("The WebMWriter was created without an audio track");
+      }
+      // The OpusHead can only be used if the header hasn't been written yet
+      if (!writtenHeader && !audioCodecPrivate) {
+        let description =
+          metadata && metadata.decoderConfig
+            ? metadata.decoderConfig.description
+            : null;
+        if (description) {
+          audioCodecPrivate = ArrayBuffer.isView(description)
+            ? new Uint8Array(
+                description.buffer,
+                description.byteOffset,
+                description.byteLength
+              )
+            : new Uint8Array(description);
+        }
+      }
+      let frameData = new Uint8Array(frame.byteLength);
+      frame.copyTo(frameData);
+      pendingAudioFrames.push({
+        frame: frameData,
+        intime: frame.timestamp,
+        type: frame.type,
+        trackNumber: AUDIO_TRACK_NUMBER,
+      });
+    };
+
     /**
      * Finish writing the video and return a Promise to signal completion.
      *
@@ -685,6 +891,7 @@ class WebMWriter {
       if (!writtenHeader) {
         writeHeader();
       }
+      flushPendingAudio();
       firstTimestampEver = true;
 
       flushClusterFrameBuffer();
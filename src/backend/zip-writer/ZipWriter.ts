@@ -0,0 +1,145 @@
+import { crc32 } from "../crc32";
+import type { FileSequenceWriter } from "../render/imageSequence";
+import OutputSink from "../render/OutputSink";
+
+/** ZIP files without the ZIP64 extension can't count or address past these */
+const MAX_ENTRIES = 0xffff;
+const MAX_OFFSET = 0xffffffff;
+
+const VERSION = 20; // 2.0, the first version with folders and deflate
+const UTF8_NAMES_FLAG = 1 << 11;
+
+interface Entry {
+  name: Uint8Array;
+  crc: number;
+  size: number;
+  offset: number;
+}
+
+/** Writes little-endian fields into a new array. */
+function fields(...values: [value: number, bytes: 2 | 4][]): Uint8Array {
+  const bytes = new Uint8Array(values.reduce((sum, [, size]) => sum + size, 0));
+  const view = new DataView(bytes.buffer);
+  let offset = 0;
+  for (const [value, size] of values) {
+    if (size === 2) view.setUint16(offset, value, true);
+    else view.setUint32(offset, value, true);
+    offset += size;
+  }
+  return bytes;
+}
+
+/** Converts a date to the MS-DOS time and date fields ZIP files use. */
+function dosDateTime(date: Date): [time: number, date: number] {
+  return [
+    (date.getHours() << 11) |
+      (date.getMinutes() << 5) |
+      Math.floor(date.getSeconds() / 2),
+    ((date.getFullYear() - 1980) << 9) |
+      ((date.getMonth() + 1) << 5) |
+      date.getDate(),
+  ];
+}
+
+/**
+ * Writes ZIP archives one file at a time, so they can be streamed to disk.
+ * Files are stored without compression, as the images in them are already
+ * compressed.
+ */
+export default class ZipWriter implements FileSequenceWriter {
+  /**
+   * @param fileWriter the file to write to, or null to build the archive in
+   *     memory
+   */
+  constructor(fileWriter: FileSystemWritableFileStream | null) {
+    this.#sink = new OutputSink(fileWriter);
+  }
+
+  #sink: OutputSink;
+  #entries: Entry[] = [];
+  #dateTime = dosDateTime(new Date());
+
+  async addFile(name: string, contents: Blob) {
+    if (this.#entries.length >= MAX_ENTRIES) {
+      throw new Error(`zip files can't hold more than ${MAX_ENTRIES} files`);
+    }
+    const data = new Uint8Array(await contents.arrayBuffer());
+    const entry: Entry = {
+      name: new TextEncoder().encode(name),
+      crc: crc32(data),
+      size: data.byteLength,
+      offset: this.#sink.length,
+    };
+    if (entry.offset + entry.size > MAX_OFFSET) {
+      throw new Error("zip files can't be larger than 4 GiB");
+    }
+
+    this.#sink.write(
+      fields(
+        [0x04034b50, 4], // local file header signature
+        [VERSION, 2], // version needed to extract
+        [UTF8_NAMES_FLAG, 2],
+        [0, 2], // compression method: stored
+        [this.#dateTime[0], 2],
+        [this.#dateTime[1], 2],
+        [entry.crc, 4],
+        [entry.size, 4], // compressed size
+        [entry.size, 4], // uncompressed size
+        [entry.name.byteLength, 2],
+        [0, 2] // extra field length
+      )
+    );
+    this.#sink.write(entry.name);
+    this.#sink.write(data);
+    this.#entries.push(entry);
+  }
+
+  complete(): Promise<Blob | null> {
+    const directoryOffset = this.#sink.length;
+    for (const entry of this.#entries) {
+      this.#sink.write(
+        fields(
+          [0x02014b50, 4], // central directory file header signature
+          [VERSION, 2], // version made by
+          [VERSION, 2], // version needed to extract
+          [UTF8_NAMES_FLAG, 2],
+          [0, 2], // compression method: stored
+          [this.#dateTime[0], 2],
+          [this.#dateTime[1], 2],
+          [entry.crc, 4],
+          [entry.size, 4], // compressed size
+          [entry.size, 4], // uncompressed size
+          [entry.name.byteLength, 2],
+          [0, 2], // extra field length
+          [0, 2], // file comment length
+          [0, 2], // disk number start
+          [0, 2], // internal file attributes
+          [0, 4], // external file attributes
+          [entry.offset, 4]
+        )
+      );
+      this.#sink.write(entry.name);
+    }
+    const directorySize = this.#sink.length - directoryOffset;
+    if (this.#sink.length > MAX_OFFSET) {
+      throw new Error("zip files can't be larger than 4 GiB");
+    }
+    this.#sink.write(
+      fields(
+        [0x06054b50, 4], // end of central directory signature
+        [0, 2], // number of this disk
+        [0, 2], // disk where the central directory starts
+        [this.#entries.length, 2], // entries on this disk
+        [this.#entries.length, 2], // total entries
+        [directorySize, 4],
+        [directoryOffset, 4],
+        [0, 2] // comment length
+      )
+    );
+    return this.#sink.complete("application/zip");
+  }
+
+  getWrittenSize(): number {
+    return this.#sink.length;
+  }
+}
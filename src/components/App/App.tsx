@@ -1,11 +1,86 @@
-import { useState } from "preact/hooks";
-import VideoBackend from "../../backend/VideoBackend";
-import ImageSequenceClip from "../../backend/items/ImageSequenceClip";
+import { useEffect, useRef, useState } from "preact/hooks";
+import VideoBackend, {
+  DEFAULT_RENDER_SETTINGS,
+  RenderOptions,
+  RenderSettings,
+} from "../../backend/VideoBackend";
+import History from "../../backend/history/History";
+import {
+  AddClipCommand,
+  AddResourceCommand,
+  ReplaceClipsCommand,
+  SetRenderSettingsCommand,
+  removeResourceAndUses,
+} from "../../backend/history/commands";
+import { mixAudio } from "../../backend/audio/mixdown";
+import AudioClip from "../../backend/items/AudioClip";
+import { createClipProperties } from "../../backend/items/Clip";
+import { DEFAULT_IMAGE_PROPERTIES } from "../../backend/items/imageFit";
+import ImageSequenceClip, {
+  sequenceFrames,
+} from "../../backend/items/ImageSequenceClip";
+import {
+  BUNDLE_EXTENSION,
+  MANIFEST_EXTENSION,
+  createProjectBundle,
+  createProjectSnapshot,
+  directoryFileResolver,
+  fileListResolver,
+  loadProjectFile,
+  serializeProject,
+} from "../../backend/project/ProjectFile";
+import Autosave from "../../backend/project/Autosave";
+import { RenderProgress } from "../../backend/render/ProgressTracker";
+import { OUTPUT_FORMATS, OutputFormat } from "../../backend/render/formats";
+import RenderWorker from "../../backend/render/RenderWorker";
+import AudioResource from "../../backend/resources/AudioResource";
 import ImageResource from "../../backend/resources/ImageResource";
+import ThumbnailService from "../../backend/resources/ThumbnailService";
+import {
+  FolderEntry,
+  detectSequences,
+  entriesFromFileList,
+  naturalCompare,
+  readDroppedFiles,
+  readFolder,
+  sortByCaptureTime,
+} from "../../backend/resources/folderImport";
+import RecentProjects from "../autosave/RecentProjects";
+import ExportDialog, { ExportDialogProps } from "../export/ExportDialog";
+import ExportProgress from "../export/ExportProgress";
+import {
+  canPickDirectories,
+  canPickFiles,
+  canSaveFiles,
+  chooseFiles,
+  downloadBlob,
+} from "../files";
+import PreviewPlayer from "../preview/PreviewPlayer";
+import PropertiesPanel from "../properties/PropertiesPanel";
 import ResourcesList from "../resources/ResourcesList";
+import Timeline from "../timeline/Timeline";
 import classes from "./App.module.css";
 
-export function App({ backend }: { backend: VideoBackend }) {
+/**
+ * Gets a project's name from the name of its file.
+ *
+ * @param filename the name of the project file
+ */
+function projectName(filename: string) {
+  return filename.replace(/\.[^.]*$/, "") || filename;
+}
+
+export function App({
+  backend,
+  history,
+  thumbnails,
+  autosave,
+}: {
+  backend: VideoBackend;
+  history: History;
+  thumbnails: ThumbnailService;
+  autosave: Autosave;
+}) {
   const [resources, setResources] = useState(() =>
     backend.resources.map((resource) => resource.id)
   );
@@ -13,111 +88,651 @@ export function App({ backend }: { backend: VideoBackend }) {
     backend.clips.map((clip) => clip.id)
   );
 
-  const [exportStatus, setExportStatus] = useState(0);
+  // the playhead and selection are shared by the preview and the timeline
+  const [playhead, setPlayhead] = useState(0);
+  const [selectedClip, setSelectedClip] = useState<number | null>(null);
+
+  const [canUndo, setCanUndo] = useState(history.canUndo);
+  const [canRedo, setCanRedo] = useState(history.canRedo);
+
+  // what the export dialog starts with, while it's open
+  const [exportDialog, setExportDialog] = useState<Pick<
+    ExportDialogProps,
+    "settings" | "filename"
+  > | null>(null);
+  const [exportProgress, setExportProgress] = useState<RenderProgress | null>(
+    null
+  );
+  const [exportPaused, setExportPaused] = useState(false);
+  const [exportNotice, setExportNotice] = useState<string | null>(null);
+  /** whether an export has started, including choosing where to save it */
+  const [exporting, setExporting] = useState(false);
+  const exportWorker = useRef<RenderWorker | null>(null);
+  const exportAbortController = useRef<AbortController | null>(null);
+
+  // re-sync with the backend whenever it's edited, undone or redone
+  useEffect(() => {
+    const sync = () => {
+      setResources(backend.resources.map((resource) => resource.id));
+      thumbnails.retain(backend.resources);
+      setClips(backend.clips.map((clip) => clip.id));
+      setSelectedClip((id) =>
+        id !== null && backend.clipFromId(id) ? id : null
+      );
+      setCanUndo(history.canUndo);
+      setCanRedo(history.canRedo);
+    };
+    history.addEventListener("change", sync);
+    return () => history.removeEventListener("change", sync);
+  }, [backend, history, thumbnails]);
+
+  // pick up where the last session left off, then keep it saved. there's no
+  // click to ask for permission to read files with yet, so if that's needed
+  // the project list offers to reconnect them
+  useEffect(() => {
+    let cancelled = false;
+    autosave
+      .restoreLatest(false)
+      .catch((e) =>
+        alert(
+          `Couldn't restore the last session: ${
+            e instanceof Error ? e.message : e
+          }. Choose it from the project list to try again.`
+        )
+      )
+      .finally(() => {
+        if (!cancelled) autosave.start();
+      });
+    return () => {
+      cancelled = true;
+      autosave.stop();
+    };
+  }, [autosave]);
+
+  useEffect(() => {
+    const onKeyDown = (e: KeyboardEvent) => {
+      // leave text fields to do their own undo
+      if (
+        e.target instanceof HTMLInputElement ||
+        e.target instanceof HTMLTextAreaElement
+      )
+        return;
+      if (!(e.ctrlKey || e.metaKey)) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        history.undo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        history.redo();
+      }
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [history]);
 
-  const removeResource = (id: number) => {
-    setResources(resources.filter((resource) => resource !== id));
-    backend.removeResourceById(id);
+  /**
+   * Deletes a resource, and the clips that use it once the user agrees.
+   *
+   * @param id the id of the resource
+   */
+  const removeResource = async (id: number) => {
+    const resource = backend.resourceFromId(id);
+    if (!resource) return;
+    const users = backend.clips.filter((clip) => clip.usesResource(resource));
+    if (
+      users.length > 0 &&
+      !confirm(
+        `${resource.getDisplayName()} is used by ${users.length} ${
+          users.length === 1 ? "clip" : "clips"
+        }. Delete it from the timeline too?`
+      )
+    ) {
+      return;
+    }
+    await history.execute(removeResourceAndUses(backend, resource));
+  };
+
+  /**
+   * Adds images and sounds as resources. Other files are skipped.
+   *
+   * @param files the files to add
+   */
+  const addFiles = async (files: File[]) => {
+    const supported = files.filter(
+      (file) => file.type.startsWith("image/") || file.type.startsWith("audio/")
+    );
+    if (supported.length === 0) return;
+    await history.group("Add resources", async (execute) => {
+      for (const file of supported) {
+        await execute(
+          new AddResourceCommand(
+            file.type.startsWith("audio/")
+              ? new AudioResource(file)
+              : new ImageResource(file)
+          )
+        );
+      }
+    });
   };
 
   const addResource = async () => {
+    if (!canPickFiles) {
+      await addFiles(
+        await chooseFiles({ accept: "image/*,audio/*", multiple: true })
+      );
+      return;
+    }
     const handles = await showOpenFilePicker({
       types: [
         {
-          accept: { "image/*": [".png", ".gif", ".jpeg", ".jpg", ".webp"] },
-          description: "Images",
+          accept: {
+            "image/*": [".png", ".gif", ".jpeg", ".jpg", ".webp"],
+            "audio/*": [".mp3", ".wav", ".ogg", ".opus", ".m4a", ".flac"],
+          },
+          description: "Images and sounds",
         },
       ],
       excludeAcceptAllOption: true,
       startIn: "pictures",
       multiple: true,
     });
-    await Promise.all(
+    const files = await Promise.all(
       handles.map(async (handle) => {
         const file = await handle.getFile();
-        const resource = new ImageResource(file);
-        const resourceId = resource.id;
-        backend.resources.push(resource);
-        setResources((oldResources) => [...oldResources, resourceId]);
+        autosave.rememberHandle(file, handle);
+        return file;
       })
     );
+    await addFiles(files);
   };
 
-  const render = async () => {
-    const fps = parseInt(prompt("how many frames per second?") ?? "8");
-    const width = parseInt(prompt("what width?") ?? "1600");
-    const height = parseInt(prompt("what height?") ?? "900");
+  /**
+   * Imports images found in folders, with a clip for each numbered sequence
+   * among them, placed one after another at the end of the timeline.
+   *
+   * @param found the files in the folders. only images are imported.
+   */
+  const importEntries = async (found: FolderEntry[]) => {
+    const entries = found.filter(({ file }) => file.type.startsWith("image/"));
+    const sequences = detectSequences(entries);
+    if (sequences.length === 0) {
+      alert("There are no images in that folder.");
+      return;
+    }
+    const byCaptureTime = confirm(
+      `Found ${entries.length} images in ${sequences.length} ${
+        sequences.length === 1 ? "sequence" : "sequences"
+      }: ${sequences
+        .map((sequence) => sequence.name)
+        .join(
+          ", "
+        )}. Sort them by when they were taken instead of by name? Images without a capture time use the time they were last modified.`
+    );
+    if (byCaptureTime) {
+      for (const sequence of sequences) {
+        sequence.entries = await sortByCaptureTime(sequence.entries);
+      }
+    }
 
-    backend.clips = [
-      new ImageSequenceClip(
-        {
-          posHeight: 1,
-          posLeft: 0,
-          posTop: 0,
-          posWidth: 1,
-          renderLength: (backend.resources.length / fps) * 1e6,
-          renderStart: 0,
-          rotation: Math.PI,
-        },
-        (backend.resources as ImageResource[]).sort((a, b) =>
-          a.getDisplayName().localeCompare(b.getDisplayName())
+    const frameLength = 1e6 / backend.renderSettings.fps;
+    await history.group("Import folder", async (execute) => {
+      let start = backend.getDuration();
+      for (const sequence of sequences) {
+        const images = sequence.entries.map(({ file, handle }) => {
+          if (handle) autosave.rememberHandle(file, handle);
+          return new ImageResource(file);
+        });
+        for (const image of images) {
+          await execute(new AddResourceCommand(image));
+        }
+        const length = images.length * frameLength;
+        await execute(
+          new AddClipCommand(
+            new ImageSequenceClip(
+              {
+                ...createClipProperties(start, length),
+                ...DEFAULT_IMAGE_PROPERTIES,
+              },
+              sequenceFrames(images),
+              frameLength
+            )
+          )
+        );
+        start += length;
+      }
+    });
+  };
+
+  const importFolder = async () => {
+    if (!canPickDirectories) {
+      const files = await chooseFiles({ directory: true });
+      if (files.length === 0) return;
+      const recursive = confirm("Include the images in subfolders too?");
+      await importEntries(entriesFromFileList(files, recursive));
+      return;
+    }
+    const directory = await showDirectoryPicker({ startIn: "pictures" });
+    const recursive = confirm("Include the images in subfolders too?");
+    await importEntries(
+      await readFolder(directory, recursive, (file) =>
+        file.type.startsWith("image/")
+      )
+    );
+  };
+
+  /**
+   * Imports files dragged into the page. Dropped folders are imported as
+   * sequences, like "Import folder", and dropped files are added as
+   * resources.
+   */
+  const dropFiles = async (e: DragEvent) => {
+    if (!e.dataTransfer?.types.includes("Files")) return;
+    e.preventDefault();
+    const { entries, includesFolders } = await readDroppedFiles(e.dataTransfer);
+    if (includesFolders) await importEntries(entries);
+    else await addFiles(entries.map((entry) => entry.file));
+  };
+
+  const saveProject = async () => {
+    try {
+      if (!canSaveFiles) {
+        // manifests need their images next to them, which downloads can't do
+        const filename = `${autosave.projectName}${BUNDLE_EXTENSION}`;
+        downloadBlob(createProjectBundle(backend), filename);
+        return;
+      }
+      const fileHandle = await window.showSaveFilePicker({
+        suggestedName: "project" + BUNDLE_EXTENSION,
+        types: [
+          {
+            description: "Project bundle (includes images)",
+            accept: { "application/octet-stream": [BUNDLE_EXTENSION] },
+          },
+          {
+            description: "Project manifest (references images)",
+            accept: { "application/json": [MANIFEST_EXTENSION] },
+          },
+        ],
+      });
+      const contents = fileHandle.name.endsWith(MANIFEST_EXTENSION)
+        ? new Blob([JSON.stringify(serializeProject(backend), null, 2)], {
+            type: "application/json",
+          })
+        : createProjectBundle(backend);
+      const writable = await fileHandle.createWritable();
+      try {
+        await writable.write(contents);
+        await writable.close();
+      } catch (e) {
+        // leave the file as it was rather than half written
+        await writable.abort().catch(() => {});
+        throw e;
+      }
+      autosave.rename(projectName(fileHandle.name));
+    } catch (e) {
+      // the user closed the picker
+      if (e instanceof DOMException && e.name === "AbortError") return;
+      alert(`Couldn't save the project: ${e instanceof Error ? e.message : e}`);
+    }
+  };
+
+  const openProject = async () => {
+    try {
+      const [file] = canPickFiles
+        ? [
+            await (
+              await showOpenFilePicker({
+                types: [
+                  {
+                    accept: {
+                      "application/octet-stream": [BUNDLE_EXTENSION],
+                      "application/json": [MANIFEST_EXTENSION],
+                    },
+                    description: "Projects",
+                  },
+                ],
+              })
+            )[0].getFile(),
+          ]
+        : await chooseFiles({
+            accept: BUNDLE_EXTENSION + "," + MANIFEST_EXTENSION,
+          });
+      if (!file) return;
+      await autosave.flush();
+      await loadProjectFile(backend, file, async () => {
+        alert(
+          "This project references images stored separately. Choose the folder the project was saved in."
+        );
+        return canPickDirectories
+          ? directoryFileResolver(await showDirectoryPicker())
+          : fileListResolver(await chooseFiles({ directory: true }));
+      });
+      // autosave the opened project separately from the one it replaced
+      await autosave.startNewProject(projectName(file.name));
+      // the old history refers to clips and resources that no longer exist
+      history.clear();
+    } catch (e) {
+      // the user closed the picker
+      if (e instanceof DOMException && e.name === "AbortError") return;
+      alert(`Couldn't open the project: ${e instanceof Error ? e.message : e}`);
+    }
+  };
+
+  const newProject = async () => {
+    if (
+      !confirm(
+        "Start a new project? The current one can be reopened from the project list."
+      )
+    )
+      return;
+    await autosave.flush();
+    backend.reset();
+    await autosave.startNewProject();
+    history.clear();
+  };
+
+  /**
+   * Gets the length of the export. If the timeline is empty, the clips are
+   * laid out automatically from the resources first.
+   */
+  const prepareRender = async () => {
+    if (backend.clips.length > 0) return backend.getDuration();
+
+    const { fps } = backend.renderSettings;
+    const images = backend.resources.filter(
+      (resource): resource is ImageResource => resource instanceof ImageResource
+    );
+    const length = (images.length / fps) * 1e6;
+    // every sound plays from the start, alongside the frames. sounds the
+    // browser can't read are left out rather than stopping the export
+    const unreadable: string[] = [];
+    const sounds = await Promise.all(
+      backend.resources
+        .filter(
+          (resource): resource is AudioResource =>
+            resource instanceof AudioResource
         )
-      ),
-    ];
+        .map(async (resource) => {
+          let buffer: AudioBuffer;
+          try {
+            buffer = await resource.decode();
+          } catch {
+            unreadable.push(resource.getDisplayName());
+            return [];
+          }
+          return new AudioClip(
+            {
+              ...createClipProperties(0, buffer.duration * 1e6),
+              trimStart: 0,
+              gain: 1,
+            },
+            resource
+          );
+        })
+    );
 
-    const fileHandle = await window.showSaveFilePicker({
-      startIn: "videos",
-      suggestedName: "export.webm",
-      types: [
+    await history.execute(
+      new ReplaceClipsCommand([
+        new ImageSequenceClip(
+          { ...createClipProperties(0, length), ...DEFAULT_IMAGE_PROPERTIES },
+          sequenceFrames(
+            images.sort((a, b) =>
+              naturalCompare(a.getDisplayName(), b.getDisplayName())
+            )
+          ),
+          1e6 / fps
+        ),
+        ...sounds.flat(),
+      ])
+    );
+    if (unreadable.length > 0) {
+      alert(
+        `These sounds couldn't be read, so they're left out: ${unreadable.join(
+          ", "
+        )}`
+      );
+    }
+    return length;
+  };
+
+  /**
+   * Runs an export in a worker, showing its progress until it's done. Errors
+   * are shown to the user rather than thrown.
+   *
+   * @param options what to render
+   * @param target where to write the output, or null to download it once
+   *     it's done, for browsers that can't write to files
+   * @param filename the name of the download
+   */
+  const runExport = async (
+    options: RenderOptions,
+    target: FileSystemFileHandle | FileSystemDirectoryHandle | null,
+    filename: string
+  ) => {
+    const format = OUTPUT_FORMATS[options.format];
+    const withAudio = format.kind === "video" && format.supportsAudio;
+    const worker = new RenderWorker();
+    const abortController = new AbortController();
+    exportWorker.current = worker;
+    exportAbortController.current = abortController;
+    setExportPaused(false);
+    setExportNotice(
+      !withAudio && backend.clips.some((clip) => clip instanceof AudioClip)
+        ? "This format can't include sound, so the audio is left out."
+        : null
+    );
+    try {
+      const audio = withAudio
+        ? await mixAudio(backend.clips, options.start, options.length)
+        : null;
+      const result = await worker.render(
+        createProjectSnapshot(backend),
+        { ...options, audio },
         {
-          description: "WebM Video File",
-          accept: { "video/webm": [".webm"] },
-        },
-      ],
+          target: target ?? undefined,
+          signal: abortController.signal,
+          onProgress: setExportProgress,
+          onEncoderSelected: ({ fallbackReason }) =>
+            fallbackReason && setExportNotice(fallbackReason),
+        }
+      );
+      if (result) downloadBlob(result, filename);
+    } catch (e) {
+      if (e instanceof DOMException && e.name === "AbortError") return;
+      console.error(e);
+      alert(`The export failed: ${e instanceof Error ? e.message : e}`);
+    } finally {
+      worker.terminate();
+      exportWorker.current = null;
+      exportAbortController.current = null;
+      setExportProgress(null);
+    }
+  };
+
+  /**
+   * Opens the export dialog.
+   *
+   * @param frames whether to export the frames as images rather than a video
+   *     or animation
+   */
+  const openExportDialog = (frames: boolean) => {
+    const settings = backend.renderSettings;
+    // offer the format used last time, if it's the right kind
+    const format: OutputFormat = frames
+      ? "zip"
+      : settings.format === "zip"
+      ? DEFAULT_RENDER_SETTINGS.format
+      : settings.format;
+    setExportDialog({
+      settings: { ...settings, format },
+      filename:
+        (frames ? "frames" : "export") + OUTPUT_FORMATS[format].extension,
     });
-    const writable = await fileHandle.createWritable();
-    await backend.renderToWritableStream(
-      writable,
-      {
-        start: 0,
-        fps: 30,
-        length: (backend.resources.length / fps) * 1e6,
-        width,
-        height,
-      },
-      (finishFraction) => {
-        setExportStatus(Math.ceil(finishFraction * 100));
+  };
+
+  const startExport = async (
+    settings: RenderSettings,
+    filename: string,
+    toFolder: boolean
+  ) => {
+    setExportDialog(null);
+    // the export isn't running until the worker reports progress, but a second
+    // one mustn't start while it's getting there
+    setExporting(true);
+    try {
+      const format = OUTPUT_FORMATS[settings.format];
+      let target: FileSystemFileHandle | FileSystemDirectoryHandle | null;
+      // choose where to save first, as the pickers need the click that opened
+      // them. without file system access, the file is downloaded instead
+      try {
+        target = toFolder
+          ? await window.showDirectoryPicker({ mode: "readwrite" })
+          : canSaveFiles
+          ? await window.showSaveFilePicker({
+              startIn: format.kind === "video" ? "videos" : "pictures",
+              suggestedName: filename,
+              types: [
+                {
+                  description: format.label,
+                  accept: { [format.mimeType]: [format.extension] },
+                },
+              ],
+            })
+          : null;
+      } catch (e) {
+        if (e instanceof DOMException && e.name === "AbortError") return;
+        alert(
+          `Couldn't choose where to save: ${e instanceof Error ? e.message : e}`
+        );
+        return;
       }
-    );
-    writable.close();
+
+      if (JSON.stringify(settings) !== JSON.stringify(backend.renderSettings)) {
+        await history.execute(new SetRenderSettingsCommand(settings));
+      }
+      const length = await prepareRender();
+      await runExport(
+        {
+          ...settings,
+          fps: settings.outputFps ?? settings.fps,
+          start: 0,
+          length,
+        },
+        target,
+        target?.name ?? filename
+      );
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const pauseExport = () => {
+    exportWorker.current?.pause();
+    setExportPaused(true);
+  };
+
+  const resumeExport = () => {
+    exportWorker.current?.resume();
+    setExportPaused(false);
+  };
+
+  const cancelExport = () => {
+    exportAbortController.current?.abort();
   };
 
   return (
     <>
-      <div class={classes.app}>
+      <div
+        class={classes.app}
+        onDragOver={(e) => {
+          if (!e.dataTransfer?.types.includes("Files")) return;
+          e.preventDefault();
+          e.dataTransfer.dropEffect = "copy";
+        }}
+        onDrop={dropFiles}
+      >
         <div class={classes.header}>
           <h1>Stop-motion builder</h1>
-          <button onClick={render}>Render and download</button>
-          {exportStatus && <>rendering ({exportStatus}% finished)</>}
+          <RecentProjects autosave={autosave} newProject={newProject} />
+          <button onClick={openProject}>Open project</button>
+          <button onClick={saveProject}>Save project</button>
+          <button
+            onClick={() => history.undo()}
+            disabled={!canUndo}
+            title={`Undo ${history.undoLabel ?? ""} (Ctrl+Z)`}
+          >
+            Undo
+          </button>
+          <button
+            onClick={() => history.redo()}
+            disabled={!canRedo}
+            title={`Redo ${history.redoLabel ?? ""} (Ctrl+Shift+Z)`}
+          >
+            Redo
+          </button>
+          <button onClick={() => openExportDialog(false)} disabled={exporting}>
+            Render and download
+          </button>
+          <button onClick={() => openExportDialog(true)} disabled={exporting}>
+            Export frames
+          </button>
+          {exportProgress && (
+            <ExportProgress
+              progress={exportProgress}
+              paused={exportPaused}
+              notice={exportNotice}
+              pause={pauseExport}
+              resume={resumeExport}
+              cancel={cancelExport}
+            />
+          )}
         </div>
         <div class={[classes.card, classes.resourcesCard].join(" ")}>
           <ResourcesList
             backend={backend}
             resources={resources}
+            thumbnails={thumbnails}
             removeResource={removeResource}
             addResource={addResource}
+            importFolder={importFolder}
+          />
+        </div>
+        <div class={[classes.card, classes.previewCard].join(" ")}>
+          <PreviewPlayer
+            backend={backend}
+            history={history}
+            frame={playhead}
+            setFrame={setPlayhead}
+          />
+        </div>
+        <div class={[classes.card, classes.propertiesCard].join(" ")}>
+          <PropertiesPanel
+            backend={backend}
+            history={history}
+            clipId={selectedClip}
+            frame={playhead}
           />
         </div>
-        <div class={[classes.card, classes.previewCard].join(" ")}></div>
         <div class={[classes.card, classes.timelineCard].join(" ")}>
-          <div class="list">
-            <i>Drag and drop files here.</i>
-          </div>
-          <div class="properties">
-            <i>Hover over an item to view its properties.</i>
-          </div>
+          <Timeline
+            backend={backend}
+            history={history}
+            clips={clips}
+            frame={playhead}
+            setFrame={setPlayhead}
+            selectedClip={selectedClip}
+            setSelectedClip={setSelectedClip}
+          />
         </div>
       </div>
+      {exportDialog && (
+        <ExportDialog
+          {...exportDialog}
+          onExport={startExport}
+          onCancel={() => setExportDialog(null)}
+        />
+      )}
     </>
   );
 }
@@ -0,0 +1,118 @@
+import { useEffect, useState } from "preact/hooks";
+import Autosave, {
+  AutosaveStatus,
+  RecentProject,
+} from "../../backend/project/Autosave";
+import styles from "./RecentProjects.module.css";
+
+function describeStatus(status: AutosaveStatus) {
+  switch (status.state) {
+    case "idle":
+      return "Not saved yet";
+    case "saving":
+      return "Saving…";
+    case "saved":
+      return `Saved at ${new Date(status.at).toLocaleTimeString()}`;
+    case "error":
+      return status.message;
+  }
+}
+
+export interface RecentProjectsProps {
+  autosave: Autosave;
+  /** clears the open project and starts a new one */
+  newProject: () => void;
+}
+
+/**
+ * Lists the autosaved projects so an earlier one can be reopened, and shows
+ * whether the open project has been saved.
+ */
+export default function RecentProjects({
+  autosave,
+  newProject,
+}: RecentProjectsProps) {
+  const [projects, setProjects] = useState<RecentProject[]>([]);
+  const [status, setStatus] = useState(autosave.status);
+  const [projectId, setProjectId] = useState(autosave.projectId);
+  const [pendingRestore, setPendingRestore] = useState(autosave.pendingRestore);
+
+  useEffect(() => {
+    const refresh = () =>
+      autosave.listRecent().then(setProjects, () => setProjects([]));
+    const onStatus = () => {
+      setStatus(autosave.status);
+      setProjectId(autosave.projectId);
+      setPendingRestore(autosave.pendingRestore);
+    };
+    refresh();
+    autosave.addEventListener("projects", refresh);
+    autosave.addEventListener("status", onStatus);
+    return () => {
+      autosave.removeEventListener("projects", refresh);
+      autosave.removeEventListener("status", onStatus);
+    };
+  }, [autosave]);
+
+  const open = async (select: HTMLSelectElement) => {
+    if (select.value === autosave.projectId) return;
+    try {
+      await autosave.restore(select.value);
+    } catch (e) {
+      alert(`Couldn't open the project: ${e instanceof Error ? e.message : e}`);
+      select.value = autosave.projectId;
+    }
+    setProjectId(autosave.projectId);
+  };
+
+  const reconnect = async () => {
+    try {
+      await autosave.reconnect();
+    } catch (e) {
+      alert(
+        `Couldn't reconnect the files: ${e instanceof Error ? e.message : e}`
+      );
+    }
+  };
+
+  // the open project is listed even before its first save
+  const listed = projects.some((project) => project.id === projectId)
+    ? projects
+    : [
+        { id: projectId, name: autosave.projectName, savedAt: NaN },
+        ...projects,
+      ];
+
+  return (
+    <div class={styles.recentProjects}>
+      <label>
+        Project{" "}
+        <select value={projectId} onChange={(e) => open(e.currentTarget)}>
+          {listed.map((project) => (
+            <option key={project.id} value={project.id}>
+              {project.name}
+              {!isNaN(project.savedAt) &&
+                ` (${new Date(project.savedAt).toLocaleString()})`}
+            </option>
+          ))}
+        </select>
+      </label>
+      {pendingRestore && (
+        <button
+          onClick={reconnect}
+          title={`The browser needs permission to read the files of ${pendingRestore.name} again`}
+        >
+          Reconnect files
+        </button>
+      )}
+      <button onClick={newProject}>New project</button>
+      <span
+        class={[styles.status, status.state === "error" && styles.error]
+          .filter(Boolean)
+          .join(" ")}
+      >
+        {describeStatus(status)}
+      </span>
+    </div>
+  );
+}
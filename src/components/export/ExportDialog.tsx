@@ -0,0 +1,550 @@
+import { useEffect, useRef, useState } from "preact/hooks";
+import { RenderSettings } from "../../backend/VideoBackend";
+import { VIDEO_CODECS } from "../../backend/render/codecs";
+import { OUTPUT_FORMATS, OutputFormat } from "../../backend/render/formats";
+import { imageTypeOf } from "../../backend/render/imageSequence";
+import { canPickDirectories, canSaveFiles } from "../files";
+import NumberField from "../properties/NumberField";
+import styles from "./ExportDialog.module.css";
+import {
+  ExportPreset,
+  RESOLUTION_PRESETS,
+  loadExportPresets,
+  presetSettings,
+  saveExportPresets,
+} from "./exportPresets";
+
+/** The largest width or height encoders are expected to handle */
+const MAX_DIMENSION = 8192;
+
+/** The names of the bitrate modes, for display. */
+const BITRATE_MODES: Record<RenderSettings["bitrateMode"], string> = {
+  variable: "Variable",
+  constant: "Constant",
+};
+
+/** The names of the GIF palette modes, for display. */
+const PALETTES: Record<RenderSettings["animation"]["palette"], string> = {
+  global: "One for the whole animation (smaller)",
+  perFrame: "One per frame (better colors)",
+};
+
+/** The names of the latency modes, for display. */
+const LATENCY_MODES: Record<LatencyMode, string> = {
+  quality: "Best quality",
+  realtime: "Fastest",
+};
+
+export interface ExportDialogProps {
+  settings: RenderSettings;
+  /** the name to suggest for the output file */
+  filename: string;
+  /**
+   * called with the chosen settings when the user starts the export
+   *
+   * @param toFolder whether the frames should be saved into a folder rather
+   *     than a ZIP file
+   */
+  onExport: (
+    settings: RenderSettings,
+    filename: string,
+    toFolder: boolean
+  ) => void;
+  onCancel: () => void;
+}
+
+/** Swaps the extension of a filename, or adds one if it has none. */
+function withExtension(filename: string, extension: string) {
+  const dot = filename.lastIndexOf(".");
+  return (dot > 0 ? filename.slice(0, dot) : filename) + extension;
+}
+
+/**
+ * Finds the problems that would stop the export from working.
+ *
+ * @returns a message for each problem
+ */
+function validate(
+  settings: RenderSettings,
+  filename: string,
+  toFolder: boolean
+): string[] {
+  const errors: string[] = [];
+  const format = OUTPUT_FORMATS[settings.format];
+  if (
+    format.kind === "video" &&
+    (settings.width % 2 !== 0 || settings.height % 2 !== 0)
+  ) {
+    errors.push("Videos need an even width and height.");
+  }
+  if (
+    format.kind === "video" &&
+    (!Number.isInteger(settings.keyframeInterval) ||
+      settings.keyframeInterval < 1)
+  ) {
+    errors.push("Keyframes need to be a whole number of frames apart.");
+  }
+  if (settings.outputFps !== null && settings.outputFps < settings.fps) {
+    errors.push(
+      "The output frame rate can't be lower than the animation's, or frames would be skipped."
+    );
+  }
+  if (format.kind === "imageSequence") {
+    try {
+      imageTypeOf(settings.imageSequence.filenamePattern);
+    } catch (e) {
+      const message = e instanceof Error ? e.message : String(e);
+      errors.push(message[0].toUpperCase() + message.slice(1) + ".");
+    }
+  }
+  if (!toFolder) {
+    if (filename.trim() === "") {
+      errors.push("The file needs a name.");
+    } else if (/[/\\]/.test(filename)) {
+      errors.push("The filename can't contain folders.");
+    }
+  }
+  return errors;
+}
+
+/**
+ * Asks how to export the project: the format, size and output frame rate,
+ * and where to save it. The animation's frame rate belongs to the project, so
+ * it's only shown here. Settings can be saved as presets, which are kept in the browser
+ * rather than the project.
+ */
+export default function ExportDialog({
+  settings: initialSettings,
+  filename: initialFilename,
+  onExport,
+  onCancel,
+}: ExportDialogProps) {
+  const dialogRef = useRef<HTMLDialogElement>(null);
+  const [settings, setSettings] = useState(initialSettings);
+  const [filename, setFilename] = useState(initialFilename);
+  const [toFolder, setToFolder] = useState(false);
+  /** the width divided by the height while the aspect ratio is locked */
+  const [aspectRatio, setAspectRatio] = useState<number | null>(null);
+  const [presets, setPresets] = useState(loadExportPresets);
+  const [presetName, setPresetName] = useState("");
+  const [selectedPreset, setSelectedPreset] = useState("");
+
+  useEffect(() => dialogRef.current?.showModal(), []);
+
+  const format = OUTPUT_FORMATS[settings.format];
+  const canSaveToFolder =
+    format.kind === "imageSequence" && canSaveFiles && canPickDirectories;
+  const savingToFolder = canSaveToFolder && toFolder;
+  const errors = validate(settings, filename, savingToFolder);
+  const resolution = RESOLUTION_PRESETS.findIndex(
+    ({ width, height }) =>
+      width === settings.width && height === settings.height
+  );
+
+  const update = (changes: Partial<RenderSettings>) =>
+    setSettings((settings) => ({ ...settings, ...changes }));
+
+  const changeFormat = (id: OutputFormat) => {
+    const next = OUTPUT_FORMATS[id];
+    update({
+      format: id,
+      // keep the codec if the new format can hold it
+      ...(next.kind === "video" &&
+        !next.codecs.includes(settings.codec) && { codec: next.codecs[0] }),
+    });
+    setFilename((filename) => withExtension(filename, next.extension));
+  };
+
+  /** Sets the size, keeping the aspect ratio if it's locked. */
+  const resize = (width: number | null, height: number | null) => {
+    if (aspectRatio !== null) {
+      if (width !== null) height = Math.round(width / aspectRatio);
+      else if (height !== null) width = Math.round(height * aspectRatio);
+    }
+    update({
+      width: Math.min(Math.max(width ?? settings.width, 1), MAX_DIMENSION),
+      height: Math.min(Math.max(height ?? settings.height, 1), MAX_DIMENSION),
+    });
+  };
+
+  const applyPreset = (name: string) => {
+    setSelectedPreset(name);
+    const preset = presets.find((preset) => preset.name === name);
+    if (!preset) return;
+    const next = { ...settings, ...preset.settings };
+    // presets saved by older versions may name formats that no longer exist
+    if (!(next.format in OUTPUT_FORMATS)) next.format = settings.format;
+    setSettings(next);
+    setAspectRatio(null);
+    setFilename((filename) =>
+      withExtension(filename, OUTPUT_FORMATS[next.format].extension)
+    );
+  };
+
+  const storePresets = (next: ExportPreset[]) => {
+    try {
+      saveExportPresets(next);
+      setPresets(next);
+    } catch (e) {
+      alert(`The presets couldn't be saved: ${e}`);
+    }
+  };
+
+  const savePreset = () => {
+    const name = presetName.trim();
+    if (!name) return;
+    storePresets([
+      ...presets.filter((preset) => preset.name !== name),
+      { name, settings: presetSettings(settings) },
+    ]);
+    setSelectedPreset(name);
+    setPresetName("");
+  };
+
+  const deletePreset = () => {
+    if (!confirm(`Delete the preset "${selectedPreset}"?`)) return;
+    storePresets(presets.filter((preset) => preset.name !== selectedPreset));
+    setSelectedPreset("");
+  };
+
+  return (
+    <dialog
+      ref={dialogRef}
+      class={styles.exportDialog}
+      onCancel={(e) => {
+        e.preventDefault();
+        onCancel();
+      }}
+    >
+      <h2>Export</h2>
+
+      <div class={styles.row}>
+        <label class={styles.field}>
+          <span class={styles.label}>Preset</span>
+          <select
+            value={selectedPreset}
+            onChange={(e) => applyPreset(e.currentTarget.value)}
+          >
+            <option value="">None</option>
+            {presets.map((preset) => (
+              <option key={preset.name} value={preset.name}>
+                {preset.name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button onClick={deletePreset} disabled={!selectedPreset}>
+          Delete
+        </button>
+      </div>
+      <div class={styles.row}>
+        <input
+          type="text"
+          placeholder="Preset name"
+          value={presetName}
+          onInput={(e) => setPresetName(e.currentTarget.value)}
+        />
+        <button onClick={savePreset} disabled={!presetName.trim()}>
+          Save as preset
+        </button>
+      </div>
+
+      <fieldset class={styles.section}>
+        <legend>Format</legend>
+        <label class={styles.field}>
+          <span class={styles.label}>Container</span>
+          <select
+            value={settings.format}
+            onChange={(e) =>
+              changeFormat(e.currentTarget.value as OutputFormat)
+            }
+          >
+            {(Object.keys(OUTPUT_FORMATS) as OutputFormat[]).map((id) => (
+              <option key={id} value={id}>
+                {OUTPUT_FORMATS[id].label}
+              </option>
+            ))}
+          </select>
+        </label>
+        {format.kind === "video" && (
+          <>
+            <label class={styles.field}>
+              <span class={styles.label}>Codec</span>
+              <select
+                value={settings.codec}
+                onChange={(e) =>
+                  update({
+                    codec: e.currentTarget.value as RenderSettings["codec"],
+                  })
+                }
+              >
+                {format.codecs.map((codec) => (
+                  <option key={codec} value={codec}>
+                    {VIDEO_CODECS[codec].label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <NumberField
+              label="Bitrate"
+              unit="Mbps"
+              value={settings.bitrate / 1e6}
+              min={0.1}
+              max={500}
+              step={0.5}
+              onCommit={(bitrate) => update({ bitrate: bitrate * 1e6 })}
+            />
+            <label class={styles.field}>
+              <span class={styles.label}>Bitrate mode</span>
+              <select
+                value={settings.bitrateMode}
+                onChange={(e) =>
+                  update({
+                    bitrateMode: e.currentTarget
+                      .value as RenderSettings["bitrateMode"],
+                  })
+                }
+              >
+                {Object.entries(BITRATE_MODES).map(([mode, label]) => (
+                  <option key={mode} value={mode}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label class={styles.field}>
+              <span class={styles.label}>Encode for</span>
+              <select
+                value={settings.latencyMode}
+                onChange={(e) =>
+                  update({
+                    latencyMode: e.currentTarget.value as LatencyMode,
+                  })
+                }
+              >
+                {Object.entries(LATENCY_MODES).map(([mode, label]) => (
+                  <option key={mode} value={mode}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <NumberField
+              label="Keyframes every"
+              unit="frames"
+              value={settings.keyframeInterval}
+              min={1}
+              max={10000}
+              step={1}
+              integer
+              onCommit={(keyframeInterval) => update({ keyframeInterval })}
+            />
+          </>
+        )}
+        {format.kind === "animation" && (
+          <NumberField
+            label="Loops"
+            unit="(0 loops forever)"
+            value={settings.animation.loopCount}
+            min={0}
+            max={65535}
+            step={1}
+            integer
+            onCommit={(loopCount) =>
+              update({ animation: { ...settings.animation, loopCount } })
+            }
+          />
+        )}
+        {settings.format === "gif" && (
+          <>
+            <label class={styles.field}>
+              <span class={styles.label}>Palette</span>
+              <select
+                value={settings.animation.palette}
+                onChange={(e) =>
+                  update({
+                    animation: {
+                      ...settings.animation,
+                      palette: e.currentTarget
+                        .value as RenderSettings["animation"]["palette"],
+                    },
+                  })
+                }
+              >
+                {Object.entries(PALETTES).map(([palette, label]) => (
+                  <option key={palette} value={palette}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label class={styles.field}>
+              <input
+                type="checkbox"
+                checked={settings.animation.dithering}
+                onChange={(e) =>
+                  update({
+                    animation: {
+                      ...settings.animation,
+                      dithering: e.currentTarget.checked,
+                    },
+                  })
+                }
+              />
+              Dither colors that aren't in the palette
+            </label>
+          </>
+        )}
+        {format.kind === "imageSequence" && (
+          <>
+            <label class={styles.field}>
+              <span class={styles.label}>Frame names</span>
+              <input
+                type="text"
+                value={settings.imageSequence.filenamePattern}
+                title="%05d is replaced with the frame number, and the extension can be .png, .jpg or .webp"
+                onInput={(e) =>
+                  update({
+                    imageSequence: {
+                      ...settings.imageSequence,
+                      filenamePattern: e.currentTarget.value,
+                    },
+                  })
+                }
+              />
+            </label>
+            {canSaveToFolder && (
+              <label class={styles.field}>
+                <input
+                  type="checkbox"
+                  checked={toFolder}
+                  onChange={(e) => setToFolder(e.currentTarget.checked)}
+                />
+                Save into a folder instead of a ZIP file
+              </label>
+            )}
+          </>
+        )}
+      </fieldset>
+
+      <fieldset class={styles.section}>
+        <legend>Size</legend>
+        <label class={styles.field}>
+          <span class={styles.label}>Resolution</span>
+          <select
+            value={resolution}
+            onChange={(e) => {
+              const preset = RESOLUTION_PRESETS[Number(e.currentTarget.value)];
+              if (!preset) return;
+              update({ width: preset.width, height: preset.height });
+              if (aspectRatio !== null) {
+                setAspectRatio(preset.width / preset.height);
+              }
+            }}
+          >
+            {RESOLUTION_PRESETS.map((preset, i) => (
+              <option key={preset.label} value={i}>
+                {preset.label} ({preset.width}×{preset.height})
+              </option>
+            ))}
+            <option value={-1}>Custom</option>
+          </select>
+        </label>
+        <NumberField
+          label="Width"
+          unit="px"
+          value={settings.width}
+          min={1}
+          max={MAX_DIMENSION}
+          step={1}
+          integer
+          onCommit={(width) => resize(width, null)}
+        />
+        <NumberField
+          label="Height"
+          unit="px"
+          value={settings.height}
+          min={1}
+          max={MAX_DIMENSION}
+          step={1}
+          integer
+          onCommit={(height) => resize(null, height)}
+        />
+        <label class={styles.field}>
+          <input
+            type="checkbox"
+            checked={aspectRatio !== null}
+            onChange={(e) =>
+              setAspectRatio(
+                e.currentTarget.checked
+                  ? settings.width / settings.height
+                  : null
+              )
+            }
+          />
+          Lock aspect ratio
+        </label>
+      </fieldset>
+
+      <fieldset class={styles.section}>
+        <legend>Frame rate</legend>
+        <div class={styles.field}>
+          <span class={styles.label}>Animation</span>
+          {settings.fps} fps, set from the timeline
+        </div>
+        <label class={styles.field}>
+          <input
+            type="checkbox"
+            checked={settings.outputFps === null}
+            onChange={(e) =>
+              update({
+                outputFps: e.currentTarget.checked ? null : settings.fps,
+              })
+            }
+          />
+          Output at the animation's frame rate
+        </label>
+        {settings.outputFps !== null && (
+          <NumberField
+            label="Output"
+            unit="fps"
+            value={settings.outputFps}
+            min={0.1}
+            max={120}
+            step={1}
+            onCommit={(outputFps) => update({ outputFps })}
+          />
+        )}
+      </fieldset>
+
+      {!savingToFolder && (
+        <label class={styles.field}>
+          <span class={styles.label}>Filename</span>
+          <input
+            type="text"
+            value={filename}
+            onInput={(e) => setFilename(e.currentTarget.value)}
+          />
+        </label>
+      )}
+
+      {errors.length > 0 && (
+        <ul class={styles.errors}>
+          {errors.map((error) => (
+            <li key={error}>{error}</li>
+          ))}
+        </ul>
+      )}
+
+      <div class={styles.buttons}>
+        <button onClick={onCancel}>Cancel</button>
+        <button
+          onClick={() => onExport(settings, filename.trim(), savingToFolder)}
+          disabled={errors.length > 0}
+        >
+          Export
+        </button>
+      </div>
+    </dialog>
+  );
+}
@@ -0,0 +1,51 @@
+import { RenderProgress } from "../../backend/render/ProgressTracker";
+import { formatDuration, humanFileSize } from "../format";
+import styles from "./ExportProgress.module.css";
+
+export interface ExportProgressProps {
+  progress: RenderProgress;
+  paused: boolean;
+  /** something the user should know about the export, e.g. a codec fallback */
+  notice: string | null;
+  pause: () => void;
+  resume: () => void;
+  cancel: () => void;
+}
+
+export default function ExportProgress({
+  progress,
+  paused,
+  notice,
+  pause,
+  resume,
+  cancel,
+}: ExportProgressProps) {
+  const percent = Math.floor(
+    (progress.framesEncoded / Math.max(progress.totalFrames, 1)) * 100
+  );
+  return (
+    <div class={styles.exportProgress}>
+      <progress value={progress.framesEncoded} max={progress.totalFrames} />
+      <div class={styles.details}>
+        <div>
+          {paused ? "Paused" : "Rendering"} ({percent}%):{" "}
+          {progress.framesRendered}/{progress.totalFrames} frames rendered,{" "}
+          {progress.framesEncoded} encoded,{" "}
+          {humanFileSize(progress.bytesWritten)} written
+        </div>
+        <div>
+          {formatDuration(progress.elapsed)} elapsed
+          {progress.estimatedRemaining !== null &&
+            `, about ${formatDuration(progress.estimatedRemaining)} left`}
+        </div>
+        {notice && <div class={styles.notice}>Note: {notice}</div>}
+      </div>
+      {paused ? (
+        <button onClick={resume}>Resume</button>
+      ) : (
+        <button onClick={pause}>Pause</button>
+      )}
+      <button onClick={cancel}>Cancel</button>
+    </div>
+  );
+}
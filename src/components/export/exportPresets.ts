@@ -0,0 +1,101 @@
+import { RenderSettings } from "../../backend/VideoBackend";
+
+/** A common output size. */
+export interface ResolutionPreset {
+  label: string;
+  width: number;
+  height: number;
+}
+
+export const RESOLUTION_PRESETS: ResolutionPreset[] = [
+  { label: "720p", width: 1280, height: 720 },
+  { label: "1080p", width: 1920, height: 1080 },
+  { label: "4K", width: 3840, height: 2160 },
+  { label: "Square", width: 1080, height: 1080 },
+  { label: "Vertical 9:16", width: 1080, height: 1920 },
+];
+
+/** The export settings a preset holds. The animation's frame rate isn't one. */
+export type PresetSettings = Pick<
+  RenderSettings,
+  | "width"
+  | "height"
+  | "outputFps"
+  | "format"
+  | "codec"
+  | "bitrate"
+  | "bitrateMode"
+  | "latencyMode"
+  | "keyframeInterval"
+  | "animation"
+  | "imageSequence"
+>;
+
+/** Export settings the user saved under a name. */
+export interface ExportPreset {
+  name: string;
+  settings: PresetSettings;
+}
+
+const STORAGE_KEY = "simple-stop-motion:export-presets";
+
+/**
+ * Gets the settings a preset would save.
+ *
+ * @param settings the settings to take them from
+ */
+export function presetSettings({
+  width,
+  height,
+  outputFps,
+  format,
+  codec,
+  bitrate,
+  bitrateMode,
+  latencyMode,
+  keyframeInterval,
+  animation,
+  imageSequence,
+}: RenderSettings): PresetSettings {
+  return {
+    width,
+    height,
+    outputFps,
+    format,
+    codec,
+    bitrate,
+    bitrateMode,
+    latencyMode,
+    keyframeInterval,
+    animation,
+    imageSequence,
+  };
+}
+
+/**
+ * Gets the presets saved in this browser. Presets that can't be read are
+ * left out.
+ */
+export function loadExportPresets(): ExportPreset[] {
+  try {
+    const presets = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? "[]");
+    if (!Array.isArray(presets)) return [];
+    return presets.filter(
+      (preset): preset is ExportPreset =>
+        typeof preset?.name === "string" &&
+        typeof preset.settings === "object" &&
+        preset.settings !== null
+    );
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Saves the presets in this browser, replacing the ones saved before.
+ *
+ * @param presets the presets, in the order they're listed
+ */
+export function saveExportPresets(presets: ExportPreset[]) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+}
@@ -0,0 +1,61 @@
+/**
+ * Fallbacks for browsers without the File System Access API, like Firefox and
+ * Safari, which can only pick files with inputs and save them as downloads.
+ */
+
+/** Whether files can be picked with `showOpenFilePicker` */
+export const canPickFiles = "showOpenFilePicker" in window;
+
+/** Whether folders can be picked with `showDirectoryPicker` */
+export const canPickDirectories = "showDirectoryPicker" in window;
+
+/** Whether files can be saved in place with `showSaveFilePicker` */
+export const canSaveFiles =
+  "showSaveFilePicker" in window &&
+  "FileSystemFileHandle" in window &&
+  "createWritable" in FileSystemFileHandle.prototype;
+
+/**
+ * Asks the user to choose files with a file input.
+ *
+ * @param options which files can be chosen. `accept` is in the format of
+ *     the input's attribute, e.g. "image/*,.json". `directory` chooses a
+ *     folder, and gives every file in it and its subfolders.
+ * @returns the chosen files, or none if the user cancelled
+ */
+export function chooseFiles({
+  accept,
+  multiple = false,
+  directory = false,
+}: {
+  accept?: string;
+  multiple?: boolean;
+  directory?: boolean;
+}): Promise<File[]> {
+  return new Promise((resolve) => {
+    const input = document.createElement("input");
+    input.type = "file";
+    if (accept) input.accept = accept;
+    input.multiple = multiple;
+    input.webkitdirectory = directory;
+    input.addEventListener("change", () => resolve([...(input.files ?? [])]));
+    input.addEventListener("cancel", () => resolve([]));
+    input.click();
+  });
+}
+
+/**
+ * Saves a file by downloading it.
+ *
+ * @param blob the contents of the file
+ * @param filename the suggested name
+ */
+export function downloadBlob(blob: Blob, filename: string) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // the download may not have read the blob yet when the click returns
+  setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+}
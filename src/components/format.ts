@@ -0,0 +1,69 @@
+/**
+ * Format bytes as human-readable text.
+ *
+ * @param bytes Number of bytes.
+ * @param si True to use metric (SI) units, aka powers of 1000. False to use
+ *           binary (IEC), aka powers of 1024.
+ * @param dp Number of decimal places to display.
+ *
+ * @return Formatted string.
+ */
+export function humanFileSize(bytes: number, si = false, dp = 1) {
+  const thresh = si ? 1000 : 1024;
+
+  if (Math.abs(bytes) < thresh) {
+    return bytes + " B";
+  }
+
+  const units = si
+    ? ["kB", "MB", "GB", "TB", "PB", "EB", "ZB", "YB"]
+    : ["KiB", "MiB", "GiB", "TiB", "PiB", "EiB", "ZiB", "YiB"];
+  let u = -1;
+  const r = 10 ** dp;
+
+  do {
+    bytes /= thresh;
+    ++u;
+  } while (
+    Math.round(Math.abs(bytes) * r) / r >= thresh &&
+    u < units.length - 1
+  );
+
+  return bytes.toFixed(dp) + " " + units[u];
+}
+
+/**
+ * Format a duration as minutes and seconds, e.g. "1:05", or with hours if
+ * needed, e.g. "1:02:05".
+ *
+ * @param milliseconds The duration.
+ *
+ * @return Formatted string.
+ */
+export function formatDuration(milliseconds: number) {
+  const totalSeconds = Math.max(0, Math.round(milliseconds / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor(totalSeconds / 60) % 60;
+  const seconds = (totalSeconds % 60).toString().padStart(2, "0");
+  return hours > 0
+    ? `${hours}:${minutes.toString().padStart(2, "0")}:${seconds}`
+    : `${minutes}:${seconds}`;
+}
+
+/**
+ * Format a frame number as a timecode of minutes, seconds and frames, e.g.
+ * "1:05:03" for frame 3 of the 65th second.
+ *
+ * @param frame The frame number, counting from 0.
+ * @param fps The frame rate.
+ *
+ * @return Formatted string.
+ */
+export function formatTimecode(frame: number, fps: number) {
+  const framesPerSecond = Math.max(1, Math.round(fps));
+  const totalSeconds = Math.floor(Math.max(0, frame) / framesPerSecond);
+  const frames = (Math.max(0, frame) % framesPerSecond)
+    .toString()
+    .padStart(framesPerSecond > 10 ? 2 : 1, "0");
+  return `${formatDuration(totalSeconds * 1000)}:${frames}`;
+}
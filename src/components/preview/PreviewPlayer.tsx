@@ -0,0 +1,240 @@
+import { StateUpdater, useEffect, useRef, useState } from "preact/hooks";
+import VideoBackend from "../../backend/VideoBackend";
+import History from "../../backend/history/History";
+import { formatTimecode } from "../format";
+import styles from "./PreviewPlayer.module.css";
+
+/** Previews are rendered at most this wide, to keep playback smooth */
+const MAX_PREVIEW_WIDTH = 960;
+
+export interface PreviewPlayerProps {
+  backend: VideoBackend;
+  history: History;
+  /** the frame the playhead is on, which is shared with the timeline */
+  frame: number;
+  setFrame: StateUpdater<number>;
+}
+
+/**
+ * Plays the project in the browser. Frames are rendered on demand, and if
+ * rendering can't keep up, frames are skipped rather than playback slowing
+ * down.
+ */
+export default function PreviewPlayer({
+  backend,
+  history,
+  frame,
+  setFrame,
+}: PreviewPlayerProps) {
+  const canvasRef = useRef<HTMLCanvasElement>(null);
+
+  const [settings, setSettings] = useState(backend.renderSettings);
+  const [duration, setDuration] = useState(() => backend.getDuration());
+  // bumped whenever the project changes, so the frame is rendered again
+  const [revision, setRevision] = useState(0);
+
+  const [playing, setPlaying] = useState(false);
+  const [inPoint, setInPoint] = useState<number | null>(null);
+  const [outPoint, setOutPoint] = useState<number | null>(null);
+  const [loop, setLoop] = useState(true);
+  // why the last frame couldn't be shown, if it couldn't
+  const [renderError, setRenderError] = useState<string | null>(null);
+
+  const { fps } = settings;
+  const lastFrame = Math.max(0, Math.ceil((duration / 1e6) * fps) - 1);
+  const rangeStart = Math.min(inPoint ?? 0, lastFrame);
+  const rangeEnd = Math.max(
+    Math.min(outPoint ?? lastFrame, lastFrame),
+    rangeStart
+  );
+  const previewWidth = Math.min(settings.width, MAX_PREVIEW_WIDTH);
+  const previewHeight = Math.round(
+    (settings.height / settings.width) * previewWidth
+  );
+
+  useEffect(() => {
+    const sync = () => {
+      setSettings(backend.renderSettings);
+      setDuration(backend.getDuration());
+      setRevision((revision) => revision + 1);
+    };
+    history.addEventListener("change", sync);
+    return () => history.removeEventListener("change", sync);
+  }, [backend, history]);
+
+  // only one frame renders at a time, as the backend reuses its canvas. while
+  // it does, only the latest requested frame is kept, and the rest are dropped
+  const rendering = useRef(false);
+  const pendingFrame = useRef<number | null>(null);
+  const drawFrame = async (requested: number) => {
+    pendingFrame.current = requested;
+    if (rendering.current) return;
+    rendering.current = true;
+    try {
+      while (pendingFrame.current !== null) {
+        const next = pendingFrame.current;
+        pendingFrame.current = null;
+        const canvas = canvasRef.current;
+        if (!canvas) return;
+        const image = await backend.renderFrame(
+          (next / fps) * 1e6,
+          canvas.width,
+          canvas.height
+        );
+        const ctx = canvas.getContext("2d");
+        if (!ctx)
+          throw new Error("failed to get rendering context for preview");
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(image, 0, 0);
+        setRenderError(null);
+      }
+    } finally {
+      rendering.current = false;
+    }
+  };
+
+  useEffect(() => {
+    drawFrame(frame).catch((e) => {
+      console.error(e);
+      setRenderError(e instanceof Error ? e.message : String(e));
+      setPlaying(false);
+    });
+  }, [frame, revision, previewWidth, previewHeight]);
+
+  // keep the playhead inside the project when it gets shorter
+  useEffect(() => {
+    if (frame > lastFrame) setFrame(lastFrame);
+  }, [lastFrame]);
+
+  const frameRef = useRef(frame);
+  frameRef.current = frame;
+  useEffect(() => {
+    if (!playing) return;
+    // play from the start of the range if the playhead is outside it
+    const startFrame =
+      frameRef.current >= rangeStart && frameRef.current < rangeEnd
+        ? frameRef.current
+        : rangeStart;
+    const startTime = performance.now();
+    let handle: number;
+    const tick = (now: number) => {
+      let target = startFrame + Math.floor(((now - startTime) / 1000) * fps);
+      if (target > rangeEnd) {
+        if (!loop) {
+          setFrame(rangeEnd);
+          setPlaying(false);
+          return;
+        }
+        target =
+          rangeStart + ((target - rangeStart) % (rangeEnd - rangeStart + 1));
+      }
+      if (target !== frameRef.current) setFrame(target);
+      handle = requestAnimationFrame(tick);
+    };
+    handle = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(handle);
+  }, [playing, fps, rangeStart, rangeEnd, loop]);
+
+  const step = (frames: number) => {
+    setPlaying(false);
+    setFrame((frame) => Math.min(Math.max(frame + frames, 0), lastFrame));
+  };
+
+  useEffect(() => {
+    const onKeyDown = (e: KeyboardEvent) => {
+      // leave keys to whatever is being typed in or chosen from
+      if (
+        e.target instanceof HTMLInputElement ||
+        e.target instanceof HTMLTextAreaElement ||
+        e.target instanceof HTMLSelectElement ||
+        (e.target instanceof HTMLElement && e.target.isContentEditable) ||
+        e.ctrlKey ||
+        e.metaKey
+      )
+        return;
+      // space presses focused buttons
+      if (e.key === " " && e.target instanceof HTMLButtonElement) return;
+      if (e.key === " ") {
+        e.preventDefault();
+        setPlaying((playing) => !playing);
+      } else if (e.key === "ArrowLeft") {
+        e.preventDefault();
+        step(-1);
+      } else if (e.key === "ArrowRight") {
+        e.preventDefault();
+        step(1);
+      }
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [lastFrame]);
+
+  return (
+    <div class={styles.previewPlayer}>
+      <canvas
+        ref={canvasRef}
+        class={styles.canvas}
+        width={previewWidth}
+        height={previewHeight}
+      />
+      {renderError && (
+        <div class={styles.error}>
+          This frame couldn't be shown: {renderError}
+        </div>
+      )}
+      <div class={styles.controls}>
+        <button onClick={() => step(-1)} title="Previous frame (Left arrow)">
+          ⏮
+        </button>
+        <button
+          onClick={() => setPlaying(!playing)}
+          title={playing ? "Pause (Space)" : "Play (Space)"}
+        >
+          {playing ? "⏸" : "▶"}
+        </button>
+        <button onClick={() => step(1)} title="Next frame (Right arrow)">
+          ⏭
+        </button>
+        <input
+          type="range"
+          class={styles.scrubBar}
+          min={0}
+          max={lastFrame}
+          value={frame}
+          onInput={(e) => {
+            setPlaying(false);
+            setFrame(parseInt(e.currentTarget.value));
+          }}
+        />
+        <span class={styles.timecode}>
+          {formatTimecode(frame, fps)} / {formatTimecode(lastFrame, fps)}
+        </span>
+      </div>
+      <div class={styles.range}>
+        <button onClick={() => setInPoint(frame)}>Set in</button>
+        <button onClick={() => setOutPoint(frame)}>Set out</button>
+        <button
+          onClick={() => {
+            setInPoint(null);
+            setOutPoint(null);
+          }}
+          disabled={inPoint === null && outPoint === null}
+        >
+          Clear range
+        </button>
+        <span class={styles.timecode}>
+          {formatTimecode(rangeStart, fps)} &ndash;{" "}
+          {formatTimecode(rangeEnd, fps)}
+        </span>
+        <label>
+          <input
+            type="checkbox"
+            checked={loop}
+            onChange={(e) => setLoop(e.currentTarget.checked)}
+          />{" "}
+          Loop
+        </label>
+      </div>
+    </div>
+  );
+}
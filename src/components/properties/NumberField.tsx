@@ -0,0 +1,71 @@
+import { useEffect, useState } from "preact/hooks";
+import styles from "./PropertiesPanel.module.css";
+
+/** Shows numbers without floating point noise, e.g. 33.3333 for 1/3. */
+function formatNumber(value: number) {
+  return String(Math.round(value * 1e4) / 1e4);
+}
+
+interface NumberFieldProps {
+  label: string;
+  unit: string;
+  value: number;
+  min?: number;
+  max?: number;
+  step: number;
+  /** whether only whole numbers are valid */
+  integer?: boolean;
+  /** called with valid values once the user has finished editing */
+  onCommit: (value: number) => void;
+}
+
+/**
+ * A number input that can hold invalid text while it's being typed, which is
+ * highlighted and never committed.
+ */
+export default function NumberField({
+  label,
+  unit,
+  value,
+  min,
+  max,
+  step,
+  integer = false,
+  onCommit,
+}: NumberFieldProps) {
+  const [text, setText] = useState(formatNumber(value));
+  useEffect(() => setText(formatNumber(value)), [value]);
+
+  const parse = (text: string) => {
+    const parsed = text.trim() === "" ? NaN : Number(text);
+    if (!isFinite(parsed)) return null;
+    if (integer && !Number.isInteger(parsed)) return null;
+    if (min !== undefined && parsed < min) return null;
+    if (max !== undefined && parsed > max) return null;
+    return parsed;
+  };
+
+  return (
+    <label class={styles.field}>
+      <span class={styles.label}>{label}</span>
+      <input
+        type="number"
+        class={parse(text) === null ? styles.invalid : undefined}
+        value={text}
+        min={min}
+        max={max}
+        step={step}
+        onInput={(e) => setText(e.currentTarget.value)}
+        onChange={(e) => {
+          const parsed = parse(e.currentTarget.value);
+          if (parsed !== null && formatNumber(parsed) !== formatNumber(value))
+            onCommit(parsed);
+        }}
+        onKeyDown={(e) => {
+          if (e.key === "Escape") setText(formatNumber(value));
+        }}
+      />
+      <span class={styles.unit}>{unit}</span>
+    </label>
+  );
+}
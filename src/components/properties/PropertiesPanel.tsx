@@ -0,0 +1,541 @@
+import VideoBackend from "../../backend/VideoBackend";
+import History from "../../backend/history/History";
+import {
+  SetClipPropertiesCommand,
+  SetSequenceFramesCommand,
+} from "../../backend/history/commands";
+import AudioClip, { AudioClipProperties } from "../../backend/items/AudioClip";
+import Clip, { BLEND_MODES, BlendMode } from "../../backend/items/Clip";
+import ImageClip from "../../backend/items/ImageClip";
+import ImageSequenceClip from "../../backend/items/ImageSequenceClip";
+import {
+  CropRect,
+  FIT_MODES,
+  FULL_CROP,
+  FitMode,
+  ImageClipProperties,
+  PanZoom,
+} from "../../backend/items/imageFit";
+import {
+  AnimatableProperty,
+  EASING_NAMES,
+  Keyframes,
+  setKeyframe,
+} from "../../backend/items/keyframes";
+import NumberField from "./NumberField";
+import styles from "./PropertiesPanel.module.css";
+import SequenceFrames from "./SequenceFrames";
+import TransitionFields from "./TransitionFields";
+
+/** A numeric property shown in the panel. */
+interface FieldSpec<K extends string> {
+  key: K;
+  label: string;
+  unit: string;
+  /** the stored value is multiplied by this to display it */
+  scale: number;
+  /** the limits of the displayed value */
+  min?: number;
+  max?: number;
+  step: number;
+}
+
+const SECONDS = 1e-6;
+const PERCENT = 100;
+const DEGREES = 180 / Math.PI;
+
+const TRANSFORM_FIELDS: FieldSpec<AnimatableProperty>[] = [
+  { key: "posLeft", label: "Left", unit: "%", scale: PERCENT, step: 1 },
+  { key: "posTop", label: "Top", unit: "%", scale: PERCENT, step: 1 },
+  {
+    key: "posWidth",
+    label: "Width",
+    unit: "%",
+    scale: PERCENT,
+    min: 0,
+    step: 1,
+  },
+  {
+    key: "posHeight",
+    label: "Height",
+    unit: "%",
+    scale: PERCENT,
+    min: 0,
+    step: 1,
+  },
+  { key: "rotation", label: "Rotation", unit: "°", scale: DEGREES, step: 1 },
+  {
+    key: "opacity",
+    label: "Opacity",
+    unit: "%",
+    scale: PERCENT,
+    min: 0,
+    max: 100,
+    step: 1,
+  },
+];
+
+/** The crop rectangle, as percentages of the image */
+const CROP_FIELDS: FieldSpec<keyof CropRect>[] = [
+  {
+    key: "left",
+    label: "left",
+    unit: "%",
+    scale: PERCENT,
+    min: 0,
+    max: 100,
+    step: 1,
+  },
+  {
+    key: "top",
+    label: "top",
+    unit: "%",
+    scale: PERCENT,
+    min: 0,
+    max: 100,
+    step: 1,
+  },
+  {
+    key: "width",
+    label: "width",
+    unit: "%",
+    scale: PERCENT,
+    min: 0,
+    max: 100,
+    step: 1,
+  },
+  {
+    key: "height",
+    label: "height",
+    unit: "%",
+    scale: PERCENT,
+    min: 0,
+    max: 100,
+    step: 1,
+  },
+];
+
+const AUDIO_FIELDS: FieldSpec<"trimStart" | "gain">[] = [
+  {
+    key: "trimStart",
+    label: "Trim start",
+    unit: "s",
+    scale: SECONDS,
+    min: 0,
+    step: 0.1,
+  },
+  {
+    key: "gain",
+    label: "Volume",
+    unit: "%",
+    scale: PERCENT,
+    min: 0,
+    max: 400,
+    step: 5,
+  },
+];
+
+/** The middle of a crop, for the end of a new zoom. */
+function zoomIn(crop: CropRect): CropRect {
+  return {
+    left: crop.left + crop.width * 0.1,
+    top: crop.top + crop.height * 0.1,
+    width: crop.width * 0.8,
+    height: crop.height * 0.8,
+  };
+}
+
+function CropFields({
+  name,
+  crop,
+  onChange,
+}: {
+  /** shown before the name of each field */
+  name: string;
+  crop: CropRect;
+  onChange: (crop: CropRect) => void;
+}) {
+  return (
+    <>
+      {CROP_FIELDS.map((field) => (
+        <NumberField
+          key={field.key}
+          label={`${name} ${field.label}`}
+          unit={field.unit}
+          value={crop[field.key] * field.scale}
+          min={field.min}
+          max={field.max}
+          step={field.step}
+          onCommit={(value) =>
+            onChange({ ...crop, [field.key]: value / field.scale })
+          }
+        />
+      ))}
+    </>
+  );
+}
+
+function PanZoomFields({
+  panZoom,
+  onChange,
+}: {
+  panZoom: PanZoom;
+  onChange: (panZoom: PanZoom) => void;
+}) {
+  return (
+    <>
+      <CropFields
+        name="Start"
+        crop={panZoom.from}
+        onChange={(from) => onChange({ ...panZoom, from })}
+      />
+      <CropFields
+        name="End"
+        crop={panZoom.to}
+        onChange={(to) => onChange({ ...panZoom, to })}
+      />
+      <label class={styles.field}>
+        <span class={styles.label}>Easing</span>
+        <select
+          value={typeof panZoom.easing === "string" ? panZoom.easing : ""}
+          onChange={(e) =>
+            onChange({
+              ...panZoom,
+              easing: e.currentTarget.value as keyof typeof EASING_NAMES,
+            })
+          }
+        >
+          {Object.entries(EASING_NAMES).map(([easing, label]) => (
+            <option key={easing} value={easing}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <button
+        onClick={() =>
+          onChange({ ...panZoom, from: panZoom.to, to: panZoom.from })
+        }
+      >
+        Reverse
+      </button>
+    </>
+  );
+}
+
+function describeClip(clip: Clip) {
+  if (clip instanceof ImageSequenceClip) {
+    return `Image sequence of ${clip.frames.length} images`;
+  }
+  if (clip instanceof ImageClip)
+    return `Image: ${clip.resource.getDisplayName()}`;
+  if (clip instanceof AudioClip)
+    return `Audio: ${clip.resource.getDisplayName()}`;
+  return "Clip";
+}
+
+export interface PropertiesPanelProps {
+  backend: VideoBackend;
+  history: History;
+  /** the id of the clip to edit */
+  clipId: number | null;
+  /** the frame the playhead is on, where keyframes are edited */
+  frame: number;
+}
+
+/**
+ * Edits the selected clip. Changes go through the history, so they can be
+ * undone and show up in the preview straight away. Animated properties show
+ * their value at the playhead, and editing them sets a keyframe there.
+ */
+export default function PropertiesPanel({
+  backend,
+  history,
+  clipId,
+  frame,
+}: PropertiesPanelProps) {
+  const clip = clipId !== null ? backend.clipFromId(clipId) : null;
+  if (!clip) {
+    return (
+      <div class={styles.propertiesPanel}>
+        <i>Select a clip on the timeline to edit its properties.</i>
+      </div>
+    );
+  }
+
+  const { fps } = backend.renderSettings;
+  const frameLength = 1e6 / fps;
+  const { renderStart, renderLength, keyframes = {} } = clip.properties;
+  // keyframes can only be set inside the clip
+  const offset = Math.min(
+    Math.max((frame / fps) * 1e6 - renderStart, 0),
+    renderLength
+  );
+  const current = clip.propertiesAt(renderStart + offset);
+
+  // changes can include the properties of any type of clip
+  const set = (changes: Partial<AudioClipProperties & ImageClipProperties>) =>
+    history.execute(new SetClipPropertiesCommand(clip, changes));
+
+  const setKeyframes = (property: AnimatableProperty, value: number) => {
+    const existing = keyframes[property] ?? [];
+    const easing =
+      existing.find((keyframe) => keyframe.time === offset)?.easing ?? "linear";
+    set({
+      keyframes: {
+        ...keyframes,
+        [property]: setKeyframe(existing, { time: offset, value, easing }),
+      },
+    });
+  };
+
+  const setAnimatable = (property: AnimatableProperty, value: number) => {
+    if (keyframes[property]?.length) setKeyframes(property, value);
+    else set({ [property]: value });
+  };
+
+  const toggleKeyframe = (property: AnimatableProperty) => {
+    const existing = keyframes[property] ?? [];
+    if (!existing.some((keyframe) => keyframe.time === offset)) {
+      setKeyframes(property, current[property]);
+      return;
+    }
+    const remaining = existing.filter((keyframe) => keyframe.time !== offset);
+    const { [property]: _removed, ...others } = keyframes;
+    const updated: Keyframes =
+      remaining.length > 0 ? { ...others, [property]: remaining } : others;
+    // the last keyframe's value stays as the static value
+    set({
+      keyframes: Object.keys(updated).length > 0 ? updated : undefined,
+      ...(remaining.length === 0 && { [property]: current[property] }),
+    });
+  };
+
+  return (
+    <div class={styles.propertiesPanel}>
+      <b>{describeClip(clip)}</b>
+
+      <fieldset class={styles.section}>
+        <legend>Timing</legend>
+        <NumberField
+          label="Start"
+          unit="s"
+          value={renderStart * SECONDS}
+          min={0}
+          step={frameLength * SECONDS}
+          onCommit={(value) => set({ renderStart: value / SECONDS })}
+        />
+        <NumberField
+          label="Length"
+          unit="s"
+          value={renderLength * SECONDS}
+          min={0}
+          step={frameLength * SECONDS}
+          onCommit={(value) => {
+            // sequences add or remove held frames rather than changing speed
+            if (clip instanceof ImageSequenceClip) {
+              const frames = Math.max(
+                Math.round(value / SECONDS / clip.microsecondsPerFrame),
+                1
+              );
+              history.execute(
+                new SetSequenceFramesCommand(
+                  clip,
+                  clip.framesForLength(frames),
+                  "Change length"
+                )
+              );
+              return;
+            }
+            // clips last at least a frame
+            set({ renderLength: Math.max(value / SECONDS, frameLength) });
+          }}
+        />
+        <NumberField
+          label="Layer"
+          unit=""
+          value={clip.properties.layer}
+          min={0}
+          step={1}
+          integer
+          onCommit={(value) => set({ layer: value })}
+        />
+      </fieldset>
+
+      {clip.simpleRender && (
+        <TransitionFields backend={backend} history={history} clip={clip} />
+      )}
+
+      {clip.simpleRender && (
+        <fieldset class={styles.section}>
+          <legend>Transform</legend>
+          {TRANSFORM_FIELDS.map((field) => {
+            const animated = !!keyframes[field.key]?.length;
+            const onKeyframe = !!keyframes[field.key]?.some(
+              (keyframe) => keyframe.time === offset
+            );
+            return (
+              <div class={styles.row} key={field.key}>
+                <NumberField
+                  label={field.label}
+                  unit={field.unit}
+                  value={current[field.key] * field.scale}
+                  min={field.min}
+                  max={field.max}
+                  step={field.step}
+                  onCommit={(value) =>
+                    setAnimatable(field.key, value / field.scale)
+                  }
+                />
+                <button
+                  class={[styles.keyframe, animated && styles.animated]
+                    .filter(Boolean)
+                    .join(" ")}
+                  onClick={() => toggleKeyframe(field.key)}
+                  title={
+                    onKeyframe
+                      ? "Remove the keyframe at the playhead"
+                      : "Add a keyframe at the playhead"
+                  }
+                >
+                  {onKeyframe ? "◆" : "◇"}
+                </button>
+              </div>
+            );
+          })}
+          <label class={styles.field}>
+            <span class={styles.label}>Blend mode</span>
+            <select
+              value={clip.properties.blendMode}
+              onChange={(e) =>
+                set({ blendMode: e.currentTarget.value as BlendMode })
+              }
+            >
+              {Object.entries(BLEND_MODES).map(([mode, label]) => (
+                <option key={mode} value={mode}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+        </fieldset>
+      )}
+
+      {(clip instanceof ImageClip || clip instanceof ImageSequenceClip) && (
+        <fieldset class={styles.section}>
+          <legend>Image</legend>
+          <label class={styles.field}>
+            <span class={styles.label}>Fit</span>
+            <select
+              value={clip.properties.fit}
+              onChange={(e) => set({ fit: e.currentTarget.value as FitMode })}
+            >
+              {Object.entries(FIT_MODES).map(([mode, label]) => (
+                <option key={mode} value={mode}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <div class={styles.row}>
+            <label class={styles.field}>
+              <span class={styles.label}>Background</span>
+              <input
+                type="color"
+                value={clip.properties.letterboxColor ?? "#000000"}
+                disabled={clip.properties.letterboxColor === null}
+                onChange={(e) => set({ letterboxColor: e.currentTarget.value })}
+              />
+            </label>
+            <label>
+              <input
+                type="checkbox"
+                checked={clip.properties.letterboxColor === null}
+                onChange={(e) =>
+                  set({
+                    letterboxColor: e.currentTarget.checked ? null : "#000000",
+                  })
+                }
+              />{" "}
+              Transparent
+            </label>
+          </div>
+          <CropFields
+            name="Crop"
+            crop={clip.properties.crop}
+            onChange={(crop) => set({ crop })}
+          />
+          <button
+            onClick={() => set({ crop: FULL_CROP })}
+            disabled={Object.entries(FULL_CROP).every(
+              ([key, value]) =>
+                clip.properties.crop[key as keyof CropRect] === value
+            )}
+          >
+            Reset crop
+          </button>
+        </fieldset>
+      )}
+
+      {(clip instanceof ImageClip || clip instanceof ImageSequenceClip) && (
+        <fieldset class={styles.section}>
+          <legend>
+            <label>
+              <input
+                type="checkbox"
+                checked={!!clip.properties.panZoom}
+                onChange={(e) =>
+                  set({
+                    panZoom: e.currentTarget.checked
+                      ? {
+                          from: clip.properties.crop,
+                          to: zoomIn(clip.properties.crop),
+                          easing: "easeInOut",
+                        }
+                      : undefined,
+                  })
+                }
+              />{" "}
+              Pan and zoom
+            </label>
+          </legend>
+          {clip.properties.panZoom && (
+            <PanZoomFields
+              panZoom={clip.properties.panZoom}
+              onChange={(panZoom) => set({ panZoom })}
+            />
+          )}
+        </fieldset>
+      )}
+
+      {clip instanceof ImageSequenceClip && (
+        <SequenceFrames
+          key={clip.id}
+          clip={clip}
+          history={history}
+          currentIndex={clip.frameIndexAt(
+            Math.floor(offset / clip.microsecondsPerFrame)
+          )}
+        />
+      )}
+
+      {clip instanceof AudioClip && (
+        <fieldset class={styles.section}>
+          <legend>Audio</legend>
+          {AUDIO_FIELDS.map((field) => (
+            <NumberField
+              key={field.key}
+              label={field.label}
+              unit={field.unit}
+              value={clip.properties[field.key] * field.scale}
+              min={field.min}
+              max={field.max}
+              step={field.step}
+              onCommit={(value) => set({ [field.key]: value / field.scale })}
+            />
+          ))}
+        </fieldset>
+      )}
+    </div>
+  );
+}
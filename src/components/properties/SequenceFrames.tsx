@@ -0,0 +1,120 @@
+import { useState } from "preact/hooks";
+import History from "../../backend/history/History";
+import {
+  holdSequenceFrames,
+  moveSequenceFrame,
+} from "../../backend/history/commands";
+import ImageSequenceClip from "../../backend/items/ImageSequenceClip";
+import NumberField from "./NumberField";
+import styles from "./PropertiesPanel.module.css";
+
+export interface SequenceFramesProps {
+  clip: ImageSequenceClip;
+  history: History;
+  /** the index of the image shown at the playhead */
+  currentIndex: number;
+}
+
+/**
+ * Lists the images of a sequence with how many frames each is held for.
+ * Images can be selected to change their holds together.
+ */
+export default function SequenceFrames({
+  clip,
+  history,
+  currentIndex,
+}: SequenceFramesProps) {
+  const [selected, setSelected] = useState<Set<number>>(new Set());
+  const [bulkHold, setBulkHold] = useState(2);
+
+  const toggle = (index: number, checked: boolean) => {
+    const next = new Set(selected);
+    if (checked) next.add(index);
+    else next.delete(index);
+    setSelected(next);
+  };
+
+  const move = (from: number, to: number) => {
+    if (to < 0 || to >= clip.frames.length) return;
+    history.execute(moveSequenceFrame(clip, from, to));
+    // keep the selection on the same images, at their new indices
+    const order = clip.frames.map((_, i) => i);
+    order.splice(to, 0, ...order.splice(from, 1));
+    setSelected(
+      new Set(order.flatMap((index, i) => (selected.has(index) ? [i] : [])))
+    );
+  };
+
+  return (
+    <fieldset class={styles.section}>
+      <legend>
+        Frames ({clip.frames.length} images, {clip.totalFrames} frames)
+      </legend>
+      <div class={styles.row}>
+        <NumberField
+          label="Hold"
+          unit="frames"
+          value={bulkHold}
+          min={1}
+          step={1}
+          integer
+          onCommit={setBulkHold}
+        />
+      </div>
+      <div class={styles.row}>
+        <button
+          disabled={selected.size === 0}
+          onClick={() =>
+            history.execute(holdSequenceFrames(clip, [...selected], bulkHold))
+          }
+        >
+          Hold selected
+        </button>
+        <button
+          onClick={() =>
+            history.execute(holdSequenceFrames(clip, null, bulkHold))
+          }
+        >
+          Set all
+        </button>
+        <button
+          disabled={selected.size === 0}
+          onClick={() => setSelected(new Set())}
+        >
+          Clear selection
+        </button>
+      </div>
+      <ol class={styles.frameList}>
+        {clip.frames.map((frame, i) => (
+          <li
+            key={i}
+            class={i === currentIndex ? styles.currentFrame : undefined}
+          >
+            <input
+              type="checkbox"
+              checked={selected.has(i)}
+              onChange={(e) => toggle(i, e.currentTarget.checked)}
+            />
+            <NumberField
+              label={frame.resource.getDisplayName()}
+              unit=""
+              value={frame.hold}
+              min={1}
+              step={1}
+              integer
+              onCommit={(hold) =>
+                history.execute(holdSequenceFrames(clip, [i], hold))
+              }
+            />
+            <button onClick={() => move(i, i - 1)} title="Move earlier">
+              ↑
+            </button>
+            <button onClick={() => move(i, i + 1)} title="Move later">
+              ↓
+            </button>
+          </li>
+        ))}
+      </ol>
+    </fieldset>
+  );
+}
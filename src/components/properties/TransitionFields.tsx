@@ -0,0 +1,211 @@
+import VideoBackend from "../../backend/VideoBackend";
+import History, { CommandGroup } from "../../backend/history/History";
+import {
+  AddTransitionCommand,
+  RemoveTransitionCommand,
+  SetTransitionPropertiesCommand,
+} from "../../backend/history/commands";
+import Clip from "../../backend/items/Clip";
+import { EASING_NAMES } from "../../backend/items/keyframes";
+import DipTransition from "../../backend/transitions/DipTransition";
+import SlideTransition from "../../backend/transitions/SlideTransition";
+import { TransitionDirection } from "../../backend/transitions/Transition";
+import WipeTransition from "../../backend/transitions/WipeTransition";
+import {
+  DEFAULT_TRANSITION_DURATION,
+  TRANSITION_TYPES,
+  TransitionType,
+  createTransition,
+  transitionTypeOf,
+} from "../../backend/transitions/transitionTypes";
+import NumberField from "./NumberField";
+import styles from "./PropertiesPanel.module.css";
+
+/** The names of the ways wipes and slides move, for display. */
+const DIRECTIONS: Record<TransitionDirection, string> = {
+  left: "Left",
+  right: "Right",
+  up: "Up",
+  down: "Down",
+};
+
+export interface TransitionFieldsProps {
+  backend: VideoBackend;
+  history: History;
+  /** the clip the transition leads to */
+  clip: Clip;
+}
+
+/**
+ * Adds and edits the transition into a clip from the clip before it on the
+ * same layer.
+ */
+export default function TransitionFields({
+  backend,
+  history,
+  clip,
+}: TransitionFieldsProps) {
+  const transition = backend.transitionInto(clip);
+  const previous = backend.previousClip(clip);
+  const frameLength = 1e6 / backend.renderSettings.fps;
+
+  if (!transition) {
+    return (
+      <fieldset class={styles.section}>
+        <legend>Transition in</legend>
+        {previous ? (
+          <button
+            onClick={() =>
+              history.execute(
+                new AddTransitionCommand(
+                  createTransition("crossfade", {
+                    fromClipId: previous.id,
+                    toClipId: clip.id,
+                    duration: Math.min(
+                      DEFAULT_TRANSITION_DURATION,
+                      clip.properties.renderLength
+                    ),
+                    easing: "linear",
+                  })
+                )
+              )
+            }
+          >
+            Add transition
+          </button>
+        ) : (
+          <i>There's no clip before this one on its layer to come from.</i>
+        )}
+      </fieldset>
+    );
+  }
+
+  const set = (changes: Partial<typeof transition.properties>) =>
+    history.execute(new SetTransitionPropertiesCommand(transition, changes));
+
+  const changeType = (type: TransitionType) =>
+    history.execute(
+      new CommandGroup("Change transition type", [
+        new RemoveTransitionCommand(transition.id),
+        new AddTransitionCommand(createTransition(type, transition.properties)),
+      ])
+    );
+
+  const { duration, easing, fromClipId } = transition.properties;
+  return (
+    <fieldset class={styles.section}>
+      <legend>Transition in</legend>
+      {fromClipId !== previous?.id && (
+        <div class={styles.row}>
+          <i>The clip it came from has moved or been deleted.</i>
+          {previous && (
+            <button onClick={() => set({ fromClipId: previous.id })}>
+              Reconnect
+            </button>
+          )}
+        </div>
+      )}
+      <label class={styles.field}>
+        <span class={styles.label}>Type</span>
+        <select
+          value={transitionTypeOf(transition)}
+          onChange={(e) => changeType(e.currentTarget.value as TransitionType)}
+        >
+          {Object.entries(TRANSITION_TYPES).map(([type, label]) => (
+            <option key={type} value={type}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <NumberField
+        label="Duration"
+        unit="s"
+        value={duration / 1e6}
+        min={frameLength / 1e6}
+        step={frameLength / 1e6}
+        onCommit={(value) => set({ duration: value * 1e6 })}
+      />
+      <label class={styles.field}>
+        <span class={styles.label}>Easing</span>
+        <select
+          value={typeof easing === "string" ? easing : ""}
+          onChange={(e) =>
+            set({
+              easing: e.currentTarget.value as keyof typeof EASING_NAMES,
+            })
+          }
+        >
+          {Object.entries(EASING_NAMES).map(([easing, label]) => (
+            <option key={easing} value={easing}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+      {transition instanceof DipTransition && (
+        <label class={styles.field}>
+          <span class={styles.label}>Color</span>
+          <input
+            type="color"
+            value={transition.properties.color}
+            onChange={(e) =>
+              history.execute(
+                new SetTransitionPropertiesCommand(transition, {
+                  color: e.currentTarget.value,
+                })
+              )
+            }
+          />
+        </label>
+      )}
+      {(transition instanceof WipeTransition ||
+        transition instanceof SlideTransition) && (
+        <label class={styles.field}>
+          <span class={styles.label}>Direction</span>
+          <select
+            value={transition.properties.direction}
+            onChange={(e) =>
+              history.execute(
+                new SetTransitionPropertiesCommand<
+                  WipeTransition | SlideTransition
+                >(transition, {
+                  direction: e.currentTarget.value as TransitionDirection,
+                })
+              )
+            }
+          >
+            {Object.entries(DIRECTIONS).map(([direction, label]) => (
+              <option key={direction} value={direction}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+      {transition instanceof SlideTransition && (
+        <label class={styles.field}>
+          <input
+            type="checkbox"
+            checked={transition.properties.push}
+            onChange={(e) =>
+              history.execute(
+                new SetTransitionPropertiesCommand(transition, {
+                  push: e.currentTarget.checked,
+                })
+              )
+            }
+          />
+          Push the clip before out
+        </label>
+      )}
+      <button
+        onClick={() =>
+          history.execute(new RemoveTransitionCommand(transition.id))
+        }
+      >
+        Remove transition
+      </button>
+    </fieldset>
+  );
+}
@@ -1,84 +1,242 @@
+import { useEffect, useRef, useState } from "preact/hooks";
 import VideoBackend from "../../backend/VideoBackend";
+import ImageResource from "../../backend/resources/ImageResource";
+import Resource from "../../backend/resources/Resource";
+import ThumbnailService from "../../backend/resources/ThumbnailService";
+import { ImageMetadata } from "../../backend/resources/imageMetadata";
+import { swapsDimensions } from "../../backend/resources/orientation";
+import { humanFileSize } from "../format";
 import styles from "./ResourcesList.module.css";
 
 /**
- * Format bytes as human-readable text.
- *
- * @param bytes Number of bytes.
- * @param si True to use metric (SI) units, aka powers of 1000. False to use
- *           binary (IEC), aka powers of 1024.
- * @param dp Number of decimal places to display.
- *
- * @return Formatted string.
+ * The drag data type for resources dragged onto the timeline. The data is a
+ * JSON array of resource ids.
  */
-function humanFileSize(bytes: number, si = false, dp = 1) {
-  const thresh = si ? 1000 : 1024;
+export const RESOURCE_DRAG_TYPE = "application/x-simple-stop-motion-resources";
+
+function startResourceDrag(e: DragEvent, ids: number[]) {
+  if (!e.dataTransfer) return;
+  e.dataTransfer.setData(RESOURCE_DRAG_TYPE, JSON.stringify(ids));
+  e.dataTransfer.effectAllowed = "copy";
+}
 
-  if (Math.abs(bytes) < thresh) {
-    return bytes + " B";
+/** The height of each item, which must match the stylesheet */
+const ITEM_HEIGHT = 80;
+/** How many items are rendered beyond each edge of the list, for scrolling */
+const OVERSCAN = 4;
+
+/**
+ * Describes the interesting parts of an image's metadata, most important
+ * first.
+ *
+ * @param metadata the image's metadata
+ * @returns short descriptions, e.g. "4000×3000" and "1/125 s"
+ */
+function describeMetadata(metadata: ImageMetadata): string[] {
+  const {
+    width,
+    height,
+    orientation = 1,
+    cameraMake,
+    cameraModel,
+    exposureTime,
+    fNumber,
+    iso,
+    focalLength,
+    captureTime,
+  } = metadata;
+  const details: string[] = [];
+  if (width && height) {
+    // show the size the right way up
+    details.push(
+      swapsDimensions(orientation) ? `${height}×${width}` : `${width}×${height}`
+    );
+  }
+  if (cameraModel) {
+    // models usually start with the make already, e.g. "Canon EOS R5"
+    details.push(
+      cameraMake &&
+        !cameraModel.toLowerCase().startsWith(cameraMake.toLowerCase())
+        ? `${cameraMake} ${cameraModel}`
+        : cameraModel
+    );
+  }
+  if (exposureTime) {
+    details.push(
+      exposureTime < 1
+        ? `1/${Math.round(1 / exposureTime)} s`
+        : `${exposureTime} s`
+    );
   }
+  if (fNumber) details.push(`f/${Math.round(fNumber * 10) / 10}`);
+  if (iso) details.push(`ISO ${iso}`);
+  if (focalLength) details.push(`${Math.round(focalLength)} mm`);
+  if (captureTime !== undefined) {
+    details.push(new Date(captureTime).toLocaleString());
+  }
+  return details;
+}
+
+interface ResourceItemProps {
+  resource: Resource;
+  thumbnails: ThumbnailService;
+  /** where the item is in the list, in pixels */
+  top: number;
+  removeResource: (id: number) => Promise<void>;
+}
 
-  const units = si
-    ? ["kB", "MB", "GB", "TB", "PB", "EB", "ZB", "YB"]
-    : ["KiB", "MiB", "GiB", "TiB", "PiB", "EiB", "ZiB", "YiB"];
-  let u = -1;
-  const r = 10 ** dp;
+function ResourceItem({
+  resource,
+  thumbnails,
+  top,
+  removeResource,
+}: ResourceItemProps) {
+  const thumbnailUrl = thumbnails.get(resource);
+  useEffect(() => {
+    if (!thumbnailUrl) thumbnails.request(resource);
+  }, [resource, thumbnailUrl]);
 
-  do {
-    bytes /= thresh;
-    ++u;
-  } while (
-    Math.round(Math.abs(bytes) * r) / r >= thresh &&
-    u < units.length - 1
-  );
+  const [metadata, setMetadata] = useState<ImageMetadata | null>(null);
+  useEffect(() => {
+    if (!(resource instanceof ImageResource)) return;
+    let cancelled = false;
+    resource.getMetadata().then((metadata) => {
+      if (!cancelled) setMetadata(metadata);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [resource]);
+  const details = [
+    humanFileSize(resource.getSize()),
+    ...(metadata ? describeMetadata(metadata) : []),
+  ].join(" · ");
 
-  return bytes.toFixed(dp) + " " + units[u];
+  return (
+    <div
+      class={styles.item}
+      style={{ top: `${top}px` }}
+      draggable
+      onDragStart={(e) => startResourceDrag(e, [resource.id])}
+    >
+      <div
+        class={styles.itemPreviewContainer}
+        style={
+          thumbnailUrl
+            ? { backgroundImage: `url("${thumbnailUrl}")` }
+            : undefined
+        }
+      >
+        <button
+          class={styles.deleteButton}
+          onClick={() => {
+            removeResource(resource.id);
+          }}
+        >
+          &times;
+        </button>
+      </div>
+      <div class={styles.itemText}>
+        <div class={styles.name}>{resource.getDisplayName()}</div>
+        <div class={styles.description} title={details}>
+          {details}
+        </div>
+      </div>
+    </div>
+  );
 }
 
 export interface ResourcesListProps {
   backend: VideoBackend;
   resources: number[];
-  removeResource: (id: number) => void;
+  thumbnails: ThumbnailService;
+  removeResource: (id: number) => Promise<void>;
   addResource: () => Promise<void>;
+  importFolder: () => Promise<void>;
 }
 
+/**
+ * Lists the resources with their thumbnails. Only the items that are scrolled
+ * into view are rendered, so long lists stay fast.
+ */
 export default function ResourcesList({
   backend,
   resources,
+  thumbnails,
   removeResource,
   addResource,
+  importFolder,
 }: ResourcesListProps) {
+  const listRef = useRef<HTMLDivElement>(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(0);
+  // bumped when thumbnails are ready, to show them
+  const [, setRevision] = useState(0);
+
+  useEffect(() => {
+    const list = listRef.current;
+    if (!list) return;
+    const observer = new ResizeObserver(() =>
+      setViewportHeight(list.clientHeight)
+    );
+    observer.observe(list);
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => {
+    const onThumbnail = () => setRevision((revision) => revision + 1);
+    thumbnails.addEventListener("thumbnail", onThumbnail);
+    return () => thumbnails.removeEventListener("thumbnail", onThumbnail);
+  }, [thumbnails]);
+
+  const imageIds = resources.filter(
+    (id) => backend.resourceFromId(id) instanceof ImageResource
+  );
+  const first = Math.max(0, Math.floor(scrollTop / ITEM_HEIGHT) - OVERSCAN);
+  const last = Math.min(
+    resources.length,
+    Math.ceil((scrollTop + viewportHeight) / ITEM_HEIGHT) + OVERSCAN
+  );
+
   return (
     <>
-      {resources.map((resourceId, i) => {
-        const resource = backend.resourceFromId(resourceId);
-        // skip rendering, probably stale data
-        if (!resource) return;
-        return (
-          <div class={styles.item} key={resourceId}>
-            <div
-              class={styles.itemPreviewContainer}
-              style={{ backgroundImage: `url("${resource.getPreviewUrl()}")` }}
-            >
-              <button
-                class={styles.deleteButton}
-                onClick={() => {
-                  removeResource(i);
-                }}
-              >
-                &times;
-              </button>
-            </div>
-            <div class={styles.itemText}>
-              <div class={styles.name}>{resource.getDisplayName()}</div>
-              <div class={styles.description}>
-                {humanFileSize(resource.getSize())}
-              </div>
-            </div>
-          </div>
-        );
-      })}
+      {imageIds.length > 1 && (
+        <div
+          class={styles.dragAll}
+          draggable
+          onDragStart={(e) => startResourceDrag(e, imageIds)}
+          title="Drag onto the timeline to add every image as a sequence"
+        >
+          All {imageIds.length} images as a sequence
+        </div>
+      )}
+      <div
+        class={styles.list}
+        ref={listRef}
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      >
+        <div
+          class={styles.listContent}
+          style={{ height: `${resources.length * ITEM_HEIGHT}px` }}
+        >
+          {resources.slice(first, last).map((resourceId, i) => {
+            const resource = backend.resourceFromId(resourceId);
+            // skip rendering, probably stale data
+            if (!resource) return;
+            return (
+              <ResourceItem
+                key={resourceId}
+                resource={resource}
+                thumbnails={thumbnails}
+                top={(first + i) * ITEM_HEIGHT}
+                removeResource={removeResource}
+              />
+            );
+          })}
+        </div>
+      </div>
       <button onClick={addResource}>Add resource</button>
+      <button onClick={importFolder}>Import folder</button>
     </>
   );
 }
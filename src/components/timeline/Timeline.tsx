@@ -0,0 +1,495 @@
+import { useEffect, useState } from "preact/hooks";
+import VideoBackend from "../../backend/VideoBackend";
+import History from "../../backend/history/History";
+import {
+  AddClipCommand,
+  RemoveClipCommand,
+  SetClipPropertiesCommand,
+  SetFrameRateCommand,
+  SetSequenceFramesCommand,
+  SplitClipCommand,
+} from "../../backend/history/commands";
+import AudioClip, { AudioClipProperties } from "../../backend/items/AudioClip";
+import Clip, {
+  ClipProperties,
+  createClipProperties,
+} from "../../backend/items/Clip";
+import ImageClip from "../../backend/items/ImageClip";
+import { DEFAULT_IMAGE_PROPERTIES } from "../../backend/items/imageFit";
+import ImageSequenceClip, {
+  sequenceFrames,
+} from "../../backend/items/ImageSequenceClip";
+import AudioResource from "../../backend/resources/AudioResource";
+import ImageResource from "../../backend/resources/ImageResource";
+import { formatTimecode } from "../format";
+import NumberField from "../properties/NumberField";
+import { RESOURCE_DRAG_TYPE } from "../resources/ResourcesList";
+import styles from "./Timeline.module.css";
+
+const TRACK_HEIGHT = 48;
+/** The zoom levels, in pixels per second */
+const MIN_ZOOM = 10;
+const MAX_ZOOM = 2000;
+const ZOOM_STEP = 1.5;
+/** Ruler labels are spaced at least this many pixels apart */
+const MIN_LABEL_SPACING = 80;
+/** The possible spacings of ruler labels, in seconds */
+const LABEL_INTERVALS = [0.25, 0.5, 1, 2, 5, 10, 15, 30, 60, 120, 300];
+/** How long single images last when dropped on the timeline, in microseconds */
+const DEFAULT_IMAGE_LENGTH = 1e6;
+
+export interface TimelineProps {
+  backend: VideoBackend;
+  history: History;
+  /** the ids of the clips, in the order they're stored */
+  clips: number[];
+  /** the frame the playhead is on */
+  frame: number;
+  setFrame: (frame: number) => void;
+  selectedClip: number | null;
+  setSelectedClip: (id: number | null) => void;
+}
+
+/** A clip being moved or trimmed with the pointer. */
+interface ClipDrag {
+  clip: Clip;
+  mode: "move" | "trimStart" | "trimEnd";
+  startX: number;
+  startY: number;
+  /** the properties the clip will have when it's dropped */
+  changes: Partial<AudioClipProperties>;
+}
+
+function clipLabel(clip: Clip): string {
+  if (clip instanceof ImageSequenceClip) {
+    return `Sequence (${clip.frames.length} images)`;
+  }
+  if (clip instanceof ImageClip || clip instanceof AudioClip) {
+    return clip.resource.getDisplayName();
+  }
+  return "Clip";
+}
+
+/**
+ * Trims or extends a sequence by whole frames, so each image keeps its length.
+ *
+ * @param clip the sequence
+ * @param mode which end is dragged
+ * @param offset how far it's dragged, in microseconds
+ * @returns the timing the sequence will have
+ */
+function trimSequence(
+  clip: ImageSequenceClip,
+  mode: "trimStart" | "trimEnd",
+  offset: number
+): Pick<ClipProperties, "renderStart" | "renderLength"> {
+  const { renderStart, renderLength } = clip.properties;
+  const frameLength = clip.microsecondsPerFrame;
+  const end = renderStart + renderLength;
+  // sequences last at least a frame, and can't start before the project
+  const frames = Math.max(
+    Math.min(
+      Math.round(
+        (mode === "trimStart" ? renderLength - offset : renderLength + offset) /
+          frameLength
+      ),
+      mode === "trimStart" ? Math.floor(end / frameLength) : Infinity
+    ),
+    1
+  );
+  return {
+    renderStart:
+      mode === "trimStart" ? end - frames * frameLength : renderStart,
+    renderLength: frames * frameLength,
+  };
+}
+
+/**
+ * Shows the clips on tracks against time, one track per layer with the top
+ * layer at the top. Clips can be moved, trimmed and split, and resources can
+ * be dropped on it to make new clips.
+ */
+export default function Timeline({
+  backend,
+  history,
+  clips,
+  frame,
+  setFrame,
+  selectedClip,
+  setSelectedClip,
+}: TimelineProps) {
+  const [zoom, setZoom] = useState(100);
+  const [snapping, setSnapping] = useState(true);
+  const [drag, setDrag] = useState<ClipDrag | null>(null);
+
+  const { fps } = backend.renderSettings;
+  const frameLength = 1e6 / fps;
+  const snap = (time: number) =>
+    snapping ? Math.round(time / frameLength) * frameLength : time;
+  const toPixels = (time: number) => (time / 1e6) * zoom;
+  const playheadTime = frame * frameLength;
+
+  const clipObjects = clips
+    .map((id) => backend.clipFromId(id))
+    .filter((clip): clip is Clip => clip !== null);
+  // show clips where they'd be dropped while they're dragged
+  const propertiesOf = (clip: Clip) =>
+    drag?.clip === clip
+      ? { ...clip.properties, ...drag.changes }
+      : clip.properties;
+  const topLayer = Math.max(
+    0,
+    ...clipObjects.map((clip) => propertiesOf(clip).layer)
+  );
+  // an empty track on top to make new layers with
+  const layers = Array.from(
+    { length: topLayer + 2 },
+    (_, i) => topLayer + 1 - i
+  );
+  const duration = backend.getDuration();
+  const contentWidth = toPixels(duration) + 5 * zoom;
+  const labelInterval =
+    LABEL_INTERVALS.find((interval) => interval * zoom >= MIN_LABEL_SPACING) ??
+    LABEL_INTERVALS[LABEL_INTERVALS.length - 1];
+
+  useEffect(() => {
+    if (!drag) return;
+    const { clip, mode, startX, startY } = drag;
+    const { renderStart, renderLength, layer } = clip.properties;
+    const onMove = (e: PointerEvent) => {
+      const offset = ((e.clientX - startX) / zoom) * 1e6;
+      let changes: ClipDrag["changes"];
+      switch (mode) {
+        case "move":
+          changes = {
+            renderStart: Math.max(0, snap(renderStart + offset)),
+            layer: Math.max(
+              0,
+              layer - Math.round((e.clientY - startY) / TRACK_HEIGHT)
+            ),
+          };
+          break;
+        case "trimStart": {
+          if (clip instanceof ImageSequenceClip) {
+            changes = trimSequence(clip, mode, offset);
+            break;
+          }
+          const end = renderStart + renderLength;
+          // audio can't start before the beginning of the sound
+          const earliest =
+            clip instanceof AudioClip
+              ? Math.max(0, renderStart - clip.properties.trimStart)
+              : 0;
+          const start = Math.min(
+            Math.max(snap(renderStart + offset), earliest),
+            end - frameLength
+          );
+          changes = { renderStart: start, renderLength: end - start };
+          if (clip instanceof AudioClip) {
+            changes.trimStart = clip.properties.trimStart + start - renderStart;
+          }
+          break;
+        }
+        case "trimEnd":
+          if (clip instanceof ImageSequenceClip) {
+            changes = trimSequence(clip, mode, offset);
+            break;
+          }
+          changes = {
+            renderLength: Math.max(
+              snap(renderStart + renderLength + offset) - renderStart,
+              frameLength
+            ),
+          };
+          break;
+      }
+      setDrag({ ...drag, changes });
+    };
+    const onUp = () => {
+      setDrag(null);
+      const before: Partial<AudioClipProperties> = clip.properties;
+      const changed = Object.entries(drag.changes).some(
+        ([key, value]) => before[key as keyof AudioClipProperties] !== value
+      );
+      if (!changed) return;
+      if (clip instanceof ImageSequenceClip && mode !== "move") {
+        // sequences lose or gain frames rather than changing speed
+        const { renderStart = 0, renderLength = 0 } = drag.changes;
+        history.group("Trim clip", async (execute) => {
+          await execute(
+            new SetSequenceFramesCommand(
+              clip,
+              clip.framesForLength(
+                Math.round(renderLength / clip.microsecondsPerFrame),
+                mode === "trimStart"
+              ),
+              "Trim clip"
+            )
+          );
+          if (renderStart !== clip.properties.renderStart) {
+            await execute(new SetClipPropertiesCommand(clip, { renderStart }));
+          }
+        });
+        return;
+      }
+      history.execute(new SetClipPropertiesCommand(clip, drag.changes));
+    };
+    window.addEventListener("pointermove", onMove);
+    window.addEventListener("pointerup", onUp);
+    return () => {
+      window.removeEventListener("pointermove", onMove);
+      window.removeEventListener("pointerup", onUp);
+    };
+  }, [drag, zoom, snapping, frameLength]);
+
+  const startDrag = (e: PointerEvent, clip: Clip, mode: ClipDrag["mode"]) => {
+    if (e.button !== 0) return;
+    e.stopPropagation();
+    e.preventDefault();
+    setSelectedClip(clip.id);
+    setDrag({ clip, mode, startX: e.clientX, startY: e.clientY, changes: {} });
+  };
+
+  const scrub = (e: PointerEvent) => {
+    const rect = (e.currentTarget as HTMLElement).getBoundingClientRect();
+    const time = Math.max(0, ((e.clientX - rect.left) / zoom) * 1e6);
+    setFrame(
+      Math.min(
+        Math.round(time / frameLength),
+        Math.ceil(duration / frameLength)
+      )
+    );
+  };
+
+  const dropResources = async (e: DragEvent, layer: number) => {
+    const data = e.dataTransfer?.getData(RESOURCE_DRAG_TYPE);
+    if (!data) return;
+    e.preventDefault();
+    const rect = (e.currentTarget as HTMLElement).getBoundingClientRect();
+    const start = Math.max(0, snap(((e.clientX - rect.left) / zoom) * 1e6));
+    const resources = (JSON.parse(data) as number[]).map((id) =>
+      backend.resourceFromId(id)
+    );
+    const images = resources.filter(
+      (resource): resource is ImageResource => resource instanceof ImageResource
+    );
+
+    let clip: Clip | null = null;
+    if (resources.length === 1 && resources[0] instanceof AudioResource) {
+      let buffer: AudioBuffer;
+      try {
+        buffer = await resources[0].decode();
+      } catch (e) {
+        alert(
+          `Couldn't read ${resources[0].getDisplayName()}: ${
+            e instanceof Error ? e.message : e
+          }`
+        );
+        return;
+      }
+      clip = new AudioClip(
+        {
+          ...createClipProperties(start, buffer.duration * 1e6, layer),
+          trimStart: 0,
+          gain: 1,
+        },
+        resources[0]
+      );
+    } else if (images.length === 1) {
+      clip = new ImageClip(
+        {
+          ...createClipProperties(start, snap(DEFAULT_IMAGE_LENGTH), layer),
+          ...DEFAULT_IMAGE_PROPERTIES,
+        },
+        images[0]
+      );
+    } else if (images.length > 1) {
+      clip = new ImageSequenceClip(
+        {
+          ...createClipProperties(start, images.length * frameLength, layer),
+          ...DEFAULT_IMAGE_PROPERTIES,
+        },
+        sequenceFrames(images),
+        frameLength
+      );
+    }
+    if (!clip) return;
+    await history.execute(new AddClipCommand(clip));
+    setSelectedClip(clip.id);
+  };
+
+  const splitAtPlayhead = () => {
+    // split the selected clip, or the top clip under the playhead
+    const selected = selectedClip !== null && backend.clipFromId(selectedClip);
+    const target =
+      selected ||
+      [...clipObjects]
+        .reverse()
+        .sort((a, b) => b.properties.layer - a.properties.layer)
+        .find((clip) => clip.split(playheadTime) !== null);
+    if (!target || target.split(playheadTime) === null) return;
+    history.execute(new SplitClipCommand(target, playheadTime));
+  };
+
+  const deleteSelected = () => {
+    if (selectedClip === null) return;
+    history.execute(new RemoveClipCommand(selectedClip));
+    setSelectedClip(null);
+  };
+
+  const zoomBy = (factor: number) =>
+    setZoom((zoom) => Math.min(Math.max(zoom * factor, MIN_ZOOM), MAX_ZOOM));
+
+  return (
+    <div class={styles.timeline}>
+      <div class={styles.toolbar}>
+        <button onClick={splitAtPlayhead} title="Split at the playhead">
+          Split
+        </button>
+        <button onClick={deleteSelected} disabled={selectedClip === null}>
+          Delete clip
+        </button>
+        <button onClick={() => zoomBy(1 / ZOOM_STEP)} title="Zoom out">
+          &minus;
+        </button>
+        <button onClick={() => zoomBy(ZOOM_STEP)} title="Zoom in">
+          +
+        </button>
+        <label>
+          <input
+            type="checkbox"
+            checked={snapping}
+            onChange={(e) => setSnapping(e.currentTarget.checked)}
+          />{" "}
+          Snap to frames
+        </label>
+        <div class={styles.frameRate}>
+          <NumberField
+            label="Frame rate"
+            unit="fps"
+            value={fps}
+            min={0.1}
+            max={120}
+            step={1}
+            onCommit={(fps) => history.execute(new SetFrameRateCommand(fps))}
+          />
+        </div>
+        <span class={styles.timecode}>{formatTimecode(frame, fps)}</span>
+      </div>
+      <div
+        class={styles.scrollArea}
+        onWheel={(e) => {
+          if (!e.ctrlKey) return;
+          e.preventDefault();
+          zoomBy(e.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP);
+        }}
+      >
+        <div class={styles.content} style={{ width: `${contentWidth}px` }}>
+          <div
+            class={styles.ruler}
+            style={{
+              // a tick for every frame, once they're far enough apart
+              backgroundSize:
+                toPixels(frameLength) >= 4
+                  ? `${toPixels(frameLength)}px 100%`
+                  : undefined,
+            }}
+            onPointerDown={(e) => {
+              e.currentTarget.setPointerCapture(e.pointerId);
+              scrub(e);
+            }}
+            onPointerMove={(e) => {
+              if (e.buttons & 1) scrub(e);
+            }}
+          >
+            {Array.from(
+              { length: Math.ceil(contentWidth / (labelInterval * zoom)) },
+              (_, i) => (
+                <span
+                  key={i}
+                  class={styles.label}
+                  style={{ left: `${i * labelInterval * zoom}px` }}
+                >
+                  {formatTimecode(Math.round(i * labelInterval * fps), fps)}
+                </span>
+              )
+            )}
+          </div>
+          {layers.map((layer) => (
+            <div
+              key={layer}
+              class={styles.track}
+              style={{ height: `${TRACK_HEIGHT}px` }}
+              onPointerDown={() => setSelectedClip(null)}
+              onDragOver={(e) => {
+                if (!e.dataTransfer?.types.includes(RESOURCE_DRAG_TYPE)) return;
+                e.preventDefault();
+                e.dataTransfer.dropEffect = "copy";
+              }}
+              onDrop={(e) => dropResources(e, layer)}
+            >
+              {clipObjects
+                .filter((clip) => propertiesOf(clip).layer === layer)
+                .map((clip) => {
+                  const properties = propertiesOf(clip);
+                  const transitionInto = backend.transitionInto(clip);
+                  return (
+                    <div
+                      key={clip.id}
+                      class={[
+                        styles.clip,
+                        clip instanceof AudioClip && styles.audioClip,
+                        clip.id === selectedClip && styles.selected,
+                      ]
+                        .filter(Boolean)
+                        .join(" ")}
+                      style={{
+                        left: `${toPixels(properties.renderStart)}px`,
+                        width: `${toPixels(properties.renderLength)}px`,
+                      }}
+                      title={clipLabel(clip)}
+                      onPointerDown={(e) => startDrag(e, clip, "move")}
+                    >
+                      <div
+                        class={styles.handle}
+                        onPointerDown={(e) => startDrag(e, clip, "trimStart")}
+                      />
+                      {transitionInto && (
+                        <div
+                          class={styles.transition}
+                          style={{
+                            width: `${toPixels(
+                              Math.min(
+                                transitionInto.properties.duration,
+                                properties.renderLength
+                              )
+                            )}px`,
+                          }}
+                          title="Transition in"
+                        />
+                      )}
+                      <span class={styles.clipLabel}>{clipLabel(clip)}</span>
+                      <div
+                        class={styles.handle}
+                        onPointerDown={(e) => startDrag(e, clip, "trimEnd")}
+                      />
+                    </div>
+                  );
+                })}
+            </div>
+          ))}
+          <div
+            class={styles.playhead}
+            style={{ left: `${toPixels(playheadTime)}px` }}
+          />
+        </div>
+      </div>
+      {clipObjects.length === 0 && (
+        <i>
+          Drag resources here to add them to the timeline. Drop image files or
+          folders anywhere to import them.
+        </i>
+      )}
+    </div>
+  );
+}
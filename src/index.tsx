@@ -1,13 +1,24 @@
 import { useState } from "preact/hooks";
 import VideoBackend from "./backend/VideoBackend";
+import History from "./backend/history/History";
+import Autosave from "./backend/project/Autosave";
+import ThumbnailService from "./backend/resources/ThumbnailService";
 import { App } from "./components/App/App";
 
 export default function AppRoot() {
   const [backend] = useState(() => new VideoBackend());
+  const [history] = useState(() => new History(backend));
+  const [thumbnails] = useState(() => new ThumbnailService());
+  const [autosave] = useState(() => new Autosave(backend, history));
 
   return (
     <>
-      <App backend={backend} />
+      <App
+        backend={backend}
+        history={history}
+        thumbnails={thumbnails}
+        autosave={autosave}
+      />
     </>
   );
 }
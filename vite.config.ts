@@ -9,5 +9,8 @@ export default defineConfig({
       localsConvention: "camelCaseOnly",
     },
   },
+  worker: {
+    format: "es",
+  },
   base: "/simple-stop-motion",
 });